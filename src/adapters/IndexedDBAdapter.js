@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Адаптер хранилища поверх IndexedDB: строки по ключу в одном object store.
+ * Значения те же, что в localStorage (конверт { version, data } в JSON), поэтому карантин,
+ * миграции и восстановление работают одинаково.
+ *
+ * У IndexedDB нет события об изменениях, как storage у localStorage: вкладки сообщают друг другу
+ * изменённые ключи через BroadcastChannel с именем базы.
+ */
+
+import { INDEXED_DB_NAME, INDEXED_DB_STORE } from '../constants/storage.js';
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Адаптер IndexedDB; база открывается при первом обращении
+ * @implements {StorageAdapter}
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {string} [dbName] - Имя базы (по умолчанию INDEXED_DB_NAME)
+   */
+  constructor(dbName = INDEXED_DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+    /** @type {BroadcastChannel|null} */
+    this.channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(dbName);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<string|null>}
+   */
+  async getItem(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   * @throws {Error} Если не хватает места (QuotaExceededError) или транзакция прервана
+   */
+  async setItem(key, value) {
+    await this._request('readwrite', store => store.put(String(value), key));
+    this.channel?.postMessage(key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    await this._request('readwrite', store => store.delete(key));
+    this.channel?.postMessage(key);
+  }
+
+  /**
+   * Изменения из других вкладок: их адаптеры сообщают ключ после каждой записи.
+   * Свои сообщения канал не получает.
+   * @param {(key: string|null) => void} listener
+   * @returns {() => void} Отписка
+   */
+  subscribe(listener) {
+    if (!this.channel) return () => {};
+    const onMessage = event => listener(event.data);
+    this.channel.addEventListener('message', onMessage);
+    return () => this.channel.removeEventListener('message', onMessage);
+  }
+
+  /**
+   * Открывает базу (один раз); при ошибке следующая попытка откроет её заново.
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(INDEXED_DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Выполняет запрос в отдельной транзакции и ждёт её завершения.
+   * @private
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} run
+   * @returns {Promise<*>} Результат запроса
+   */
+  async _request(mode, run) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(INDEXED_DB_STORE, mode);
+      const request = run(transaction.objectStore(INDEXED_DB_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Адаптер хранилища поверх localStorage — хранилище по умолчанию
+ */
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Адаптер localStorage: синхронный API, обёрнутый в промисы
+ * @implements {StorageAdapter}
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {Storage} [storage] - По умолчанию localStorage
+   */
+  constructor(storage = localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<string|null>}
+   */
+  async getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   * @throws {Error} Если не хватает места (QuotaExceededError)
+   */
+  async setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * Изменения из других вкладок — событие storage (в своей вкладке оно не приходит).
+   * @param {(key: string|null) => void} listener - null — хранилище очищено
+   * @returns {() => void} Отписка
+   */
+  subscribe(listener) {
+    const onStorage = event => {
+      if (event.storageArea === this.storage) listener(event.key);
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }
+}
+
+/** @type {LocalStorageAdapter|null} */
+let defaultStorage = null;
+
+/**
+ * Общий адаптер localStorage — хранилище по умолчанию для репозиториев и сервисов. Один на всех,
+ * потому что кэш данных (StorageCache) ведётся по адаптеру: у разных адаптеров одного
+ * localStorage кэши разошлись бы.
+ * @returns {LocalStorageAdapter}
+ */
+export function getDefaultStorage() {
+  if (!defaultStorage) defaultStorage = new LocalStorageAdapter();
+  return defaultStorage;
+}
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Адаптер хранилища в памяти — для тестов и запуска без постоянного хранилища
+ */
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Адаптер в памяти: данные живут, пока жив объект
+ * @implements {StorageAdapter}
+ */
+export class MemoryStorageAdapter {
+  /**
+   * @param {Object<string, string>} [entries] - Начальные значения ключей
+   */
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<string|null>}
+   */
+  async getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    this.entries.delete(key);
+  }
+}
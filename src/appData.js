@@ -6,8 +6,30 @@
 import { ScheduleService } from './services/ScheduleService.js';
 import { MarkService } from './services/MarkService.js';
 import { SettingsService } from './services/SettingsService.js';
-import { normalizeTime, parseTime, getSleepDurationMinutes, formatDuration, getSleepCycleOptions, shiftTime } from './utils/TimeUtils.js';
-import { SLEEP_MARK_ID } from './constants/defaultMarks.js';
+import { RuleService } from './services/RuleService.js';
+import { TemplateService } from './services/TemplateService.js';
+import { DayPlanService } from './services/DayPlanService.js';
+import { ShiftPlanService } from './services/ShiftPlanService.js';
+import { ChronotypeService } from './services/ChronotypeService.js';
+import { SleepCalibrationService } from './services/SleepCalibrationService.js';
+import { SunService } from './services/SunService.js';
+import { MigrationService } from './services/MigrationService.js';
+import { StorageRecoveryService } from './services/StorageRecoveryService.js';
+import { getDefaultStorage } from './adapters/LocalStorageAdapter.js';
+import { getStorageCache } from './utils/StorageCache.js';
+import { normalizeTime, parseTimeInput, parseTime, formatTime, getSleepDurationMinutes, getNetSleepMinutes, getDurationMinutes, formatDuration, getSleepCycleOptions, shiftTime, getTimeDelta } from './utils/TimeUtils.js';
+import { hasAnchorCycle } from './utils/AnchorUtils.js';
+import { layoutMarkLabels } from './utils/MarkLayout.js';
+import { getCaffeineIntakes, getCaffeineCurve, getCaffeineAtTime } from './utils/CaffeineUtils.js';
+import { SLEEP_MARK_ID, DEFAULT_MARK_IDS } from './constants/defaultMarks.js';
+import { ANCHOR_WAKE, ANCHOR_BEDTIME, ANCHOR_SUNRISE, ANCHOR_SUNSET, SUN_ANCHORS } from './constants/markAnchors.js';
+import { WEEKDAYS } from './constants/weekdays.js';
+import { DEFAULT_SLEEP_CONFIG } from './constants/sleepCycles.js';
+import { STORAGE_KEYS } from './constants/storage.js';
+import { CAFFEINE_HALF_LIFE_MINUTES, DEFAULT_CAFFEINE_DOSE_MG } from './constants/caffeine.js';
+import { LOCALES, LOCALE_NAMES, DEFAULT_LOCALE, TIME_FORMATS, DEFAULT_TIME_FORMAT } from './constants/locales.js';
+import { setLocale, translate } from './utils/I18nUtils.js';
+import { toDateKey, parseDateKey, addDays } from './utils/DateUtils.js';
 
 /**
  * @typedef {Object} Schedule
@@ -15,6 +37,8 @@ import { SLEEP_MARK_ID } from './constants/defaultMarks.js';
  * @property {string} name
  * @property {string} wakeTime - 'HH:MM'
  * @property {string} bedtime - 'HH:MM'
+ * @property {number} [order] - позиция вкладки
+ * @property {number[]} [weekdays] - дни недели (0 — воскресенье, как Date.getDay)
  */
 
 /**
@@ -25,55 +49,373 @@ import { SLEEP_MARK_ID } from './constants/defaultMarks.js';
  * @property {string} title
  * @property {string} description
  * @property {string} time - 'HH:MM'
+ * @property {string|null} [anchor] - 'wakeTime', 'bedtime', 'sunrise', 'sunset' или id засечки; null — фиксированное время
+ * @property {number} [offsetMinutes] - смещение от якоря в минутах
+ * @property {number} [durationMinutes] - длительность окна в минутах; 0 — засечка-точка
+ * @property {boolean} [hidden] - скрытая дефолтная засечка
+ * @property {number} [caffeineMg] - доза кофеина, мг; 0 — не приём кофеина
+ */
+
+/**
+ * @typedef {Object} MarkDraft - редактируемая копия засечки (id === null — новая засечка)
+ * @property {string|null} id
+ * @property {string} emoji
+ * @property {string} title
+ * @property {string} description
+ * @property {string} time - как введено пользователем, нормализуется при сохранении
+ * @property {string} baseTime - время 'HH:MM' на момент открытия: от него считаются "+15m" и выбор AM/PM
+ * @property {string} anchor - '' — фиксированное время, иначе якорь засечки
+ * @property {string} endTime - конец окна как введено пользователем; '' — засечка-точка
+ * @property {boolean} isCaffeine - засечка — приём кофеина
+ * @property {number|string} caffeineMg - доза, мг (учитывается при isCaffeine)
+ */
+
+/**
+ * @typedef {Object} TemplateDraft - форма нового шаблона библиотеки
+ * @property {string} emoji
+ * @property {string} title
+ * @property {string} description
+ * @property {'wakeTime'|'bedtime'} anchor
+ * @property {string} time - время в активном расписании, смещение считается от его якоря
+ * @property {string} endTime - '' — засечка-точка
+ * @property {boolean} autoApply
+ */
+
+/**
+ * @typedef {import('./repositories/TemplateRepository.js').MarkTemplate} MarkTemplate
+ * @typedef {import('./services/MarkService.js').MarkDeviation} MarkDeviation
+ * @typedef {import('./services/RuleService.js').MarkWarning} MarkWarning
+ * @typedef {import('./services/DayPlanService.js').DayPlan} DayPlan
+ * @typedef {import('./services/ShiftPlanService.js').ShiftPlanStep} ShiftPlanStep
+ * @typedef {import('./services/ShiftPlanService.js').ShiftPlanProgress} ShiftPlanProgress
+ * @typedef {import('./services/ChronotypeService.js').ChronotypeRecommendation} ChronotypeRecommendation
+ * @typedef {import('./constants/sleepCycles.js').SleepConfig} SleepConfig
+ * @typedef {import('./repositories/SleepLogRepository.js').SleepLogEntry} SleepLogEntry
+ * @typedef {import('./services/SleepCalibrationService.js').SleepCalibration} SleepCalibration
+ * @typedef {import('./utils/SunUtils.js').SunTimes} SunTimes
+ * @typedef {import('./services/MigrationService.js').MigrationResult} MigrationResult
+ * @typedef {import('./services/StorageRecoveryService.js').StorageIssue} StorageIssue
+ * @typedef {import('./utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * @typedef {Object} DayOverrideDraft - форма разового изменения дня
+ * @property {string} date - 'YYYY-MM-DD'
+ * @property {string} scheduleId - '' — по дню недели
+ * @property {string} wakeTime - '' — из расписания
+ * @property {string} bedtime - '' — из расписания
+ * @property {string} note
+ */
+
+/**
+ * @typedef {Object} ShiftPlanDraft - форма плана плавного сдвига
+ * @property {string} targetWakeTime
+ * @property {string} targetBedtime
+ * @property {number} stepMinutes - максимальный сдвиг за день
+ */
+
+/**
+ * @typedef {Object} ChronotypeQuiz - состояние опросника хронотипа
+ * @property {'first-run'|'retake'} mode - первый запуск (расписаний ещё нет) или повторное прохождение
+ * @property {number[]} answers - индексы выбранных ответов по порядку вопросов
+ * @property {string} bedtime - выбранный отбой на экране результата
+ */
+
+/**
+ * @typedef {Object} MarkLayoutEntry - засечка с рассчитанным положением подписи
+ * @property {Mark} mark
+ * @property {number} y - Y ветки на стволе (истинное время)
+ * @property {number} labelY - Y линии подписи (ниже y, если подпись сдвинута из-за наложения)
+ * @property {'left'|'right'} side - сторона ствола
  */
 
 /**
  * @typedef {{ start: number, end: number }} TimeRangeMinutes - диапазон в минутах от полуночи
  */
 
+/**
+ * @typedef {Object} SunLine - линия времени солнца на стволе
+ * @property {'sunrise'|'solarNoon'|'sunset'} id
+ * @property {string} emoji
+ * @property {string} time - 'HH:MM'
+ * @property {number} y - Y на календаре
+ */
+
+/**
+ * @typedef {Object} CaffeineSummary - сводка кофеина за день активного расписания
+ * @property {number} peakMg - максимум на кривой, мг
+ * @property {string} peakTime - время максимума 'HH:MM'
+ * @property {number} bedtimeMg - останется к отбою, мг
+ */
+
+/** Линии солнца на стволе: ключ SunTimes и emoji подписи. */
+const SUN_LINES = [
+  { id: 'sunrise', emoji: '🌅' },
+  { id: 'solarNoon', emoji: '☀️' },
+  { id: 'sunset', emoji: '🌇' }
+];
+
 /** Минуты в сутках (для диапазонов времени). */
 const MINUTES_PER_DAY = 24 * 60;
 
+/** Подпись засечки: строка над линией (CONCEPT: top −25px) и описание под ней, в пикселях. */
+const MARK_TITLE_HEIGHT = 25;
+const MARK_DESC_MARGIN = 8;
+const MARK_DESC_LINE_HEIGHT = 19.5;
+const MARK_DESC_MAX_LINES = 5;
+/** Средняя ширина символа описания (13px) — для оценки числа строк без измерения DOM. */
+const MARK_DESC_CHAR_WIDTH = 6.5;
+/** Минимальный зазор между подписями на одной стороне. */
+const MARK_LABEL_GAP = 4;
+
+/** Кривая кофеина вокруг ствола: при CAFFEINE_CURVE_FULL_MG (суточный максимум для взрослого) — полуширина в % ширины календаря. */
+const CAFFEINE_CURVE_FULL_MG = 400;
+const CAFFEINE_CURVE_HALF_WIDTH = 5;
+
 /**
  * Возвращает объект состояния и методов для Alpine.data('app').
+ * Методы, которые читают или пишут данные, асинхронные: хранилище может быть любым адаптером.
+ * @param {StorageAdapter} [storage] - Хранилище для всех сервисов (по умолчанию localStorage)
  * @returns {Object} Состояние, геттеры и методы приложения
  * @returns {Schedule[]} return.schedules - список расписаний
  * @returns {number} return.activeScheduleIndex - индекс активной вкладки
- * @returns {Mark[]} return.marks - засечки активного расписания
+ * @returns {Mark[]} return.marks - засечки активного расписания (сегодня — с учётом разового изменения дня)
+ * @returns {Object<string, number>} return.markDayShifts - сдвиг засечек и якорей 'wakeTime'/'bedtime' на календаре относительно расписания, мин (только ненулевые)
+ * @returns {Mark[]} return.hiddenMarks - скрытые дефолтные засечки активного расписания
+ * @returns {boolean} return.isHiddenMarksMenuOpen - открыто меню восстановления скрытых засечек
+ * @returns {Object<string, MarkDeviation>} return.markDeviations - отличия дефолтных засечек от шаблонов по id
+ * @returns {MarkWarning[]} return.markWarnings - нарушения правил физиологии в активном расписании
+ * @returns {MarkTemplate[]} return.templates - библиотека шаблонов засечек
+ * @returns {boolean} return.isLibraryOpen - открыта панель библиотеки
+ * @returns {TemplateDraft|null} return.templateDraft - форма нового шаблона (null — закрыта)
+ * @returns {string} return.templateError - ошибка валидации формы шаблона
  * @returns {Date} return.currentTime - текущее время (обновляется раз в минуту)
+ * @returns {import('./constants/weekdays.js').Weekday[]} return.weekdays - дни недели для привязки расписаний
+ * @returns {DayPlan[]} return.weekPlan - план на 7 дней начиная с сегодня
+ * @returns {boolean} return.isWeekViewOpen - открыт обзор недели
+ * @returns {DayOverrideDraft|null} return.dayOverrideDraft - форма разового изменения (null — закрыта)
+ * @returns {string} return.dayOverrideError - ошибка валидации формы разового изменения
+ * @returns {boolean} return.isShiftPlannerOpen - открыта форма плавного сдвига
+ * @returns {ShiftPlanDraft} return.shiftPlanDraft - целевое время и шаг плана
+ * @returns {number[]} return.shiftPlanStepOptions - варианты шага в минутах
+ * @returns {ChronotypeQuiz|null} return.chronotypeQuiz - открытый опросник хронотипа (null — закрыт)
+ * @returns {SleepConfig} return.sleepConfig - длительность цикла, засыпание и диапазон циклов пользователя
+ * @returns {boolean} return.isSettingsOpen - открыта панель настроек
+ * @returns {SleepConfig} return.sleepConfigDraft - форма параметров сна
+ * @returns {string} return.sleepConfigError - ошибка валидации параметров сна
+ * @returns {SleepLogEntry[]} return.sleepNights - журнал ночей для калибровки
+ * @returns {SleepLogEntry} return.nightDraft - форма новой записи журнала
+ * @returns {string} return.nightError - ошибка формы журнала
+ * @returns {SleepCalibration|null} return.calibration - результат калибровки цикла
+ * @returns {string} return.calibrationError - почему калибровка невозможна
+ * @returns {string} return.locale - язык интерфейса
+ * @returns {'24h'|'12h'} return.timeFormat - формат отображения и ввода времени
+ * @returns {{ code: string, name: string }[]} return.localeOptions - языки для переключателя
+ * @returns {('24h'|'12h')[]} return.timeFormats - форматы времени для переключателя
+ * @returns {{ latitude: number, longitude: number }|null} return.location - сохранённое местоположение
+ * @returns {{ latitude: string|number, longitude: string|number }} return.locationDraft - форма местоположения
+ * @returns {string} return.locationError - ошибка формы местоположения
+ * @returns {SunTimes|null} return.sunTimes - восход, полдень и закат на сегодня (null — местоположение не задано)
+ * @returns {number} return.caffeineHalfLifeMinutes - период полувыведения кофеина из настроек
+ * @returns {number|string} return.caffeineHalfLifeDraft - форма периода полувыведения
+ * @returns {string} return.caffeineError - ошибка формы кофеина
+ * @returns {MigrationResult|null} return.migrationResult - результат миграций схемы хранения при запуске
+ * @returns {StorageIssue[]} return.storageIssues - повреждённые ключи в карантине (открыт экран восстановления)
+ * @returns {string} return.storageError - ошибка экрана восстановления
+ * @returns {number} return.orphanMarkCount - засечки, чьего расписания больше нет
  * @returns {boolean} return.isCreatingSchedule - режим создания новой вкладки
  * @returns {string} return.newScheduleName - вводимое имя новой вкладки
+ * @returns {string|null} return.renamingScheduleId - вкладка в режиме переименования
+ * @returns {string} return.renamingScheduleName - вводимое новое имя вкладки
+ * @returns {{ id: string, overId: string|null }|null} return.tabDrag - перетаскиваемая вкладка и вкладка под курсором
  * @returns {null|'bedtime'|'wakeTime'} return.editingTimeField - какое поле времени редактируется
  * @returns {string} return.editingTimeValue - значение в поле редактирования времени
  * @returns {number} return.sleepDurationMinutes - длительность сна в минутах
  * @returns {string} return.sleepDurationLabel - строка длительности для бейджа
  * @returns {{ time: string, durationMinutes: number, durationLabel: string, cycles: number, isRecommended: boolean }[]} return.sleepCycleOptions - варианты времени по циклам сна для dropdown
  * @returns {Function} return.selectSleepOption - применяет выбранное из dropdown время
+ * @returns {MarkDraft|null} return.editingMark - засечка в редакторе (null — редактор закрыт)
+ * @returns {'left'|'right'} return.markEditorSide - сторона ствола, на которой открыт редактор
+ * @returns {number} return.markEditorTop - Y-позиция ветки, к которой привязан редактор
+ * @returns {string} return.markEditorError - ошибка валидации в редакторе
+ * @returns {number|null} return.trunkHoverY - Y курсора над стволом (для подсказки времени новой засечки)
+ * @returns {{ id: string, time: string, deltaMinutes: number }|null} return.markDrag - перетаскиваемая засечка и сдвиг
+ * @returns {number} return.calendarWidth - ширина календаря в px (для оценки высоты подписей)
  */
-export function appData() {
-  const scheduleService = new ScheduleService();
-  const markService = new MarkService();
-  const settingsService = new SettingsService();
+export function appData(storage = getDefaultStorage()) {
+  const scheduleService = new ScheduleService(storage);
+  const markService = new MarkService(storage);
+  const settingsService = new SettingsService(storage);
+  const ruleService = new RuleService(storage);
+  const templateService = new TemplateService(storage);
+  const dayPlanService = new DayPlanService(storage);
+  const shiftPlanService = new ShiftPlanService(storage);
+  const chronotypeService = new ChronotypeService(storage);
+  const sleepCalibrationService = new SleepCalibrationService(storage);
+  const sunService = new SunService(storage);
+  const migrationService = new MigrationService(storage);
+  const storageRecoveryService = new StorageRecoveryService(storage);
+  const storageCache = getStorageCache(storage);
 
   let timeIntervalId = null;
+  /** @type {(() => void)|null} Обработчик resize из trackCalendarWidth */
+  let resizeHandler = null;
 
   return {
     schedules: [],
     activeScheduleIndex: 0,
     marks: [],
+    markDayShifts: {},
+    hiddenMarks: [],
+    isHiddenMarksMenuOpen: false,
+    markDeviations: {},
+    markWarnings: [],
+    templates: [],
+    isLibraryOpen: false,
+    templateDraft: null,
+    templateError: '',
     currentTime: new Date(),
+    weekdays: WEEKDAYS,
+    weekPlan: [],
+    isWeekViewOpen: false,
+    dayOverrideDraft: null,
+    dayOverrideError: '',
+    isShiftPlannerOpen: false,
+    shiftPlanDraft: { targetWakeTime: '', targetBedtime: '', stepMinutes: 15 },
+    shiftPlanStepOptions: [15, 20, 30],
+    chronotypeQuiz: null,
+    sleepConfig: { ...DEFAULT_SLEEP_CONFIG },
+    isSettingsOpen: false,
+    sleepConfigDraft: { ...DEFAULT_SLEEP_CONFIG },
+    sleepConfigError: '',
+    sleepNights: [],
+    nightDraft: { date: '', bedtime: '', wakeTime: '', naturalWake: true },
+    nightError: '',
+    calibration: null,
+    calibrationError: '',
+    locale: DEFAULT_LOCALE,
+    timeFormat: DEFAULT_TIME_FORMAT,
+    localeOptions: LOCALES.map(code => ({ code, name: LOCALE_NAMES[code] })),
+    timeFormats: TIME_FORMATS,
+    location: null,
+    locationDraft: { latitude: '', longitude: '' },
+    locationError: '',
+    sunTimes: null,
+    caffeineHalfLifeMinutes: CAFFEINE_HALF_LIFE_MINUTES,
+    caffeineHalfLifeDraft: CAFFEINE_HALF_LIFE_MINUTES,
+    caffeineError: '',
+    migrationResult: null,
+    storageIssues: [],
+    storageError: '',
+    orphanMarkCount: 0,
     isCreatingSchedule: false,
     newScheduleName: '',
+    renamingScheduleId: null,
+    renamingScheduleName: '',
+    tabDrag: null,
     editingTimeField: null,
     editingTimeValue: '',
     isDraggingBadge: false,
     shiftDragDeltaMinutes: 0,
+    editingMark: null,
+    markEditorSide: 'right',
+    markEditorTop: 0,
+    markEditorError: '',
+    trunkHoverY: null,
+    markDrag: null,
+    calendarWidth: 672,
 
     /** Текст tooltip при сдвиге бейджа: "+15 мин", "-30 мин", "0". @returns {string} */
     get shiftDragTooltipText() {
       const d = this.shiftDragDeltaMinutes;
       if (d === 0) return '0';
-      return (d > 0 ? '+' : '') + d + ' мин';
+      return this.t('common.minutes', { minutes: (d > 0 ? '+' : '') + d });
+    },
+
+    /**
+     * Сообщение каталога на языке интерфейса (реактивно: перерисовывается при смене locale).
+     * @param {string} key - Ключ сообщения
+     * @param {Object<string, string|number>} [params] - Параметры подстановки
+     * @returns {string}
+     */
+    t(key, params) {
+      return translate(this.locale, key, params);
+    },
+
+    /**
+     * Время для отображения в выбранном формате: "19:30" или "7:30 PM".
+     * @param {string} time - Время 'HH:MM'
+     * @returns {string} Пустая строка для пустого времени
+     */
+    displayTime(time) {
+      return time ? formatTime(parseTime(time), this.timeFormat) : '';
+    },
+
+    /**
+     * Разбирает время из поля ввода ("7:30pm", "половина восьмого", "+15m") в 'HH:MM'.
+     * @param {string} value - Ввод пользователя
+     * @param {string|null} [referenceTime] - Текущее значение поля: база для сдвига и выбора AM/PM
+     * @returns {string|null} null — ввод не распознан
+     */
+    parseTimeValue(value, referenceTime = null) {
+      return normalizeTime(value, { referenceTime, timeFormat: this.timeFormat });
+    },
+
+    /**
+     * Предпросмотр разобранного времени рядом с полем: "→ 22:30"; если половина суток угадана —
+     * с альтернативой. Пусто, если ввод уже в обычном виде или не распознан.
+     * @param {string} value - Ввод пользователя
+     * @param {string|null} [referenceTime] - См. parseTimeValue
+     * @returns {string}
+     */
+    timeInputPreview(value, referenceTime = null) {
+      const result = parseTimeInput(value, { referenceTime, timeFormat: this.timeFormat });
+      if (!result) return '';
+      const time = this.displayTime(result.time);
+      if (result.alternativeTime) {
+        return this.t('timeInput.ambiguous', { time, alternative: this.displayTime(result.alternativeTime) });
+      }
+      return time === value.trim() ? '' : this.t('timeInput.preview', { time });
+    },
+
+    /**
+     * Поле времени из формы в 'HH:MM'; нераспознанный ввод остаётся как есть, чтобы сервис вернул ошибку.
+     * @param {string} value - Ввод пользователя ('' — поле не заполнено)
+     * @param {string|null} [referenceTime] - См. parseTimeValue
+     * @returns {string}
+     */
+    normalizeTimeField(value, referenceTime = null) {
+      if (!value?.trim()) return '';
+      return this.parseTimeValue(value, referenceTime) ?? value;
+    },
+
+    /**
+     * Применяет язык и формат времени из настроек (при загрузке).
+     * @param {import('./repositories/SettingsRepository.js').Settings} settings
+     */
+    applyDisplaySettings(settings) {
+      this.locale = setLocale(settings.locale);
+      this.timeFormat = settings.timeFormat;
+      if (document.documentElement) document.documentElement.lang = this.locale;
+    },
+
+    /**
+     * Переключает язык интерфейса: сохраняет его и переводит тексты дефолтных засечек,
+     * которые пользователь не менял.
+     * @param {string} locale - Код языка
+     */
+    async changeLocale(locale) {
+      const previous = this.locale;
+      if (locale === previous || !LOCALES.includes(locale)) return;
+      this.applyDisplaySettings(await settingsService.update({ locale }));
+      await markService.relocalizeDefaultMarks(previous, locale);
+      await this.reloadMarks();
+    },
+
+    /** Переключает формат времени (хранение остаётся 'HH:MM'). @param {'24h'|'12h'} timeFormat */
+    async changeTimeFormat(timeFormat) {
+      if (!TIME_FORMATS.includes(timeFormat)) return;
+      this.timeFormat = (await settingsService.update({ timeFormat })).timeFormat;
     },
 
     /** @returns {Schedule|null} Текущее активное расписание */
@@ -81,37 +423,255 @@ export function appData() {
       return this.schedules[this.activeScheduleIndex] || null;
     },
 
-    /** Длительность сна в минутах (bedtime → wakeTime, с учётом перехода через полночь). @returns {number} */
+    /**
+     * Подъём и отбой активного расписания на календаре: если на сегодня есть разовое изменение дня —
+     * время из плана на сегодня (weekPlan[0]), иначе из расписания. Изменение применяется к расписанию
+     * дня, а если день ни за кем не закреплён — к открытой вкладке. Расписание при этом не меняется.
+     * @returns {{ wakeTime: string, bedtime: string }|null}
+     */
+    get dayTimes() {
+      const schedule = this.activeSchedule;
+      if (!schedule) return null;
+      const today = this.weekPlan[0];
+      const isToday = !today?.schedule || today.schedule.id === schedule.id;
+      if (today?.override && isToday && today.wakeTime && today.bedtime) {
+        return { wakeTime: today.wakeTime, bedtime: today.bedtime };
+      }
+      return { wakeTime: schedule.wakeTime, bedtime: schedule.bedtime };
+    },
+
+    /** Время в постели в минутах (bedtime → wakeTime, с учётом перехода через полночь). @returns {number} */
     get sleepDurationMinutes() {
       const s = this.activeSchedule;
       if (!s?.bedtime || !s?.wakeTime) return 0;
       return getSleepDurationMinutes(s.bedtime, s.wakeTime);
     },
 
-    /** Строка длительности для бейджа: "7ч 30м", "8ч", "45м". @returns {string} */
+    /** Строка длительности сна без засыпания для бейджа: "7ч 30м", "8ч", "45м". @returns {string} */
     get sleepDurationLabel() {
-      return formatDuration(this.sleepDurationMinutes);
+      const s = this.activeSchedule;
+      if (!s?.bedtime || !s?.wakeTime) return formatDuration(0, this.locale);
+      return formatDuration(getNetSleepMinutes(s.bedtime, s.wakeTime, this.sleepConfig), this.locale);
     },
 
-    /** Варианты времени для dropdown (циклы по 1.5 ч) при редактировании времени сна. Якорь: противоположное поле. @returns {{ time: string, durationMinutes: number, durationLabel: string, cycles: number, isRecommended: boolean }[]} */
+    /** Подсказка бейджа: сколько циклов помещается в сон и учтённое засыпание. @returns {string} */
+    get sleepBadgeTitle() {
+      const s = this.activeSchedule;
+      if (!s) return '';
+      const { cycleMinutes, onsetLatencyMinutes } = this.sleepConfig;
+      const cycles = getNetSleepMinutes(s.bedtime, s.wakeTime, this.sleepConfig) / cycleMinutes;
+      const onset = onsetLatencyMinutes ? this.t('sleep.badgeOnset', { minutes: onsetLatencyMinutes }) : '';
+      return this.t('sleep.badgeTitle', { cycles: this.cyclesLabel(Math.round(cycles * 10) / 10), minutes: cycleMinutes, onset });
+    },
+
+    /** Варианты времени для dropdown по циклам сна пользователя при редактировании времени. Якорь: противоположное поле. @returns {{ time: string, durationMinutes: number, durationLabel: string, cycles: number, isRecommended: boolean }[]} */
     get sleepCycleOptions() {
       const s = this.activeSchedule;
       if (!s || !this.editingTimeField) return [];
       const anchor = this.editingTimeField === 'wakeTime' ? s.bedtime : s.wakeTime;
-      return getSleepCycleOptions(anchor, this.editingTimeField);
+      return getSleepCycleOptions(anchor, this.editingTimeField, this.sleepConfig);
+    },
+
+    /** Пояснение под dropdown времени сна с учётом настроек. @returns {string} */
+    get sleepCycleHint() {
+      const { cycleMinutes, onsetLatencyMinutes } = this.sleepConfig;
+      const onset = onsetLatencyMinutes ? this.t('sleep.hintOnset', { minutes: onsetLatencyMinutes }) : '';
+      return this.t('sleep.hint', { minutes: cycleMinutes }) + onset;
+    },
+
+    /** Открывает/закрывает панель настроек; при открытии заполняет формы текущими значениями. */
+    async toggleSettings() {
+      this.isSettingsOpen = !this.isSettingsOpen;
+      if (!this.isSettingsOpen) return;
+      this.sleepConfigDraft = { ...this.sleepConfig };
+      this.sleepConfigError = '';
+      this.sleepNights = await sleepCalibrationService.getNights();
+      const schedule = this.activeSchedule;
+      this.nightDraft = {
+        date: toDateKey(this.currentTime),
+        bedtime: this.displayTime(schedule?.bedtime),
+        wakeTime: this.displayTime(schedule?.wakeTime),
+        naturalWake: true
+      };
+      this.nightError = '';
+      this.calibration = null;
+      this.calibrationError = '';
+      this.locationDraft = {
+        latitude: this.location?.latitude ?? '',
+        longitude: this.location?.longitude ?? ''
+      };
+      this.locationError = '';
+      this.caffeineHalfLifeDraft = this.caffeineHalfLifeMinutes;
+      this.caffeineError = '';
+    },
+
+    /** Сохраняет период полувыведения кофеина; кривая и предупреждения пересчитываются. */
+    async saveCaffeineHalfLife() {
+      try {
+        this.caffeineHalfLifeMinutes = await settingsService.updateCaffeineHalfLife(this.caffeineHalfLifeDraft);
+        this.caffeineError = '';
+      } catch (error) {
+        this.caffeineError = error.message;
+        return;
+      }
+      await this.reloadMarks();
+    },
+
+    /** Предупреждение о хранилище: миграция откатилась или данные записаны более новой версией. @returns {string} */
+    get storageNotice() {
+      const result = this.migrationResult;
+      if (result?.status === 'rolled-back') return this.t('storage.migrationRolledBack', { version: result.fromVersion });
+      if (result?.status === 'newer') return this.t('storage.newerSchema', { version: result.fromVersion });
+      return '';
+    },
+
+    /**
+     * Восстанавливает уцелевшие записи повреждённого ключа и, когда повреждений не осталось, загружает данные.
+     * @param {string} key - Ключ данных
+     */
+    async restoreStorageKey(key) {
+      try {
+        await storageRecoveryService.restore(key);
+      } catch (error) {
+        this.storageError = error.message;
+        return;
+      }
+      await this.reloadAfterRecovery();
+    },
+
+    /**
+     * Удаляет повреждённый ключ: эти данные начинаются заново.
+     * @param {string} key - Ключ данных
+     */
+    async discardStorageKey(key) {
+      await storageRecoveryService.discard(key);
+      await this.reloadAfterRecovery();
+    },
+
+    /** Перечитывает данные после восстановления ключа; пока повреждения остаются, экран восстановления открыт. */
+    async reloadAfterRecovery() {
+      this.storageError = '';
+      await this.loadData();
+      await this.loadTemplates();
+    },
+
+    /**
+     * Сохраняет повреждённую строку ключа файлом — до восстановления, на случай если уцелело не всё.
+     * @param {string} key - Ключ данных
+     */
+    async downloadStorageCopy(key) {
+      const raw = await storageRecoveryService.getQuarantinedData(key);
+      if (raw === null) return;
+      const url = URL.createObjectURL(new Blob([raw], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${key}-corrupted.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+
+    /** Удаляет засечки, чьего расписания больше нет. */
+    async deleteOrphanMarks() {
+      await storageRecoveryService.deleteOrphanMarks();
+      this.orphanMarkCount = 0;
+    },
+
+    /** Пересчитывает время солнца на сегодня и привязанные к нему засечки во всех расписаниях. */
+    async refreshSunTimes() {
+      this.sunTimes = await sunService.getSunTimes(this.currentTime);
+      await markService.recomputeAllAnchoredMarks(this.currentTime);
+    },
+
+    /** Сохраняет местоположение из формы; засечки от восхода и заката сдвигаются сразу. */
+    async saveLocation() {
+      try {
+        this.location = await settingsService.updateLocation(this.locationDraft);
+        this.locationError = '';
+      } catch (error) {
+        this.locationError = error.message;
+        return;
+      }
+      await this.refreshSunTimes();
+      await this.reloadMarks();
+    },
+
+    /** Сбрасывает местоположение: линии солнца скрываются, засечки от восхода остаются на последнем времени. */
+    async clearLocation() {
+      this.location = await settingsService.updateLocation(null);
+      this.locationDraft = { latitude: '', longitude: '' };
+      this.locationError = '';
+      this.sunTimes = null;
+      await this.reloadMarks();
+    },
+
+    /** Время солнца на сегодня для настроек: "🌅 5:12 · ☀️ 12:31 · 🌇 21:18" или полярный день/ночь. @returns {string} */
+    get sunSummary() {
+      const sun = this.sunTimes;
+      if (!sun) return '';
+      if (sun.polar) return this.t(sun.polar === 'day' ? 'sun.polarDay' : 'sun.polarNight');
+      return SUN_LINES.map(line => `${line.emoji} ${this.displayTime(sun[line.id])}`).join(' · ');
+    },
+
+    /** Сохраняет параметры сна. */
+    async saveSleepConfig() {
+      try {
+        this.sleepConfig = await settingsService.updateSleepConfig(this.sleepConfigDraft);
+        this.sleepConfigError = '';
+      } catch (error) {
+        this.sleepConfigError = error.message;
+      }
+    },
+
+    /** Записывает ночь из формы в журнал; дата формы сдвигается на день назад для следующей записи. */
+    async logNight() {
+      const draft = this.nightDraft;
+      try {
+        await sleepCalibrationService.logNight({
+          ...draft,
+          bedtime: this.normalizeTimeField(draft.bedtime),
+          wakeTime: this.normalizeTimeField(draft.wakeTime)
+        });
+      } catch (error) {
+        this.nightError = error.message;
+        return;
+      }
+      this.nightError = '';
+      this.sleepNights = await sleepCalibrationService.getNights();
+      this.nightDraft = { ...this.nightDraft, date: toDateKey(addDays(parseDateKey(this.nightDraft.date), -1)) };
+    },
+
+    /** @param {string} date - Дата записи журнала */
+    async deleteNight(date) {
+      await sleepCalibrationService.deleteNight(date);
+      this.sleepNights = await sleepCalibrationService.getNights();
+    },
+
+    /** Считает длительность цикла по журналу. */
+    async runCalibration() {
+      try {
+        this.calibration = await sleepCalibrationService.calibrate();
+        this.calibrationError = '';
+      } catch (error) {
+        this.calibration = null;
+        this.calibrationError = error.message;
+      }
+    },
+
+    /** Применяет рассчитанную длительность цикла. */
+    async applyCalibration() {
+      if (!this.calibration) return;
+      this.sleepConfigDraft = { ...this.sleepConfigDraft, cycleMinutes: this.calibration.cycleMinutes };
+      await this.saveSleepConfig();
+      this.calibration = null;
     },
 
     /**
-     * Склонение слова «цикл» по числу: 1 цикл, 2 цикла, 5 циклов.
+     * Число циклов с формой множественного числа языка: 1 цикл, 2 цикла, 5 циклов / 1 cycle, 5 cycles.
      * @param {number} n - Количество циклов
-     * @returns {string} Строка вида "N цикл" / "N цикла" / "N циклов"
+     * @returns {string}
      */
     cyclesLabel(n) {
-      const mod10 = n % 10;
-      const mod100 = n % 100;
-      if (mod10 === 1 && mod100 !== 11) return `${n} цикл`;
-      if (mod10 >= 2 && mod10 <= 4 && (mod100 < 10 || mod100 >= 20)) return `${n} цикла`;
-      return `${n} циклов`;
+      return this.t('sleep.cycles', { count: n });
     },
 
     /** Засечки: утро → середина дня → сон. Если сон по времени раньше подъёма — сон и всё до него в конец. @returns {Mark[]} */
@@ -129,11 +689,15 @@ export function appData() {
       return 60;
     },
 
-    /** Диапазон от первой засечки −30 мин до последней +30 мин. @returns {TimeRangeMinutes} */
+    /** Диапазон от первой засечки −30 мин до конца последней засечки или окна +30 мин. @returns {TimeRangeMinutes} */
     get timeRange() {
       if (!this.sortedMarks.length) return { start: 0, end: MINUTES_PER_DAY };
       const firstMarkTime = parseTime(this.sortedMarks[0].time);
-      const lastMarkTime = parseTime(this.sortedMarks[this.sortedMarks.length - 1].time);
+      // Окно может закончиться позже последней засечки — ищем самый поздний конец в порядке дня
+      const lastOffset = Math.max(...this.sortedMarks.map(m =>
+        (parseTime(m.time) - firstMarkTime + MINUTES_PER_DAY) % MINUTES_PER_DAY + (m.durationMinutes || 0)
+      ));
+      const lastMarkTime = (firstMarkTime + Math.min(lastOffset, MINUTES_PER_DAY - 1)) % MINUTES_PER_DAY;
       return {
         start: Math.max(0, firstMarkTime - 30),
         end: Math.min(MINUTES_PER_DAY, lastMarkTime + 30)
@@ -154,60 +718,487 @@ export function appData() {
     /** Высота SVG календаря в пикселях (totalRangeHours * pixelsPerHour + 100). @returns {number} */
     get svgHeight() {
       const hours = this.totalRangeMinutes / 60;
-      return hours * this.pixelsPerHour + 100;
+      return Math.max(hours * this.pixelsPerHour + 100, this.markLayoutBottom);
     },
 
-    /** Y-позиция красной линии текущего времени; null, если вне диапазона. @returns {number|null} */
-    get currentTimeYPosition() {
+    /**
+     * Оценка высоты подписи под линией (описание до 5 строк) по ширине календаря.
+     * @param {Mark} mark - Засечка
+     * @returns {number} Пиксели
+     */
+    estimateMarkDescHeight(mark) {
+      if (!mark.description) return 0;
+      const labelWidth = this.calendarWidth * 0.42 - 18;
+      const charsPerLine = Math.max(1, Math.floor(labelWidth / MARK_DESC_CHAR_WIDTH));
+      const lines = Math.min(MARK_DESC_MAX_LINES, Math.ceil(mark.description.length / charsPerLine));
+      return MARK_DESC_MARGIN + lines * MARK_DESC_LINE_HEIGHT;
+    },
+
+    /** Раскладка подписей засечек без наложений (см. layoutMarkLabels). @returns {MarkLayoutEntry[]} */
+    get markLayout() {
+      const items = this.sortedMarks.map((mark, index) => ({
+        mark,
+        y: this.getMarkYPosition(index),
+        height: this.estimateMarkDescHeight(mark)
+      }));
+      const layout = layoutMarkLabels(items, { titleHeight: MARK_TITLE_HEIGHT, gap: MARK_LABEL_GAP });
+      return items.map((item, index) => ({ mark: item.mark, y: item.y, ...layout[index] }));
+    },
+
+    /** Нижняя граница сдвинутых подписей (с отступом), чтобы они не выходили за календарь. @returns {number} */
+    get markLayoutBottom() {
+      const shifted = this.markLayout.filter(e => e.labelY !== e.y);
+      return Math.max(0, ...shifted.map(e => e.labelY + this.estimateMarkDescHeight(e.mark) + 30));
+    },
+
+    /**
+     * Точки ветки для SVG: от ствола на истинном времени до подписи. Если подпись сдвинута,
+     * ветка делает излом у ствола. Координаты x в процентах, y — от верха SVG ветки.
+     * @param {MarkLayoutEntry} entry - Элемент раскладки
+     * @returns {string} Атрибут points для polyline
+     */
+    branchPoints(entry) {
+      const top = Math.min(entry.y, entry.labelY);
+      const y1 = entry.y - top + 0.5;
+      const y2 = entry.labelY - top + 0.5;
+      const dir = entry.side === 'right' ? 1 : -1;
+      const outer = entry.side === 'right' ? 95 : 5;
+      if (y1 === y2) return `50,${y1} ${outer},${y2}`;
+      return `50,${y1} ${50 + 2 * dir},${y1} ${50 + 4 * dir},${y2} ${outer},${y2}`;
+    },
+
+    /**
+     * Y-позиция времени на календаре; null, если засечек нет или время вне диапазона.
+     * @param {number} timeMinutes - Время в минутах от полуночи
+     * @returns {number|null}
+     */
+    getTimeYPosition(timeMinutes) {
       if (!this.sortedMarks.length) return null;
-      const now = this.currentTime.getHours() * 60 + this.currentTime.getMinutes();
       const { start, end } = this.timeRange;
       const inRange = this.rangeWraps
-        ? (now >= start && now < MINUTES_PER_DAY) || (now >= 0 && now <= end)
-        : (now >= start && now <= end);
+        ? (timeMinutes >= start && timeMinutes < MINUTES_PER_DAY) || (timeMinutes >= 0 && timeMinutes <= end)
+        : (timeMinutes >= start && timeMinutes <= end);
       if (!inRange) return null;
-      const minutesFromStart = this.minutesFromRangeStart(now);
+      const minutesFromStart = this.minutesFromRangeStart(timeMinutes);
       return (minutesFromStart / 60) * this.pixelsPerHour + 50;
     },
 
-    /** Загружает расписания и засечки из сервисов; при пустом списке создаёт дефолтное «Обычный день». */
-    loadData() {
-      const loadedSchedules = scheduleService.getSchedules();
+    /** Y-позиция красной линии текущего времени; null, если вне диапазона. @returns {number|null} */
+    get currentTimeYPosition() {
+      return this.getTimeYPosition(this.currentTime.getHours() * 60 + this.currentTime.getMinutes());
+    },
+
+    /**
+     * Кривая кофеина по засечкам-приёмам в диапазоне календаря (до первой засечки кофеина нет).
+     * @returns {(import('./utils/CaffeineUtils.js').CaffeinePoint & { y: number })[]} Пусто, если приёмов нет
+     */
+    get caffeineCurve() {
+      if (!this.sortedMarks.length) return [];
+      const intakes = getCaffeineIntakes(this.marks, this.timeRange.start);
+      if (!intakes.length) return [];
+      return getCaffeineCurve(intakes, this.totalRangeMinutes, this.caffeineHalfLifeMinutes)
+        .map(point => ({ ...point, y: (point.offsetMinutes / 60) * this.pixelsPerHour + 50 }));
+    },
+
+    /** Атрибут points для SVG: полоса вокруг ствола, ширина ~ кофеину (правый край вниз, левый вверх). @returns {string} */
+    get caffeineCurvePoints() {
+      const halfWidth = mg => Math.min(mg / CAFFEINE_CURVE_FULL_MG, 1) * CAFFEINE_CURVE_HALF_WIDTH;
+      const right = this.caffeineCurve.map(p => `${50 + halfWidth(p.mg)},${p.y}`);
+      const left = this.caffeineCurve.map(p => `${50 - halfWidth(p.mg)},${p.y}`).reverse();
+      return [...right, ...left].join(' ');
+    },
+
+    /** Пик кофеина за день и остаток к отбою активного расписания. @returns {CaffeineSummary|null} */
+    get caffeineSummary() {
+      const schedule = this.activeSchedule;
+      const curve = this.caffeineCurve;
+      if (!schedule || !curve.length) return null;
+      const peak = curve.reduce((max, p) => (p.mg > max.mg ? p : max), curve[0]);
+      return {
+        peakMg: Math.round(peak.mg),
+        peakTime: formatTime(this.timeRange.start + peak.offsetMinutes),
+        bedtimeMg: Math.round(getCaffeineAtTime(this.marks, this.dayTimes.wakeTime, this.dayTimes.bedtime, this.caffeineHalfLifeMinutes))
+      };
+    },
+
+    /** Линии восхода, солнечного полдня и заката, попадающие в диапазон календаря. @returns {SunLine[]} */
+    get sunLines() {
+      const sun = this.sunTimes;
+      if (!sun) return [];
+      return SUN_LINES
+        .filter(line => sun[line.id])
+        .map(line => ({ ...line, time: sun[line.id], y: this.getTimeYPosition(parseTime(sun[line.id])) }))
+        .filter(line => line.y !== null);
+    },
+
+    /**
+     * Загружает расписания и засечки из сервисов. При первом запуске открывает опросник хронотипа,
+     * иначе при пустом списке создаёт «Обычный день» со временем по умолчанию из настроек.
+     * Активной становится вкладка на сегодня (разовое изменение или день недели), иначе — сохранённая в настройках.
+     * Если какие-то данные повреждены, календарь не строится: открыт экран восстановления.
+     */
+    async loadData() {
+      this.storageIssues = await storageRecoveryService.findIssues();
+      const settings = await settingsService.load();
+      this.applyDisplaySettings(settings);
+      if (this.storageIssues.length) return;
+      this.sleepConfig = settings.sleepConfig;
+      this.location = settings.location;
+      this.caffeineHalfLifeMinutes = settings.caffeineHalfLifeMinutes;
+      await shiftPlanService.applyDueSteps(this.currentTime);
+      await this.refreshSunTimes();
+      const loadedSchedules = await scheduleService.getSchedules();
+      if (loadedSchedules.length === 0 && !settings.onboardingCompleted) {
+        // Расписание создаётся после опросника — с рекомендованным временем
+        this.schedules = [];
+        this.openChronotypeQuiz('first-run');
+        await this.reloadMarks();
+        return;
+      }
       if (loadedSchedules.length === 0) {
-        const defaultSchedule = scheduleService.createSchedule('Обычный день', '07:00', '22:00');
+        const defaultSchedule = await scheduleService.createSchedule(this.t('schedule.defaultName'), settings.defaultWakeTime, settings.defaultBedtime);
         this.schedules = [defaultSchedule];
       } else {
         this.schedules = loadedSchedules;
       }
+      this.orphanMarkCount = (await storageRecoveryService.findOrphanMarks()).length;
 
-      const settings = settingsService.load();
-      const idx = settings.activeScheduleId
-        ? this.schedules.findIndex(s => s.id === settings.activeScheduleId)
+      await dayPlanService.pruneOverrides(this.currentTime);
+      await this.reloadWeekPlan();
+      const todaySchedule = this.weekPlan[0]?.schedule;
+      const activeScheduleId = todaySchedule?.id || settings.activeScheduleId;
+      const idx = activeScheduleId
+        ? this.schedules.findIndex(s => s.id === activeScheduleId)
         : -1;
       this.activeScheduleIndex = idx >= 0 ? idx : 0;
+      if (todaySchedule) await settingsService.updateActiveSchedule(todaySchedule.id);
+
+      await this.reloadMarks();
+    },
+
+    /**
+     * Расписания или засечки изменились в другой вкладке: перечитывает их, оставаясь на том же
+     * расписании (если его удалили — на соседнем). Ошибки перехватываются здесь: кэш вызывает
+     * слушателя синхронно и отклонённый промис не увидит.
+     * @param {string[]} keys - Ключи хранилища, данные которых поменялись
+     */
+    async handleRemoteStorageChange(keys) {
+      if (this.storageIssues.length) return;
+      try {
+        if (keys.includes(STORAGE_KEYS.schedules)) {
+          const activeId = this.activeSchedule?.id;
+          const schedules = await scheduleService.getSchedules();
+          const idx = schedules.findIndex(s => s.id === activeId);
+          this.schedules = schedules;
+          this.activeScheduleIndex = idx >= 0 ? idx : Math.min(this.activeScheduleIndex, Math.max(schedules.length - 1, 0));
+        }
+        if (keys.includes(STORAGE_KEYS.schedules) || keys.includes(STORAGE_KEYS.marks)) await this.reloadMarks();
+      } catch (error) {
+        console.error('Ошибка при обновлении после изменений из другой вкладки:', error);
+      }
+    },
+
+    /**
+     * Наступил новый день: применяет шаги планов плавного сдвига, пересчитывает восход и закат,
+     * обновляет план недели и переключает на вкладку, назначенную на сегодня (если есть).
+     */
+    async handleDayChange() {
+      if (await shiftPlanService.applyDueSteps(this.currentTime)) {
+        this.schedules = await scheduleService.getSchedules();
+      }
+      await this.refreshSunTimes();
+      await this.reloadMarks();
+      await this.reloadWeekPlan();
+      const todaySchedule = this.weekPlan[0]?.schedule;
+      if (!todaySchedule) return;
+      const index = this.scheduleIndex(todaySchedule.id);
+      if (index >= 0 && index !== this.activeScheduleIndex) {
+        await this.handleActiveScheduleIndexChange(index);
+      }
+    },
 
-      if (this.activeSchedule) {
-        this.marks = markService.getMarks(this.activeSchedule.id);
+    /**
+     * Расписание, которому назначен день недели.
+     * @param {number} day - Номер дня (как Date.getDay)
+     * @returns {Schedule|null}
+     */
+    weekdayOwner(day) {
+      return this.schedules.find(s => (s.weekdays || []).includes(day)) || null;
+    },
+
+    /** @param {Schedule} schedule @returns {boolean} Расписание действует сегодня (по дню недели или разовому изменению) */
+    isTodaySchedule(schedule) {
+      return this.weekPlan[0]?.schedule?.id === schedule.id;
+    },
+
+    /** Прогресс плана плавного сдвига активного расписания на сегодня. @returns {ShiftPlanProgress|null} */
+    get shiftPlanProgress() {
+      return shiftPlanService.getProgress(this.activeSchedule, this.currentTime);
+    },
+
+    /** Предпросмотр плана по форме: шаги по дням или текст ошибки. @returns {{ steps: ShiftPlanStep[], error: string }} */
+    get shiftPlanPreview() {
+      if (!this.activeSchedule || !this.isShiftPlannerOpen) return { steps: [], error: '' };
+      try {
+        return { steps: shiftPlanService.previewPlan(this.activeSchedule, this.shiftPlanInput, this.currentTime), error: '' };
+      } catch (error) {
+        return { steps: [], error: error.message };
       }
     },
 
+    /** Форма плавного сдвига с разобранным временем цели (сдвиг "+1h" — от текущего времени расписания). */
+    get shiftPlanInput() {
+      const draft = this.shiftPlanDraft;
+      return {
+        ...draft,
+        targetWakeTime: this.normalizeTimeField(draft.targetWakeTime, this.activeSchedule?.wakeTime),
+        targetBedtime: this.normalizeTimeField(draft.targetBedtime, this.activeSchedule?.bedtime)
+      };
+    },
+
+    /** Открывает/закрывает форму плавного сдвига; цель по умолчанию — текущее время расписания. */
+    toggleShiftPlanner() {
+      this.isShiftPlannerOpen = !this.isShiftPlannerOpen;
+      if (!this.isShiftPlannerOpen || !this.activeSchedule) return;
+      this.shiftPlanDraft = {
+        targetWakeTime: this.displayTime(this.activeSchedule.wakeTime),
+        targetBedtime: this.displayTime(this.activeSchedule.bedtime),
+        stepMinutes: this.shiftPlanDraft.stepMinutes
+      };
+    },
+
+    /** Запускает план для активного расписания: сегодняшний шаг применяется сразу. */
+    async startShiftPlan() {
+      if (!this.activeSchedule || this.shiftPlanPreview.error) return;
+      const updated = await shiftPlanService.startPlan(this.activeSchedule.id, this.shiftPlanInput, this.currentTime);
+      this.schedules = this.schedules.map(s => (s.id === updated.id ? updated : s));
+      this.isShiftPlannerOpen = false;
+      await this.reloadMarks();
+    },
+
+    /** Останавливает план; время остаётся на достигнутом шаге. */
+    async cancelShiftPlan() {
+      if (!this.activeSchedule) return;
+      const updated = await shiftPlanService.cancelPlan(this.activeSchedule.id);
+      this.schedules = this.schedules.map(s => (s.id === updated.id ? updated : s));
+    },
+
+    /** @returns {import('./constants/chronotype.js').ChronotypeQuestion[]} Вопросы опросника хронотипа */
+    get chronotypeQuestions() {
+      return chronotypeService.getQuestions();
+    },
+
+    /** Текущий вопрос опросника или null, если ответы даны на все. */
+    get chronotypeQuestion() {
+      if (!this.chronotypeQuiz) return null;
+      return this.chronotypeQuestions[this.chronotypeQuiz.answers.length] || null;
+    },
+
+    /** Рекомендация после ответа на все вопросы. @returns {ChronotypeRecommendation|null} */
+    get chronotypeRecommendation() {
+      if (!this.chronotypeQuiz || this.chronotypeQuestion) return null;
+      return chronotypeService.recommend(this.chronotypeQuiz.answers, this.sleepConfig);
+    },
+
+    /**
+     * Подпись ответа опросника: диапазон времени — в выбранном формате, иначе переведённый текст.
+     * @param {{ from?: string, to?: string, label: string }} answer - Ответ из chronotypeQuestion.answers
+     * @returns {string}
+     */
+    chronotypeAnswerLabel(answer) {
+      return answer.from ? `${this.displayTime(answer.from)}–${this.displayTime(answer.to)}` : answer.label;
+    },
+
+    /** Открывает опросник хронотипа. @param {'first-run'|'retake'} mode */
+    openChronotypeQuiz(mode) {
+      this.chronotypeQuiz = { mode, answers: [], bedtime: '' };
+    },
+
+    /**
+     * Записывает ответ на текущий вопрос; после последнего предлагает рекомендованный отбой.
+     * @param {number} answerIndex - Индекс ответа
+     */
+    answerChronotypeQuestion(answerIndex) {
+      const quiz = this.chronotypeQuiz;
+      if (!quiz || !this.chronotypeQuestion) return;
+      quiz.answers = [...quiz.answers, answerIndex];
+      if (this.chronotypeRecommendation) quiz.bedtime = this.chronotypeRecommendation.bedtime;
+    },
+
+    /** Возвращает к предыдущему вопросу. */
+    chronotypeQuizBack() {
+      const quiz = this.chronotypeQuiz;
+      if (!quiz || !quiz.answers.length) return;
+      quiz.answers = quiz.answers.slice(0, -1);
+    },
+
+    /** Закрывает опросник. При первом запуске создаётся расписание со временем по умолчанию. */
+    async skipChronotypeQuiz() {
+      const isFirstRun = this.chronotypeQuiz?.mode === 'first-run';
+      this.chronotypeQuiz = null;
+      if (!isFirstRun) return;
+      await settingsService.update({ onboardingCompleted: true });
+      await this.loadData();
+    },
+
+    /** Создаёт вкладку с рекомендованным временем (при первом запуске — с названием по умолчанию). */
+    async createScheduleFromChronotype() {
+      const recommendation = this.chronotypeRecommendation;
+      if (!recommendation) return;
+      const isFirstRun = this.chronotypeQuiz.mode === 'first-run';
+      const name = isFirstRun ? this.t('schedule.defaultName') : recommendation.chronotype.title;
+      const bedtime = this.chronotypeQuiz.bedtime;
+      this.chronotypeQuiz = null;
+      const schedule = await chronotypeService.createRecommendedSchedule(recommendation, bedtime, name);
+      if (isFirstRun) {
+        await this.loadData();
+        return;
+      }
+      this.schedules = [...this.schedules, schedule];
+      await this.handleActiveScheduleIndexChange(this.schedules.length - 1);
+    },
+
+    /** Применяет рекомендованное время к активной вкладке (засечки сдвигаются как при ручной правке). */
+    async applyChronotypeToActiveSchedule() {
+      const recommendation = this.chronotypeRecommendation;
+      if (!recommendation || !this.activeSchedule) return;
+      const bedtime = this.chronotypeQuiz.bedtime;
+      this.chronotypeQuiz = null;
+      await chronotypeService.saveResult(recommendation, bedtime);
+      await this.handleUpdateSchedule({ wakeTime: recommendation.wakeTime, bedtime });
+    },
+
+    /** Перечитывает план на 7 дней начиная с сегодня. */
+    async reloadWeekPlan() {
+      const dayTimes = JSON.stringify(this.dayTimes);
+      this.weekPlan = await dayPlanService.getWeek(this.currentTime);
+      // Разовое изменение сегодня двигает засечки на календаре
+      if (JSON.stringify(this.dayTimes) !== dayTimes) await this.reloadMarks();
+    },
+
+    /** Открывает/закрывает обзор недели; при закрытии сбрасывает форму изменения дня. */
+    async toggleWeekView() {
+      this.isWeekViewOpen = !this.isWeekViewOpen;
+      if (this.isWeekViewOpen) await this.reloadWeekPlan();
+      else this.cancelDayEdit();
+    },
+
+    /**
+     * Подпись дня в обзоре недели: "Сегодня", "Завтра" или "ср, 22 окт." (по языку интерфейса).
+     * @param {DayPlan} day
+     * @param {number} index - Позиция в weekPlan (0 — сегодня)
+     * @returns {string}
+     */
+    weekDayLabel(day, index) {
+      if (index === 0) return this.t('week.today');
+      if (index === 1) return this.t('week.tomorrow');
+      return parseDateKey(day.date).toLocaleDateString(this.locale, { weekday: 'short', day: 'numeric', month: 'short' });
+    },
+
+    /** @param {DayPlan} day @returns {string} Длительность сна перед днём или '—' */
+    weekDaySleepLabel(day) {
+      return day.sleepDurationMinutes === null ? '—' : formatDuration(day.sleepDurationMinutes, this.locale);
+    },
+
+    /** Открывает форму разового изменения дня. @param {DayPlan} day */
+    startEditingDay(day) {
+      const override = day.override;
+      this.dayOverrideDraft = {
+        date: day.date,
+        scheduleId: override?.scheduleId || '',
+        wakeTime: this.displayTime(override?.wakeTime),
+        bedtime: this.displayTime(override?.bedtime),
+        note: override?.note || ''
+      };
+      this.dayOverrideError = '';
+    },
+
+    /** Закрывает форму разового изменения без сохранения. */
+    cancelDayEdit() {
+      this.dayOverrideDraft = null;
+      this.dayOverrideError = '';
+    },
+
+    /** Сохраняет разовое изменение дня; базовое расписание не меняется. */
+    async saveDayEdit() {
+      const draft = this.dayOverrideDraft;
+      if (!draft) return;
+      const schedule = this.weekPlan.find(day => day.date === draft.date)?.schedule;
+      try {
+        await dayPlanService.setOverride(draft.date, {
+          ...draft,
+          wakeTime: this.normalizeTimeField(draft.wakeTime, schedule?.wakeTime),
+          bedtime: this.normalizeTimeField(draft.bedtime, schedule?.bedtime)
+        });
+      } catch (error) {
+        this.dayOverrideError = error.message;
+        return;
+      }
+      this.cancelDayEdit();
+      await this.reloadWeekPlan();
+    },
+
+    /** Убирает разовое изменение дня. @param {string} date - 'YYYY-MM-DD' */
+    async clearDayOverride(date) {
+      await dayPlanService.clearOverride(date);
+      if (this.dayOverrideDraft?.date === date) this.cancelDayEdit();
+      await this.reloadWeekPlan();
+    },
+
+    /**
+     * Подсказка для кнопки дня недели: к какому расписанию он сейчас привязан.
+     * @param {import('./constants/weekdays.js').Weekday} weekday
+     * @returns {string}
+     */
+    weekdayTitle(weekday) {
+      const owner = this.weekdayOwner(weekday.day);
+      const name = this.t(`weekday.name.${weekday.day}`);
+      if (!owner) return this.t('weekday.unassigned', { weekday: name });
+      if (owner.id === this.activeSchedule?.id) return this.t('weekday.ownedByActive', { weekday: name });
+      return this.t('weekday.ownedByOther', { weekday: name, name: owner.name });
+    },
+
+    /**
+     * Назначает день недели активному расписанию или снимает его; у другого расписания день снимается.
+     * @param {number} day - Номер дня (как Date.getDay)
+     */
+    async toggleWeekday(day) {
+      const schedule = this.activeSchedule;
+      if (!schedule) return;
+      const current = schedule.weekdays || [];
+      const next = current.includes(day) ? current.filter(d => d !== day) : [...current, day];
+      const updated = await scheduleService.setScheduleWeekdays(schedule.id, next);
+      this.schedules = this.schedules.map(s => updated.find(u => u.id === s.id) || s);
+    },
+
     /**
      * Переключает активную вкладку и сохраняет ID в настройках.
      * @param {number} index - Индекс расписания в списке
      */
-    handleActiveScheduleIndexChange(index) {
+    async handleActiveScheduleIndexChange(index) {
       this.activeScheduleIndex = index;
       const schedule = this.schedules[index];
-      if (schedule) settingsService.updateActiveSchedule(schedule.id);
+      if (schedule) await settingsService.updateActiveSchedule(schedule.id);
     },
 
     /** Запускает обновление currentTime каждую минуту; очищает interval при beforeunload. */
     startTimeUpdates() {
       timeIntervalId = setInterval(() => {
+        const previousDay = this.currentTime.toDateString();
         this.currentTime = new Date();
+        if (this.currentTime.toDateString() !== previousDay) this.handleDayChange();
       }, 60000);
       window.addEventListener('beforeunload', () => {
         if (timeIntervalId) clearInterval(timeIntervalId);
+        if (resizeHandler) window.removeEventListener('resize', resizeHandler);
+      });
+    },
+
+    /** Записывает отложенные изменения хранилища, когда страницу скрывают или закрывают. */
+    flushStorageOnHide() {
+      window.addEventListener('pagehide', () => storageCache.flush());
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') storageCache.flush();
       });
     },
 
@@ -215,26 +1206,42 @@ export function appData() {
      * Обновляет активное расписание (имя, wakeTime, bedtime) и перезагружает засечки.
      * @param {{ name?: string, wakeTime?: string, bedtime?: string }} data - Поля для обновления
      */
-    handleUpdateSchedule(data) {
+    async handleUpdateSchedule(data) {
       if (!this.activeSchedule) return;
-      const updated = scheduleService.updateSchedule(this.activeSchedule.id, data);
-      const index = this.activeScheduleIndex;
-      this.schedules = this.schedules.map((s, i) => (i === index ? updated : s));
-      this.marks = markService.getMarks(updated.id);
+      // Ручная правка времени заменяет план плавного сдвига
+      const changesTimes = data.wakeTime || data.bedtime;
+      const payload = changesTimes && this.activeSchedule.shiftPlan ? { ...data, shiftPlan: null } : data;
+      const updated = await scheduleService.updateSchedule(this.activeSchedule.id, payload);
+      this.schedules = this.schedules.map(s => (s.id === updated.id ? updated : s));
+      await this.reloadMarks();
     },
 
     /**
      * Создаёт новое расписание с заданным именем, копируя wakeTime и bedtime из текущей вкладки.
      * @param {string} name - Название нового расписания
      */
-    handleCreateSchedule(name) {
+    async handleCreateSchedule(name) {
       const currentSchedule = this.activeSchedule;
-      const wakeTime = currentSchedule?.wakeTime || '07:00';
-      const bedtime = currentSchedule?.bedtime || '22:00';
-      const newSchedule = scheduleService.createSchedule(name, wakeTime, bedtime);
+      const settings = await settingsService.load();
+      const wakeTime = currentSchedule?.wakeTime || settings.defaultWakeTime;
+      const bedtime = currentSchedule?.bedtime || settings.defaultBedtime;
+      const newSchedule = await scheduleService.createSchedule(name, wakeTime, bedtime);
       this.schedules = [...this.schedules, newSchedule];
       this.activeScheduleIndex = this.schedules.length - 1;
-      settingsService.updateActiveSchedule(newSchedule.id);
+      await settingsService.updateActiveSchedule(newSchedule.id);
+    },
+
+    /**
+     * Дублирует расписание вместе со всеми засечками и переключается на копию.
+     * @param {string} scheduleId - ID исходного расписания
+     * @param {Event} [event] - Событие (stopPropagation при наличии)
+     */
+    async duplicateScheduleById(scheduleId, event) {
+      if (event) event.stopPropagation();
+      const newSchedule = await scheduleService.duplicateSchedule(scheduleId);
+      this.schedules = [...this.schedules, newSchedule];
+      this.activeScheduleIndex = this.schedules.length - 1;
+      await settingsService.updateActiveSchedule(newSchedule.id);
     },
 
     /**
@@ -242,28 +1249,29 @@ export function appData() {
      * @param {number} index - Индекс удаляемого расписания
      * @param {Event} [event] - Событие (stopPropagation при наличии)
      */
-    handleDeleteSchedule(index, event) {
+    async handleDeleteSchedule(index, event) {
       if (event) event.stopPropagation();
       const scheduleToDelete = this.schedules[index];
-      scheduleService.deleteSchedule(scheduleToDelete.id);
       this.schedules = this.schedules.filter((_, i) => i !== index);
+      if (this.activeScheduleIndex >= this.schedules.length) {
+        this.activeScheduleIndex = Math.max(this.schedules.length - 1, 0);
+      } else if (this.activeScheduleIndex > index) {
+        this.activeScheduleIndex--;
+      }
+      await scheduleService.deleteSchedule(scheduleToDelete.id);
 
       if (this.schedules.length === 0) {
-        const defaultSchedule = scheduleService.createSchedule('Обычный день', '07:00', '22:00');
+        const settings = await settingsService.load();
+        const defaultSchedule = await scheduleService.createSchedule(this.t('schedule.defaultName'), settings.defaultWakeTime, settings.defaultBedtime);
         this.schedules = [defaultSchedule];
         this.activeScheduleIndex = 0;
-        this.marks = markService.getMarks(defaultSchedule.id);
-        settingsService.updateActiveSchedule(defaultSchedule.id);
+        await this.reloadMarks();
+        await settingsService.updateActiveSchedule(defaultSchedule.id);
       } else {
-        if (this.activeScheduleIndex >= this.schedules.length) {
-          this.activeScheduleIndex = this.schedules.length - 1;
-        } else if (this.activeScheduleIndex > index) {
-          this.activeScheduleIndex--;
-        }
         const newActive = this.schedules[this.activeScheduleIndex];
+        await this.reloadMarks();
         if (newActive) {
-          this.marks = markService.getMarks(newActive.id);
-          settingsService.updateActiveSchedule(newActive.id);
+          await settingsService.updateActiveSchedule(newActive.id);
         }
       }
     },
@@ -276,15 +1284,108 @@ export function appData() {
     },
 
     /** Переключает вкладку по ID расписания. @param {string} scheduleId */
-    selectScheduleById(scheduleId) {
+    async selectScheduleById(scheduleId) {
       const index = this.scheduleIndex(scheduleId);
-      if (index >= 0) this.handleActiveScheduleIndexChange(index);
+      if (index >= 0) await this.handleActiveScheduleIndexChange(index);
     },
 
     /** Удаляет расписание по ID (для Alpine x-for, без index в scope). @param {string} scheduleId @param {Event} [event] */
-    deleteScheduleById(scheduleId, event) {
+    async deleteScheduleById(scheduleId, event) {
       const index = this.scheduleIndex(scheduleId);
-      if (index >= 0) this.handleDeleteSchedule(index, event);
+      if (index >= 0) await this.handleDeleteSchedule(index, event);
+    },
+
+    /** Включает переименование вкладки (двойной клик). @param {string} scheduleId */
+    startRenamingSchedule(scheduleId) {
+      const schedule = this.schedules.find(s => s.id === scheduleId);
+      if (!schedule) return;
+      this.renamingScheduleId = scheduleId;
+      this.renamingScheduleName = schedule.name;
+    },
+
+    /** Закрывает поле переименования без сохранения. */
+    cancelRenaming() {
+      this.renamingScheduleId = null;
+      this.renamingScheduleName = '';
+    },
+
+    /** Сохраняет новое имя вкладки; пустое или прежнее имя — отмена. */
+    async applyRenaming() {
+      const id = this.renamingScheduleId;
+      if (!id) return;
+      const name = this.renamingScheduleName.trim();
+      const schedule = this.schedules.find(s => s.id === id);
+      if (!name || !schedule || name === schedule.name) {
+        this.cancelRenaming();
+        return;
+      }
+      this.cancelRenaming();
+      const updated = await scheduleService.renameSchedule(id, name);
+      this.schedules = this.schedules.map(s => (s.id === id ? updated : s));
+    },
+
+    /**
+     * Начало перетаскивания вкладки (HTML5 drag and drop).
+     * @param {string} scheduleId - ID перетаскиваемого расписания
+     * @param {DragEvent} event
+     */
+    startTabDrag(scheduleId, event) {
+      this.tabDrag = { id: scheduleId, overId: null };
+      if (event.dataTransfer) {
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox не начинает перетаскивание без данных
+        event.dataTransfer.setData('text/plain', scheduleId);
+      }
+    },
+
+    /** Вкладка под курсором при перетаскивании. @param {string} scheduleId */
+    dragOverTab(scheduleId) {
+      if (this.tabDrag) this.tabDrag.overId = scheduleId;
+    },
+
+    /**
+     * Ставит перетаскиваемую вкладку на место целевой и сохраняет порядок; активная вкладка остаётся активной.
+     * @param {string} targetId - ID вкладки, на которую бросили
+     */
+    async dropTab(targetId) {
+      const drag = this.tabDrag;
+      this.tabDrag = null;
+      if (!drag || drag.id === targetId) return;
+
+      const ids = this.schedules.map(s => s.id);
+      const from = ids.indexOf(drag.id);
+      const to = ids.indexOf(targetId);
+      if (from === -1 || to === -1) return;
+      ids.splice(from, 1);
+      ids.splice(to, 0, drag.id);
+
+      const activeId = this.activeSchedule?.id;
+      this.schedules = await scheduleService.reorderSchedules(ids);
+      const index = this.scheduleIndex(activeId);
+      if (index >= 0) this.activeScheduleIndex = index;
+    },
+
+    /** Сбрасывает состояние перетаскивания (dragend без drop). */
+    endTabDrag() {
+      this.tabDrag = null;
+    },
+
+    /**
+     * Alt+1…Alt+8 — вкладка по позиции, Alt+9 — последняя (как в браузерах). В полях ввода не срабатывает.
+     * @param {KeyboardEvent} event
+     */
+    handleTabShortcut(event) {
+      if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+      const target = event.target;
+      if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) return;
+      // event.code, а не event.key: на macOS Alt+цифра даёт спецсимвол
+      const match = /^Digit([1-9])$/.exec(event.code || '');
+      if (!match) return;
+      const digit = Number(match[1]);
+      const index = digit === 9 ? this.schedules.length - 1 : digit - 1;
+      if (index < 0 || index >= this.schedules.length) return;
+      event.preventDefault();
+      this.handleActiveScheduleIndexChange(index);
     },
 
     /** @param {Mark} mark - Засечка
@@ -294,6 +1395,26 @@ export function appData() {
       return this.sortedMarks.findIndex(m => m.id === mark.id);
     },
 
+    /**
+     * Время засечки для подписи: "18:00" или окно "18:00–19:15".
+     * @param {Mark} mark - Засечка
+     * @returns {string}
+     */
+    markTimeLabel(mark) {
+      if (!mark.durationMinutes) return this.displayTime(mark.time);
+      return `${this.displayTime(mark.time)}–${this.displayTime(shiftTime(mark.time, mark.durationMinutes))}`;
+    },
+
+    /** Засечки-окна (с длительностью) для отрисовки отрезков на стволе. @returns {Mark[]} */
+    get windowMarks() {
+      return this.sortedMarks.filter(m => m.durationMinutes > 0);
+    },
+
+    /** Высота отрезка окна на стволе в пикселях. @param {Mark} mark @returns {number} */
+    getMarkWindowHeight(mark) {
+      return (mark.durationMinutes / 60) * this.pixelsPerHour;
+    },
+
     /** Y-координата засечки на SVG (для Alpine x-for по mark). @param {Mark} mark @returns {number} */
     getMarkYPositionByMark(mark) {
       return this.getMarkYPosition(this.markIndex(mark));
@@ -315,14 +1436,10 @@ export function appData() {
     },
 
     /** Создаёт расписание с введённым именем; при пустом имени — отмена. */
-    createNewSchedule() {
+    async createNewSchedule() {
       const name = this.newScheduleName.trim();
-      if (!name) {
-        this.cancelCreation();
-        return;
-      }
-      this.handleCreateSchedule(name);
       this.cancelCreation();
+      if (name) await this.handleCreateSchedule(name);
     },
 
     /**
@@ -332,7 +1449,7 @@ export function appData() {
     startEditingTime(field) {
       if (!this.activeSchedule) return;
       this.editingTimeField = field;
-      this.editingTimeValue = this.activeSchedule[field] || '07:00';
+      this.editingTimeValue = this.displayTime(this.activeSchedule[field] || '07:00');
       this.$nextTick(() => {
         const refName = field === 'bedtime' ? 'bedtimeInput' : 'wakeTimeInput';
         this.$refs[refName]?.focus();
@@ -350,25 +1467,22 @@ export function appData() {
      * чтобы клик по пункту списка успел сработать.
      * @param {FocusEvent} [event] - Событие blur (relatedTarget — элемент, получивший фокус)
      */
-    applyTimeEdit(event) {
+    async applyTimeEdit(event) {
       if (event?.relatedTarget?.closest?.('.header-time-edit-wrap')) return;
-      const normalized = normalizeTime(this.editingTimeValue);
-      if (!normalized) {
-        this.cancelEditingTime();
-        return;
-      }
+      const normalized = this.parseTimeValue(this.editingTimeValue, this.activeSchedule?.[this.editingTimeField]);
       const field = this.editingTimeField;
-      this.handleUpdateSchedule({ [field]: normalized });
       this.cancelEditingTime();
+      if (normalized) await this.handleUpdateSchedule({ [field]: normalized });
     },
 
     /**
      * Выбор времени из dropdown по циклам сна: применяет время и закрывает редактирование.
      * @param {string} time - Время в формате 'HH:MM'
      */
-    selectSleepOption(time) {
-      this.handleUpdateSchedule({ [this.editingTimeField]: time });
+    async selectSleepOption(time) {
+      const field = this.editingTimeField;
       this.cancelEditingTime();
+      await this.handleUpdateSchedule({ [field]: time });
     },
 
     /** Шаг сдвига в минутах (по специ: 15 мин). */
@@ -389,6 +1503,8 @@ export function appData() {
       this.isDraggingBadge = true;
       this.shiftDragDeltaMinutes = 0;
       let lastAppliedDelta = 0;
+      // Сдвиги сохраняются по очереди: засечки сдвигаются от времени, записанного предыдущим шагом
+      let pendingUpdate = Promise.resolve();
 
       const onMove = (e2) => {
         const deltaX = e2.clientX - startX;
@@ -399,7 +1515,7 @@ export function appData() {
         lastAppliedDelta = deltaMinutes;
         const newBedtime = shiftTime(startBedtime, deltaMinutes);
         const newWakeTime = shiftTime(startWakeTime, deltaMinutes);
-        this.handleUpdateSchedule({ bedtime: newBedtime, wakeTime: newWakeTime });
+        pendingUpdate = pendingUpdate.then(() => this.handleUpdateSchedule({ bedtime: newBedtime, wakeTime: newWakeTime }));
       };
       const onUp = () => {
         document.removeEventListener('mousemove', onMove);
@@ -410,6 +1526,491 @@ export function appData() {
       document.addEventListener('mouseup', onUp);
     },
 
+    /**
+     * Перечитывает засечки активного расписания (видимые и скрытые) из сервиса.
+     * Если сегодня у расписания разовое изменение дня, календарь показывает засечки на время дня
+     * (MarkService.getMarksForDay), а скрытые засечки и отличия от шаблонов — как в расписании.
+     * Если пока шло чтение пользователь переключил вкладку, результат отбрасывается — засечки
+     * перечитает вызов для новой вкладки.
+     */
+    async reloadMarks() {
+      const schedule = this.activeSchedule;
+      const dayTimes = this.dayTimes;
+      const scheduleMarks = schedule ? await markService.getMarks(schedule.id) : [];
+      const isShiftedDay = schedule && (dayTimes.wakeTime !== schedule.wakeTime || dayTimes.bedtime !== schedule.bedtime);
+      const marks = isShiftedDay ? await markService.getMarksForDay(schedule.id, dayTimes, this.currentTime) : scheduleMarks;
+      const hiddenMarks = schedule ? await markService.getHiddenMarks(schedule.id) : [];
+      const deviations = schedule ? await markService.getMarkDeviations(schedule.id) : [];
+      const warnings = schedule ? await ruleService.evaluate({ ...schedule, ...dayTimes }, marks, this.sunTimes) : [];
+      if (this.activeSchedule?.id !== schedule?.id) return;
+      this.marks = marks;
+      this.markDayShifts = isShiftedDay ? this.getDayShifts(schedule, dayTimes, scheduleMarks, marks) : {};
+      this.hiddenMarks = hiddenMarks;
+      if (!hiddenMarks.length) this.isHiddenMarksMenuOpen = false;
+      this.markDeviations = Object.fromEntries(deviations.map(d => [d.id, d]));
+      this.markWarnings = warnings;
+    },
+
+    /**
+     * Сдвиг засечек на календаре дня относительно расписания: по id засечки и по якорям 'wakeTime' / 'bedtime'.
+     * @param {Schedule} schedule - Активное расписание
+     * @param {{ wakeTime: string, bedtime: string }} dayTimes - Подъём и отбой дня
+     * @param {Mark[]} scheduleMarks - Засечки как в расписании
+     * @param {Mark[]} dayMarks - Засечки на календаре дня
+     * @returns {Object<string, number>} Ненулевые сдвиги в минутах
+     */
+    getDayShifts(schedule, dayTimes, scheduleMarks, dayMarks) {
+      const scheduleTimes = new Map(scheduleMarks.map(m => [m.id, m.time]));
+      const shifts = {
+        [ANCHOR_WAKE]: getTimeDelta(schedule.wakeTime, dayTimes.wakeTime),
+        [ANCHOR_BEDTIME]: getTimeDelta(schedule.bedtime, dayTimes.bedtime),
+        ...Object.fromEntries(dayMarks.map(m => [m.id, getTimeDelta(scheduleTimes.get(m.id) ?? m.time, m.time)]))
+      };
+      return Object.fromEntries(Object.entries(shifts).filter(([, minutes]) => minutes !== 0));
+    },
+
+    /**
+     * Время с календаря дня → время в расписании: засечки сегодня показаны со сдвигом markDayShifts,
+     * а правка сохраняется в расписание.
+     * @param {string} time - 'HH:MM' как на календаре
+     * @param {string|null} key - Якорь засечки или её id (у фиксированной засечки сдвига нет)
+     * @returns {string} 'HH:MM'
+     */
+    toScheduleTime(time, key) {
+      const shift = key ? this.markDayShifts[key] ?? 0 : 0;
+      return shift ? shiftTime(time, -shift) : time;
+    },
+
+    /** Перечитывает библиотеку шаблонов. */
+    async loadTemplates() {
+      this.templates = await templateService.getTemplates();
+    },
+
+    /** Открывает/закрывает панель библиотеки; при закрытии сбрасывает форму шаблона. */
+    toggleLibrary() {
+      this.isLibraryOpen = !this.isLibraryOpen;
+      if (!this.isLibraryOpen) this.cancelTemplateDraft();
+    },
+
+    /**
+     * Добавляет в активное расписание засечку из шаблона.
+     * @param {string} templateId - ID шаблона
+     */
+    async insertTemplateById(templateId) {
+      if (!this.activeSchedule) return;
+      await templateService.insertTemplate(this.activeSchedule.id, templateId);
+      await this.reloadMarks();
+    },
+
+    /**
+     * Переключает автодобавление шаблона в новые расписания.
+     * @param {MarkTemplate} template - Шаблон
+     */
+    async toggleTemplateAutoApply(template) {
+      try {
+        await templateService.setAutoApply(template.id, !template.autoApply);
+      } catch (error) {
+        // Шаблон удалён в другой вкладке — после перезагрузки он пропадёт из списка
+        this.templateError = error.message;
+      }
+      await this.loadTemplates();
+    },
+
+    /** @param {string} templateId - ID шаблона */
+    async deleteTemplateById(templateId) {
+      await templateService.deleteTemplate(templateId);
+      await this.loadTemplates();
+    },
+
+    /**
+     * Сохраняет засечку в библиотеку как шаблон.
+     * @param {Mark} mark - Засечка
+     * @param {Event} [event] - Событие (stopPropagation при наличии)
+     */
+    async saveMarkToLibrary(mark, event) {
+      if (event) event.stopPropagation();
+      if (!this.activeSchedule) return;
+      await templateService.createTemplateFromMark(mark, this.activeSchedule);
+      await this.loadTemplates();
+    },
+
+    /** Открывает форму нового шаблона. */
+    startCreatingTemplate() {
+      this.templateDraft = {
+        emoji: '📌',
+        title: '',
+        description: '',
+        anchor: ANCHOR_BEDTIME,
+        time: this.displayTime(this.activeSchedule?.bedtime ?? '22:00'),
+        endTime: '',
+        autoApply: false
+      };
+      this.templateError = '';
+    },
+
+    /** Закрывает форму шаблона без сохранения. */
+    cancelTemplateDraft() {
+      this.templateDraft = null;
+      this.templateError = '';
+    },
+
+    /** Сохраняет шаблон из формы; смещение считается от якоря активного расписания. */
+    async saveTemplateDraft() {
+      const draft = this.templateDraft;
+      if (!draft || !this.activeSchedule) return;
+      const time = this.parseTimeValue(draft.time, this.activeSchedule[draft.anchor]);
+      if (!time) {
+        this.templateError = this.t('errors.invalidTime');
+        return;
+      }
+      const endTime = draft.endTime.trim() ? this.parseTimeValue(draft.endTime, time) : '';
+      if (endTime === null) {
+        this.templateError = this.t('errors.invalidEndTime');
+        return;
+      }
+      await templateService.createTemplate({
+        emoji: draft.emoji.trim(),
+        title: draft.title.trim(),
+        description: draft.description.trim(),
+        anchor: draft.anchor,
+        offsetMinutes: getTimeDelta(this.activeSchedule[draft.anchor], time),
+        durationMinutes: endTime ? getDurationMinutes(time, endTime) : 0,
+        autoApply: draft.autoApply
+      });
+      this.cancelTemplateDraft();
+      await this.loadTemplates();
+    },
+
+    /**
+     * Предупреждения правил для засечки (текст для title, по строке на правило).
+     * @param {Mark} mark - Засечка
+     * @returns {string} Пустая строка, если нарушений нет
+     */
+    markWarningText(mark) {
+      return this.markWarnings.filter(w => w.markId === mark.id).map(w => w.message).join('\n');
+    },
+
+    /** Число видимых дефолтных засечек, отличающихся от шаблона. @returns {number} */
+    get deviatedMarksCount() {
+      return this.marks.filter(m => this.markDeviations[m.id]).length;
+    },
+
+    /**
+     * Короткая метка отличия засечки от шаблона: "+30м", "−1ч", "✎" (изменён только текст или длительность).
+     * @param {Mark} mark - Засечка
+     * @returns {string} Пустая строка, если засечка совпадает с шаблоном
+     */
+    markDeviationLabel(mark) {
+      const d = this.markDeviations[mark.id];
+      if (!d) return '';
+      return d.timeDeltaMinutes !== 0 ? this.formatOffset(d.timeDeltaMinutes) : '✎';
+    },
+
+    /**
+     * Подробное описание отличия для title: рекомендованное время и что изменено.
+     * @param {Mark} mark - Засечка
+     * @returns {string}
+     */
+    markDeviationTitle(mark) {
+      const d = this.markDeviations[mark.id];
+      if (!d) return '';
+      const parts = [this.t('mark.deviationRecommended', { time: this.displayTime(d.recommendedTime) })];
+      if (d.timeDeltaMinutes !== 0) parts.push(this.t('mark.deviationShift', { offset: this.formatOffset(d.timeDeltaMinutes) }));
+      if (d.durationDeltaMinutes !== 0) parts.push(this.t('mark.deviationDuration', { offset: this.formatOffset(d.durationDeltaMinutes) }));
+      if (d.textChanged) parts.push(this.t('mark.deviationText'));
+      return parts.join(', ');
+    },
+
+    /**
+     * Возвращает дефолтную засечку к рекомендованным времени и тексту.
+     * @param {string} id - ID засечки
+     * @param {Event} [event] - Событие (stopPropagation при наличии)
+     */
+    async resetMarkById(id, event) {
+      if (event) event.stopPropagation();
+      if (!this.activeSchedule) return;
+      if (this.editingMark?.id === id) this.cancelMarkEdit();
+      await markService.resetMark(this.activeSchedule.id, id);
+      await this.reloadMarks();
+    },
+
+    /** Возвращает все дефолтные засечки активного расписания к рекомендованным. */
+    async resetAllMarks() {
+      if (!this.activeSchedule) return;
+      this.cancelMarkEdit();
+      await markService.resetMarks(this.activeSchedule.id);
+      await this.reloadMarks();
+    },
+
+    /**
+     * Скрывает дефолтную засечку в активном расписании (её можно вернуть из меню).
+     * @param {string} id - ID засечки
+     * @param {Event} [event] - Событие (stopPropagation при наличии)
+     */
+    async hideMarkById(id, event) {
+      if (event) event.stopPropagation();
+      if (!this.activeSchedule) return;
+      if (this.editingMark?.id === id) this.cancelMarkEdit();
+      await markService.setMarkHidden(this.activeSchedule.id, id, true);
+      await this.reloadMarks();
+    },
+
+    /**
+     * Возвращает скрытую засечку в календарь.
+     * @param {string} id - ID засечки
+     */
+    async restoreMarkById(id) {
+      if (!this.activeSchedule) return;
+      await markService.setMarkHidden(this.activeSchedule.id, id, false);
+      await this.reloadMarks();
+    },
+
+    /** Время под курсором на стволе (подсказка «+ HH:MM»). @returns {string} */
+    get trunkHoverTime() {
+      return this.trunkHoverY === null ? '' : this.displayTime(this.getTimeAtYPosition(this.trunkHoverY));
+    },
+
+    /**
+     * @param {Mark} mark - Засечка
+     * @returns {boolean} true, если засечка сейчас открыта в редакторе
+     */
+    isEditingMark(mark) {
+      return this.editingMark?.id === mark.id;
+    },
+
+    /**
+     * Открывает редактор для существующей засечки на её месте в календаре.
+     * @param {Mark} mark - Засечка
+     */
+    startEditingMark(mark) {
+      const entry = this.markLayout.find(e => e.mark.id === mark.id);
+      this.editingMark = {
+        id: mark.id,
+        emoji: mark.emoji,
+        title: mark.title,
+        description: mark.description,
+        time: this.displayTime(mark.time),
+        baseTime: mark.time,
+        anchor: mark.anchor || '',
+        endTime: mark.durationMinutes ? this.displayTime(shiftTime(mark.time, mark.durationMinutes)) : '',
+        isCaffeine: mark.caffeineMg > 0,
+        caffeineMg: mark.caffeineMg || DEFAULT_CAFFEINE_DOSE_MG
+      };
+      this.markEditorSide = entry?.side ?? 'right';
+      this.markEditorTop = entry?.labelY ?? this.getMarkYPositionByMark(mark);
+      this.markEditorError = '';
+    },
+
+    /**
+     * Открывает редактор новой засечки по клику на ствол.
+     * @param {number} y - Y клика относительно календаря
+     */
+    startCreatingMarkAt(y) {
+      if (!this.activeSchedule) return;
+      this.editingMark = {
+        id: null,
+        emoji: '📌',
+        title: '',
+        description: '',
+        time: this.displayTime(this.getTimeAtYPosition(y)),
+        baseTime: this.getTimeAtYPosition(y),
+        anchor: '',
+        endTime: '',
+        isCaffeine: false,
+        caffeineMg: DEFAULT_CAFFEINE_DOSE_MG
+      };
+      this.markEditorSide = 'right';
+      this.markEditorTop = y;
+      this.markEditorError = '';
+    },
+
+    /** Закрывает редактор засечки без сохранения. */
+    cancelMarkEdit() {
+      this.editingMark = null;
+      this.markEditorError = '';
+    },
+
+    /** Сохраняет засечку из редактора (создание или обновление); при неверном времени показывает ошибку. */
+    async saveMarkEdit() {
+      const draft = this.editingMark;
+      if (!draft || !this.activeSchedule) return;
+      const time = this.parseTimeValue(draft.time, draft.baseTime);
+      if (!time) {
+        this.markEditorError = this.t('errors.invalidTime');
+        return;
+      }
+      const endTime = draft.endTime.trim() ? this.parseTimeValue(draft.endTime, time) : '';
+      if (endTime === null) {
+        this.markEditorError = this.t('errors.invalidEndTime');
+        return;
+      }
+      const data = {
+        emoji: draft.emoji.trim(),
+        title: draft.title.trim(),
+        description: draft.description.trim(),
+        time: this.toScheduleTime(time, draft.anchor || draft.id),
+        durationMinutes: endTime ? getDurationMinutes(time, endTime) : 0,
+        caffeineMg: draft.isCaffeine ? draft.caffeineMg : 0
+      };
+      if (!this.isDefaultMarkId(draft.id)) {
+        data.anchor = draft.anchor || null;
+      }
+      try {
+        if (draft.id) {
+          await markService.updateMark(this.activeSchedule.id, draft.id, data);
+        } else {
+          await markService.createMark(this.activeSchedule.id, data);
+        }
+      } catch (error) {
+        this.markEditorError = error.message;
+        return;
+      }
+      this.cancelMarkEdit();
+      await this.reloadMarks();
+    },
+
+    /**
+     * @param {string|null} id - ID засечки
+     * @returns {boolean} true для дефолтных засечек (они сдвигаются вместе со сном/подъёмом и не привязываются)
+     */
+    isDefaultMarkId(id) {
+      return DEFAULT_MARK_IDS.includes(id);
+    },
+
+    /** Засечки, к которым можно привязать редактируемую (без неё самой и без замыкания цепочки). @returns {Mark[]} */
+    get markAnchorOptions() {
+      const draft = this.editingMark;
+      if (!draft) return [];
+      return this.sortedMarks.filter(m => m.id !== draft.id && !(draft.id && hasAnchorCycle(this.marks, draft.id, m.id)));
+    },
+
+    /**
+     * Текущее время якоря на календаре (подъём и отбой — с учётом разового изменения дня, см. dayTimes).
+     * @param {string} anchor - 'wakeTime', 'bedtime', 'sunrise', 'sunset' или id засечки
+     * @returns {string|null} 'HH:MM' или null, если якорь не найден
+     */
+    getAnchorTime(anchor) {
+      if (anchor === ANCHOR_WAKE || anchor === ANCHOR_BEDTIME) {
+        return this.dayTimes?.[anchor] ?? null;
+      }
+      if (SUN_ANCHORS.includes(anchor)) {
+        return this.sunTimes?.[anchor] ?? null;
+      }
+      return this.marks.find(m => m.id === anchor)?.time ?? null;
+    },
+
+    /**
+     * Смещение со знаком: "+1ч 30м", "−45м", "0м".
+     * @param {number} minutes - Смещение в минутах
+     * @returns {string}
+     */
+    formatOffset(minutes) {
+      const sign = minutes > 0 ? '+' : minutes < 0 ? '−' : '';
+      return sign + formatDuration(Math.abs(minutes), this.locale);
+    },
+
+    /**
+     * Подпись привязки засечки: "+1ч от подъёма", "−2ч от сна", "+30м от восхода", "+30м от «Обед»".
+     * @param {string|null|undefined} anchor - Якорь
+     * @param {number} offsetMinutes - Смещение от якоря
+     * @returns {string} Пустая строка для фиксированного времени
+     */
+    anchorLabel(anchor, offsetMinutes) {
+      if (!anchor) return '';
+      const offset = this.formatOffset(offsetMinutes);
+      if (anchor === ANCHOR_WAKE) return this.t('anchor.offsetFromWake', { offset });
+      if (anchor === ANCHOR_BEDTIME) return this.t('anchor.offsetFromBed', { offset });
+      if (anchor === ANCHOR_SUNRISE) return this.t('anchor.offsetFromSunrise', { offset });
+      if (anchor === ANCHOR_SUNSET) return this.t('anchor.offsetFromSunset', { offset });
+      const title = this.marks.find(m => m.id === anchor)?.title ?? '?';
+      return this.t('anchor.offsetFromMark', { offset, title });
+    },
+
+    /**
+     * Предпросмотр разобранного времени в редакторе засечки: начало — от исходного времени засечки,
+     * конец ("+45m") — от введённого начала.
+     * @returns {string}
+     */
+    get markEditorPreview() {
+      const draft = this.editingMark;
+      if (!draft) return '';
+      const start = this.timeInputPreview(draft.time, draft.baseTime);
+      const end = draft.endTime.trim()
+        ? this.timeInputPreview(draft.endTime, this.parseTimeValue(draft.time, draft.baseTime))
+        : '';
+      return [start, end].filter(Boolean).join(' · ');
+    },
+
+    /** Подпись привязки для редактора (смещение считается от введённого времени). @returns {string} */
+    get markEditorAnchorLabel() {
+      const draft = this.editingMark;
+      if (!draft?.anchor) return '';
+      const time = this.parseTimeValue(draft.time, draft.baseTime);
+      const anchorTime = this.getAnchorTime(draft.anchor);
+      if (!time || !anchorTime) return '';
+      return this.anchorLabel(draft.anchor, getTimeDelta(anchorTime, time));
+    },
+
+    /**
+     * Удаляет засечку активного расписания.
+     * @param {string} id - ID засечки
+     * @param {Event} [event] - Событие (stopPropagation при наличии)
+     */
+    async deleteMarkById(id, event) {
+      if (event) event.stopPropagation();
+      if (!this.activeSchedule) return;
+      if (this.editingMark?.id === id) this.cancelMarkEdit();
+      await markService.deleteMark(this.activeSchedule.id, id);
+      await this.reloadMarks();
+    },
+
+    /** Текст tooltip при перетаскивании засечки: "14:30 · +15 мин". @returns {string} */
+    get markDragTooltipText() {
+      if (!this.markDrag) return '';
+      const d = this.markDrag.deltaMinutes;
+      const time = this.displayTime(shiftTime(this.markDrag.time, d));
+      if (d === 0) return time;
+      return `${time} · ${this.t('common.minutes', { minutes: (d > 0 ? '+' : '') + d })}`;
+    },
+
+    /**
+     * @param {Mark} mark - Засечка
+     * @returns {boolean} true, если засечку сейчас перетаскивают
+     */
+    isDraggingMark(mark) {
+      return this.markDrag?.id === mark.id;
+    },
+
+    /**
+     * Начинает перетаскивание засечки по вертикали. Сдвиг кратен SHIFT_STEP_MINUTES,
+     * сохраняется через MarkService при отпускании кнопки мыши.
+     * @param {Mark} mark - Засечка
+     * @param {MouseEvent} e - mousedown на засечке
+     */
+    startMarkDrag(mark, e) {
+      if (!this.activeSchedule || this.editingMark) return;
+      e.preventDefault();
+      const startY = e.clientY;
+      const scheduleId = this.activeSchedule.id;
+      this.markDrag = { id: mark.id, time: mark.time, deltaMinutes: 0 };
+
+      const onMove = (e2) => {
+        const minutes = ((e2.clientY - startY) / this.pixelsPerHour) * 60;
+        this.markDrag.deltaMinutes = Math.round(minutes / this.SHIFT_STEP_MINUTES) * this.SHIFT_STEP_MINUTES;
+      };
+      const onUp = async () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        const { id, deltaMinutes } = this.markDrag;
+        this.markDrag = null;
+        if (deltaMinutes === 0) return;
+        await markService.moveMark(scheduleId, id, deltaMinutes);
+        await this.reloadMarks();
+      };
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    },
+
     /**
      * Минуты от начала визуального диапазона (учёт перехода через полночь).
      * @param {number} timeMinutes - Время в минутах от полуночи
@@ -431,20 +2032,54 @@ export function appData() {
     getMarkYPosition(index) {
       const mark = this.sortedMarks[index];
       if (!mark) return 50;
-      const markTime = parseTime(mark.time);
+      const time = this.isDraggingMark(mark) ? shiftTime(mark.time, this.markDrag.deltaMinutes) : mark.time;
+      const markTime = parseTime(time);
       const minutesFromStart = this.minutesFromRangeStart(markTime);
       return (minutesFromStart / 60) * this.pixelsPerHour + 50;
     },
 
-    /** Вызывается Alpine при инициализации: loadData, startTimeUpdates, $watch activeScheduleIndex. */
-    init() {
-      this.loadData();
+    /**
+     * Время по Y-координате на SVG (обратное к getMarkYPosition), с шагом SHIFT_STEP_MINUTES.
+     * @param {number} y - Пиксели от верха календаря
+     * @returns {string} Время в формате 'HH:MM'
+     */
+    getTimeAtYPosition(y) {
+      const minutesFromStart = ((y - 50) / this.pixelsPerHour) * 60;
+      const step = this.SHIFT_STEP_MINUTES;
+      const snapped = Math.round(minutesFromStart / step) * step;
+      return formatTime(this.timeRange.start + snapped);
+    },
+
+    /** Запоминает ширину календаря (для оценки высоты подписей) и обновляет её при resize. */
+    trackCalendarWidth() {
+      const measure = () => {
+        const width = this.$refs.calendarWrap?.clientWidth;
+        if (width) this.calendarWidth = width;
+      };
+      measure();
+      if (resizeHandler) window.removeEventListener('resize', resizeHandler);
+      resizeHandler = measure;
+      window.addEventListener('resize', resizeHandler);
+    },
+
+    /**
+     * Вызывается Alpine при инициализации: миграции хранилища, loadData, loadTemplates, startTimeUpdates, flushStorageOnHide, подписка на изменения из других вкладок, trackCalendarWidth, $watch activeScheduleIndex и schedules.
+     * Alpine.data вызывает init() сам — x-init="init()" в разметке запустил бы всё это дважды.
+     */
+    async init() {
+      this.migrationResult = await migrationService.run();
+      await this.loadData();
+      await this.loadTemplates();
       this.startTimeUpdates();
+      this.flushStorageOnHide();
+      storageCache.onRemoteChange(keys => this.handleRemoteStorageChange(keys));
+      this.$nextTick(() => this.trackCalendarWidth());
       this.$watch('activeScheduleIndex', () => {
-        if (this.activeSchedule) {
-          this.marks = markService.getMarks(this.activeSchedule.id);
-        }
+        this.cancelMarkEdit();
+        this.reloadMarks();
       });
+      // Все изменения расписаний (время, дни недели, удаление) присваивают новый массив schedules
+      this.$watch('schedules', () => this.reloadWeekPlan());
     }
   };
 }
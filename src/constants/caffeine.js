@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Параметры модели кофеина: период полувыведения, доза по умолчанию и их границы
+ */
+
+/** Период полувыведения кофеина по умолчанию, мин (в описании «Последний кофе» — 5-6 часов). */
+export const CAFFEINE_HALF_LIFE_MINUTES = 5.5 * 60;
+
+/** Допустимый период полувыведения в настройках, мин (у разных людей — от 2 до 10+ часов). */
+export const CAFFEINE_HALF_LIFE_LIMITS = Object.freeze({ min: 120, max: 720 });
+
+/** Доза по умолчанию при отметке засечки как кофеиновой, мг (чашка фильтр-кофе). */
+export const DEFAULT_CAFFEINE_DOSE_MG = 95;
+
+/** Допустимая доза одной засечки, мг. */
+export const CAFFEINE_DOSE_LIMITS = Object.freeze({ min: 1, max: 1000 });
+
+/** Шаг точек кривой кофеина, мин. */
+export const CAFFEINE_CURVE_STEP_MINUTES = 10;
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Сокращённый опросник утренности–вечерности (rMEQ, Adan & Almirall, 1991)
+ * и хронотипы по сумме баллов (4–25).
+ * Тексты — в каталогах сообщений: chronotype.question.<id>, chronotype.answer.<id>,
+ * chronotype.type.<id>.title / .description.
+ */
+
+/**
+ * Ответ: интервал времени (from–to) или вариант с текстом из каталога (id)
+ * @typedef {Object} ChronotypeAnswer
+ * @property {string} [id]
+ * @property {string} [from] - Начало интервала 'HH:MM'
+ * @property {string} [to] - Конец интервала 'HH:MM'
+ * @property {number} score
+ */
+
+/**
+ * @typedef {Object} ChronotypeQuestion
+ * @property {string} id
+ * @property {ChronotypeAnswer[]} answers
+ */
+
+/**
+ * Хронотип и рекомендуемое время подъёма для него
+ * @typedef {Object} Chronotype
+ * @property {string} id
+ * @property {number} minScore - Нижняя граница суммы баллов (включительно)
+ * @property {string} wakeTime - Рекомендуемый подъём 'HH:MM'
+ */
+
+/**
+ * Вопросы rMEQ в исходном порядке
+ * @type {ChronotypeQuestion[]}
+ */
+export const CHRONOTYPE_QUESTIONS = [
+  {
+    id: 'free-wake',
+    answers: [
+      { from: '05:00', to: '06:30', score: 5 },
+      { from: '06:30', to: '07:45', score: 4 },
+      { from: '07:45', to: '09:45', score: 3 },
+      { from: '09:45', to: '11:00', score: 2 },
+      { from: '11:00', to: '12:00', score: 1 }
+    ]
+  },
+  {
+    id: 'morning-tiredness',
+    answers: [
+      { id: 'very-tired', score: 1 },
+      { id: 'fairly-tired', score: 2 },
+      { id: 'fairly-refreshed', score: 3 },
+      { id: 'very-refreshed', score: 4 }
+    ]
+  },
+  {
+    id: 'evening-tiredness',
+    answers: [
+      { from: '20:00', to: '21:00', score: 5 },
+      { from: '21:00', to: '22:15', score: 4 },
+      { from: '22:15', to: '00:45', score: 3 },
+      { from: '00:45', to: '02:00', score: 2 },
+      { from: '02:00', to: '03:00', score: 1 }
+    ]
+  },
+  {
+    id: 'peak',
+    answers: [
+      { from: '05:00', to: '08:00', score: 5 },
+      { from: '08:00', to: '10:00', score: 4 },
+      { from: '10:00', to: '17:00', score: 3 },
+      { from: '17:00', to: '22:00', score: 2 },
+      { from: '22:00', to: '05:00', score: 1 }
+    ]
+  },
+  {
+    id: 'self-assessment',
+    answers: [
+      { id: 'definitely-morning', score: 6 },
+      { id: 'rather-morning', score: 4 },
+      { id: 'rather-evening', score: 2 },
+      { id: 'definitely-evening', score: 0 }
+    ]
+  }
+];
+
+/**
+ * Хронотипы по убыванию minScore: подходит первый, у которого score >= minScore
+ * @type {Chronotype[]}
+ */
+export const CHRONOTYPES = [
+  {
+    id: 'definite-morning',
+    minScore: 22,
+    wakeTime: '06:00'
+  },
+  {
+    id: 'moderate-morning',
+    minScore: 18,
+    wakeTime: '06:30'
+  },
+  {
+    id: 'intermediate',
+    minScore: 12,
+    wakeTime: '07:30'
+  },
+  {
+    id: 'moderate-evening',
+    minScore: 8,
+    wakeTime: '08:30'
+  },
+  {
+    id: 'definite-evening',
+    minScore: 0,
+    wakeTime: '09:30'
+  }
+];
@@ -1,8 +1,11 @@
 /**
  * @fileoverview Константы для дефолтных засечек (биохакинг: кортизол, мелатонин, аденозин)
- * Сценарий по умолчанию: Сон 22:00, Подъём 07:00
+ * Сценарий по умолчанию: Сон 22:00, Подъём 07:00.
+ * Названия и описания — в каталогах сообщений (marks.<id>.title / marks.<id>.description).
  */
 
+import { getLocale, translate } from '../utils/I18nUtils.js';
+
 /** ID засечки «Сон» (всегда последняя в порядке дня). */
 export const SLEEP_MARK_ID = 'sleep';
 
@@ -11,9 +14,10 @@ export const SLEEP_MARK_ID = 'sleep';
  * @typedef {Object} DefaultMarkTemplate
  * @property {string} id
  * @property {string} emoji
- * @property {string} title
- * @property {string} description
  * @property {number} offsetMinutes - смещение в минутах от базового времени (WakeTime или SleepTime)
+ * @property {number} [durationMinutes] - длительность окна (тренировка, приём пищи); без неё засечка — точка.
+ *   Засечки, сохранённые до появления окон, поля не имеют — при переносе данных оно берётся
+ *   из шаблона (getDefaultMarkDuration), а не обнуляется
  */
 
 /**
@@ -24,16 +28,13 @@ export const MORNING_MARK_TEMPLATES = [
   {
     id: 'wake',
     emoji: '⏰',
-    title: 'Подъём',
-    description: 'Посмотрите на яркий солнечный свет, выпейте воды, сделайте зарядку и не пользуйтесь телефоном хотя бы пол часа',
     offsetMinutes: 0
   },
   {
     id: 'breakfast',
     emoji: '🍳',
-    title: 'Завтрак',
-    description: 'Через час-полтора после подъема. Лучше всего белок, жиры и клетчатка, без быстрых углеводов, чтобы не чувствовать сонливось к середине дня',
-    offsetMinutes: 60 * 1
+    offsetMinutes: 60 * 1,
+    durationMinutes: 30
   }
 ];
 
@@ -45,43 +46,35 @@ export const EVENING_MARK_TEMPLATES = [
   {
     id: 'caffeine-stop',
     emoji: '☕️',
-    title: 'Последний кофе',
-    description: 'Коффеин мешает заснуть и уменьшает фазы глубокого сна, хоть субъективно это может быть не заметно. Его период полураспада - 5-6 часов, даже через 10 все еще остается 25%',
     offsetMinutes: -60 * 10
   },
   {
     id: 'lunch',
     emoji: '🍛',
-    title: 'Плотный обед',
-    description: 'Стоит съесть сложные углеводы и белок. По минимуму жиров и клетчатки. За 1.5-2 часа до зала, чтобы не чувствовать тяжести и продуктивно потренироваться',
-    offsetMinutes: -60 * 8.5
+    offsetMinutes: -60 * 8.5,
+    durationMinutes: 30
   },
   {
     id: 'gym',
     emoji: '🏋️‍♂️',
-    title: 'Тренировка',
-    description: 'Поможет уснуть. Должна закончиться за 4 часа до подготовки ко сну. Чтобы тело успело остыть и сбросить кортизол',
-    offsetMinutes: -60 * 7
+    offsetMinutes: -60 * 7,
+    durationMinutes: 60
   },
   {
     id: 'dinner',
     emoji: '🥗',
-    title: 'Ужин',
-    description: 'Минимум за 3 часа до сна, чтобы дать организму отдохнуть и охладиться. Можно углеводы и легкий белок. Не стоит много пить и есть быстрые углеводы',
-    offsetMinutes: -60 * 3.5
+    offsetMinutes: -60 * 3.5,
+    durationMinutes: 30
   },
   {
     id: 'no-screens',
     emoji: '📵',
-    title: 'Подготовка ко сну',
-    description: 'Уберите яркий свет и отложите телефон, чтобы исключить синее излучение. Замените гаджеты прогулкой, чтением и свечами. Используйте дыхательную медитацию, чтобы остановить внутренний диалог',
-    offsetMinutes: -60 * 2
+    offsetMinutes: -60 * 2,
+    durationMinutes: 60 * 2
   },
   {
     id: SLEEP_MARK_ID,
     emoji: '🛌',
-    title: 'Сон',
-    description: 'Для качественного глубокого сна обеспечьте себе полную темноту, тишину и температуру в районе 16-20°C. Лучше всего организм отдыхает с 22 до 2',
     offsetMinutes: 0
   }
 ];
@@ -112,3 +105,25 @@ export const EVENING_MARKS = EVENING_MARK_TEMPLATES.map(t => t.id);
  * @type {string[]}
  */
 export const DEFAULT_MARK_IDS = [...MORNING_MARKS, ...EVENING_MARKS];
+
+/**
+ * Длительность окна дефолтной засечки по шаблону
+ * @param {string} id - ID дефолтной засечки
+ * @returns {number} Минуты; 0 — засечка-точка или id не дефолтный
+ */
+export function getDefaultMarkDuration(id) {
+  return DEFAULT_MARK_TEMPLATES.find(template => template.id === id)?.durationMinutes || 0;
+}
+
+/**
+ * Название и описание дефолтной засечки на языке интерфейса
+ * @param {string} id - ID дефолтной засечки
+ * @param {string} [locale] - Язык; по умолчанию текущий
+ * @returns {{ title: string, description: string }}
+ */
+export function getDefaultMarkText(id, locale = getLocale()) {
+  return {
+    title: translate(locale, `marks.${id}.title`),
+    description: translate(locale, `marks.${id}.description`)
+  };
+}
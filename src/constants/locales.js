@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Языки интерфейса и форматы отображения времени
+ */
+
+/**
+ * Поддерживаемые языки интерфейса (есть каталог сообщений в src/i18n)
+ * @type {string[]}
+ */
+export const LOCALES = ['ru', 'en'];
+
+/** Язык по умолчанию и запасной каталог для отсутствующих сообщений. */
+export const DEFAULT_LOCALE = 'ru';
+
+/**
+ * Названия языков для переключателя — каждое на своём языке
+ * @type {Object<string, string>}
+ */
+export const LOCALE_NAMES = {
+  ru: 'Русский',
+  en: 'English'
+};
+
+/**
+ * Форматы отображения и ввода времени. В хранилище время всегда 'HH:MM' (24 часа).
+ * @type {('24h'|'12h')[]}
+ */
+export const TIME_FORMATS = ['24h', '12h'];
+
+/** Формат времени по умолчанию. */
+export const DEFAULT_TIME_FORMAT = '24h';
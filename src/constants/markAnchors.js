@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Якоря для привязки засечек: время подъёма и сна расписания, восход и закат.
+ * Любое другое значение якоря — id засечки того же расписания.
+ */
+
+/** Якорь «от подъёма» (совпадает с полем Schedule.wakeTime). */
+export const ANCHOR_WAKE = 'wakeTime';
+
+/** Якорь «от сна» (совпадает с полем Schedule.bedtime). */
+export const ANCHOR_BEDTIME = 'bedtime';
+
+/**
+ * Якоря, время которых берётся из расписания
+ * @type {string[]}
+ */
+export const SCHEDULE_ANCHORS = [ANCHOR_WAKE, ANCHOR_BEDTIME];
+
+/** Якорь «от восхода» (SunTimes.sunrise на сегодня; нужно местоположение в настройках). */
+export const ANCHOR_SUNRISE = 'sunrise';
+
+/** Якорь «от заката» (SunTimes.sunset). */
+export const ANCHOR_SUNSET = 'sunset';
+
+/**
+ * Якоря, время которых считается по солнцу
+ * @type {string[]}
+ */
+export const SUN_ANCHORS = [ANCHOR_SUNRISE, ANCHOR_SUNSET];
+
+/**
+ * Якоря, которые не являются засечками: расписание и солнце
+ * @type {string[]}
+ */
+export const BASE_ANCHORS = [...SCHEDULE_ANCHORS, ...SUN_ANCHORS];
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Правила физиологии для дефолтных засечек — те же, что в описаниях шаблонов (defaultMarks.js).
+ * Проверяются в RuleService после любых правок расписания.
+ */
+
+import { ANCHOR_WAKE, ANCHOR_BEDTIME, ANCHOR_SUNRISE } from './markAnchors.js';
+import { formatDuration } from '../utils/TimeUtils.js';
+import { getCaffeineRemainingPercent } from '../utils/CaffeineUtils.js';
+import { t } from '../utils/I18nUtils.js';
+
+/**
+ * Параметры пользователя для текста предупреждения
+ * @typedef {Object} MarkRuleContext
+ * @property {number} caffeineHalfLifeMinutes - Период полувыведения кофеина из настроек
+ */
+
+/**
+ * Правило: засечка markId должна быть не ближе minMinutes и не дальше maxMinutes
+ * до (relation 'before') или после (relation 'after') reference.
+ * @typedef {Object} MarkRule
+ * @property {string} id
+ * @property {string} markId - Проверяемая засечка (id дефолтной засечки)
+ * @property {'start'|'end'} edge - Край засечки: начало или конец окна (для засечек с длительностью)
+ * @property {string} reference - 'wakeTime', 'bedtime', 'sunrise', 'sunset' или id засечки
+ * @property {'before'|'after'} relation - Засечка до reference или после неё
+ * @property {number} [minMinutes]
+ * @property {number} [maxMinutes]
+ * @property {(gapMinutes: number, context: MarkRuleContext) => string} message - Текст предупреждения по фактическому интервалу (на текущем языке)
+ */
+
+/**
+ * @type {MarkRule[]}
+ */
+export const MARK_RULES = [
+  {
+    id: 'caffeine-before-sleep',
+    markId: 'caffeine-stop',
+    edge: 'start',
+    reference: ANCHOR_BEDTIME,
+    relation: 'before',
+    minMinutes: 60 * 10,
+    message: (gap, { caffeineHalfLifeMinutes }) => t('rules.caffeine-before-sleep', {
+      gap: formatDuration(gap),
+      percent: getCaffeineRemainingPercent(gap, caffeineHalfLifeMinutes)
+    })
+  },
+  {
+    id: 'gym-before-wind-down',
+    markId: 'gym',
+    edge: 'end',
+    reference: 'no-screens',
+    relation: 'before',
+    minMinutes: 60 * 4,
+    message: gap => t('rules.gym-before-wind-down', { gap: formatDuration(gap), min: formatDuration(60 * 4) })
+  },
+  {
+    id: 'dinner-before-sleep',
+    markId: 'dinner',
+    edge: 'end',
+    reference: ANCHOR_BEDTIME,
+    relation: 'before',
+    minMinutes: 60 * 3,
+    message: gap => t('rules.dinner-before-sleep', { gap: formatDuration(gap), min: formatDuration(60 * 3) })
+  },
+  {
+    id: 'breakfast-after-wake',
+    markId: 'breakfast',
+    edge: 'start',
+    reference: ANCHOR_WAKE,
+    relation: 'after',
+    minMinutes: 60,
+    maxMinutes: 90,
+    message: gap => t('rules.breakfast-after-wake', { gap: formatDuration(gap) })
+  },
+  {
+    // Интервал круговой: подъём за час до восхода — это 23ч «после» него
+    id: 'wake-before-sunrise',
+    markId: 'wake',
+    edge: 'start',
+    reference: ANCHOR_SUNRISE,
+    relation: 'after',
+    maxMinutes: 60 * 12,
+    message: gap => t('rules.wake-before-sunrise', { gap: formatDuration(24 * 60 - gap) })
+  }
+];
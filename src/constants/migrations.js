@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Реестр миграций схемы хранения. Миграции применяет MigrationService при запуске,
+ * до загрузки данных, по возрастанию version.
+ */
+
+import { getDefaultMarkDuration } from './defaultMarks.js';
+
+/**
+ * Данные по ключам STORAGE_KEYS ('schedules', 'marks', ...); отсутствующий ключ — undefined
+ * @typedef {Object<string, *>} StorageState
+ */
+
+/**
+ * Миграция: приводит данные к схеме version. Должна быть идемпотентной — повторный запуск
+ * на уже перенесённых данных ничего не меняет: ключи могут оказаться в разных версиях,
+ * и миграции прогоняются от самой старой из них.
+ * @typedef {Object} Migration
+ * @property {number} version - Версия схемы после миграции
+ * @property {string} description
+ * @property {(state: StorageState) => StorageState} migrate - Возвращает новое состояние, не меняя входное
+ */
+
+/**
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Конверт { version, data }; поля, добавленные до версионирования, получают значения по умолчанию',
+    migrate: state => ({
+      ...state,
+      // Вкладки без order сохраняют порядок добавления
+      schedules: state.schedules?.map((schedule, index) => ({
+        weekdays: [],
+        shiftPlan: null,
+        ...schedule,
+        order: schedule.order ?? index
+      })),
+      // Дефолтные засечки, сохранённые до появления окон, получают окно шаблона (завтрак — 30 мин)
+      marks: state.marks?.map(mark => ({
+        anchor: null,
+        offsetMinutes: 0,
+        durationMinutes: getDefaultMarkDuration(mark.id),
+        caffeineMg: 0,
+        ...mark
+      })),
+      templates: state.templates?.map(template => ({
+        durationMinutes: 0,
+        caffeineMg: 0,
+        autoApply: false,
+        ...template
+      }))
+    })
+  }
+];
+
+/** Текущая версия схемы — версия последней миграции. */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Параметры циклов сна для подсказок времени подъёма и отбоя
+ */
+
+/**
+ * Параметры сна пользователя
+ * @typedef {Object} SleepConfig
+ * @property {number} cycleMinutes - Длительность одного цикла сна
+ * @property {number} onsetLatencyMinutes - Сколько минут уходит на засыпание после отбоя
+ * @property {number} minCycles - Минимум циклов в подсказках
+ * @property {number} maxCycles - Максимум циклов в подсказках
+ */
+
+/**
+ * Значения по умолчанию: циклы по 90 минут, засыпание мгновенное
+ * @type {SleepConfig}
+ */
+export const DEFAULT_SLEEP_CONFIG = Object.freeze({
+  cycleMinutes: 90,
+  onsetLatencyMinutes: 0,
+  minCycles: 3,
+  maxCycles: 8
+});
+
+/** Рекомендуемое число циклов (7.5 ч при цикле 90 минут). */
+export const RECOMMENDED_CYCLES = 5;
+
+/**
+ * Допустимые диапазоны параметров (включительно)
+ * @type {Object<keyof SleepConfig, { min: number, max: number }>}
+ */
+export const SLEEP_CONFIG_LIMITS = Object.freeze({
+  cycleMinutes: { min: 60, max: 120 },
+  onsetLatencyMinutes: { min: 0, max: 60 },
+  minCycles: { min: 1, max: 10 },
+  maxCycles: { min: 1, max: 10 }
+});
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Ключи хранилища с данными приложения
+ */
+
+/**
+ * Ключи данных: их переносят миграции и сохраняет снимок для отката
+ * @type {Readonly<Object<string, string>>}
+ */
+export const STORAGE_KEYS = Object.freeze({
+  schedules: 'schedules',
+  marks: 'marks',
+  settings: 'settings',
+  templates: 'templates',
+  dayOverrides: 'dayOverrides',
+  sleepLog: 'sleepLog'
+});
+
+/**
+ * Что лежит в data ключа: список записей или один объект. Данные другой формы считаются повреждёнными.
+ * @type {Readonly<Object<string, 'list'|'object'>>}
+ */
+export const STORAGE_SHAPES = Object.freeze({
+  schedules: 'list',
+  marks: 'list',
+  settings: 'object',
+  templates: 'list',
+  dayOverrides: 'list',
+  sleepLog: 'list'
+});
+
+/** Суффикс ключа карантина: '<ключ>.corrupted' — исходная строка повреждённого ключа до восстановления. */
+export const QUARANTINE_KEY_SUFFIX = '.corrupted';
+
+/** Снимок данных на время миграции; если ключ остался после запуска — миграция была прервана. */
+export const MIGRATION_SNAPSHOT_KEY = 'migrationSnapshot';
+
+/** База IndexedDB для IndexedDBAdapter */
+export const INDEXED_DB_NAME = 'dailyRoutineCalendar';
+
+/** Object store IndexedDBAdapter: ключ — ключ данных, значение — строка, как в localStorage */
+export const INDEXED_DB_STORE = 'keyValue';
+
+/** Задержка записи изменений после последнего из них, мс: серия правок (перетаскивание) — одна запись */
+export const STORAGE_FLUSH_DELAY_MS = 300;
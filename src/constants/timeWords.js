@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Слова для разбора времени, введённого текстом: "half past ten", "без четверти восемь".
+ * Ключи — в нижнем регистре, «ё» заменена на «е», дефисы — на пробелы (так parseTimeInput готовит ввод).
+ */
+
+/**
+ * Час словом (английский и русский, именительный падеж): "seven", "семь", "час"
+ * @type {Object<string, number>}
+ */
+export const HOUR_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  час: 1, один: 1, два: 2, три: 3, четыре: 4, пять: 5, шесть: 6,
+  семь: 7, восемь: 8, девять: 9, десять: 10, одиннадцать: 11, двенадцать: 12
+};
+
+/**
+ * Следующий час в родительном падеже: "половина одиннадцатого" — 10:30, "десять минут восьмого" — 7:10
+ * @type {Object<string, number>}
+ */
+export const RU_HOUR_ORDINALS = {
+  первого: 1, второго: 2, третьего: 3, четвертого: 4, пятого: 5, шестого: 6,
+  седьмого: 7, восьмого: 8, девятого: 9, десятого: 10, одиннадцатого: 11, двенадцатого: 12
+};
+
+/**
+ * Минуты словом: "half past", "twenty five to", "четверть восьмого", "семь тридцать"
+ * @type {Object<string, number>}
+ */
+export const MINUTE_WORDS = {
+  half: 30, quarter: 15, 'a quarter': 15,
+  five: 5, ten: 10, fifteen: 15, twenty: 20, 'twenty five': 25, thirty: 30,
+  forty: 40, 'forty five': 45, fifty: 50, 'fifty five': 55,
+  половина: 30, пол: 30, четверть: 15,
+  пять: 5, десять: 10, пятнадцать: 15, двадцать: 20, 'двадцать пять': 25, тридцать: 30,
+  сорок: 40, 'сорок пять': 45, пятьдесят: 50, 'пятьдесят пять': 55
+};
+
+/**
+ * Минуты до часа после «без» (родительный падеж): "без четверти восемь", "без пяти час"
+ * @type {Object<string, number>}
+ */
+export const RU_MINUTES_BEFORE = {
+  четверти: 15, пяти: 5, десяти: 10, пятнадцати: 15, двадцати: 20, 'двадцати пяти': 25
+};
+
+/**
+ * Уточнение половины суток после часа: "7 вечера", "2 ночи", "ten in the evening".
+ * 'night' — 6–11 вечера, 12 и 1–5 — после полуночи.
+ * @type {Object<string, 'am'|'pm'|'night'>}
+ */
+export const DAY_PERIOD_WORDS = {
+  утра: 'am',
+  дня: 'pm',
+  вечера: 'pm',
+  ночи: 'night',
+  'in the morning': 'am',
+  'in the afternoon': 'pm',
+  'in the evening': 'pm',
+  'at night': 'night'
+};
+
+/**
+ * Время, которое называют одним словом
+ * @type {Object<string, string>}
+ */
+export const FIXED_TIME_WORDS = {
+  noon: '12:00',
+  midday: '12:00',
+  midnight: '00:00',
+  полдень: '12:00',
+  полночь: '00:00'
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Дни недели для привязки расписаний.
+ * Номер дня совпадает с Date.prototype.getDay(): 0 — воскресенье, 6 — суббота.
+ * Подписи — в каталогах сообщений: weekday.short.<day>, weekday.name.<day>.
+ */
+
+/**
+ * @typedef {Object} Weekday
+ * @property {number} day - Номер дня (как в Date.getDay)
+ */
+
+/**
+ * Дни недели в порядке отображения (с понедельника)
+ * @type {Weekday[]}
+ */
+export const WEEKDAYS = [
+  { day: 1 },
+  { day: 2 },
+  { day: 3 },
+  { day: 4 },
+  { day: 5 },
+  { day: 6 },
+  { day: 0 }
+];
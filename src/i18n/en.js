@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Каталог сообщений: английский. Отсутствующие ключи берутся из русского каталога.
+ */
+
+/**
+ * @type {Object<string, import('../utils/I18nUtils.js').Message>}
+ */
+export const EN_MESSAGES = {
+  // Общее
+  'common.create': 'Create',
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.close': 'Close',
+  'common.back': '← Back',
+  'common.wakeTime': 'Wake-up',
+  'common.bedtime': 'Bedtime',
+  'common.time': 'Time',
+  'common.endTime': 'End time',
+  'common.endPlaceholder': 'end',
+  'common.title': 'Title',
+  'common.titlePlaceholder': 'Title...',
+  'common.description': 'Description',
+  'common.descriptionPlaceholder': 'Description...',
+  'common.minutes': '{minutes} min',
+  'app.footer': 'Made with love by Maxim Zemlyanikin for himself and all of humanity. Based on Shawn Stevenson\'s book "Sleep Smarter"',
+
+  // Длительность (formatDuration)
+  'duration.hoursMinutes': '{hours}h {minutes}m',
+  'duration.hours': '{hours}h',
+  'duration.minutes': '{minutes}m',
+
+  // Предпросмотр разобранного времени (parseTimeInput)
+  'timeInput.preview': '→ {time}',
+  'timeInput.ambiguous': '→ {time} (or {alternative}? add am/pm)',
+
+  // Дни недели (номер как в Date.getDay)
+  'weekday.short.0': 'Su',
+  'weekday.short.1': 'Mo',
+  'weekday.short.2': 'Tu',
+  'weekday.short.3': 'We',
+  'weekday.short.4': 'Th',
+  'weekday.short.5': 'Fr',
+  'weekday.short.6': 'Sa',
+  'weekday.name.0': 'Sunday',
+  'weekday.name.1': 'Monday',
+  'weekday.name.2': 'Tuesday',
+  'weekday.name.3': 'Wednesday',
+  'weekday.name.4': 'Thursday',
+  'weekday.name.5': 'Friday',
+  'weekday.name.6': 'Saturday',
+  'weekday.groupLabel': 'Schedule weekdays',
+  'weekday.unassigned': '{weekday}: not assigned',
+  'weekday.ownedByActive': '{weekday}: opens this schedule',
+  'weekday.ownedByOther': '{weekday}: currently "{name}" — click to move it here',
+
+  // Вкладки расписаний
+  'schedule.defaultName': 'Regular day',
+  'schedule.newName': 'New schedule',
+  'schedule.copyName': '{name} (copy)',
+  'tab.shortcutTitle': 'Alt+{number} · double-click to rename',
+  'tab.renameTitle': 'Double-click to rename',
+  'tab.today': 'Today\'s schedule',
+  'tab.duplicate': 'Duplicate schedule',
+  'tab.delete': 'Delete schedule',
+  'tab.nameLabel': 'Schedule name',
+  'tab.add': 'add',
+  'tab.addTitle': 'Create a new schedule',
+
+  // Сон и циклы
+  'sleep.cycles': { one: '{count} cycle', other: '{count} cycles' },
+  'sleep.currentDuration': 'Current duration',
+  'sleep.badgeTitle': '≈{cycles} of {minutes} min{onset}. Drag to shift the times.',
+  'sleep.badgeOnset': ', {minutes} min to fall asleep',
+  'sleep.hint': 'One sleep cycle lasts ~{minutes} minutes and goes through light, deep and REM sleep. Waking up at the end of a cycle is much easier than in the middle of one.',
+  'sleep.hintOnset': ' Options include ~{minutes} min to fall asleep.',
+
+  // Настройки
+  'settings.title': 'Settings',
+  'settings.interface': 'Interface',
+  'settings.language': 'Language',
+  'settings.timeFormat': 'Time format',
+  'settings.timeFormat.24h': '24-hour',
+  'settings.timeFormat.12h': '12-hour (AM/PM)',
+  'settings.sleepCycles': 'Sleep cycles',
+  'settings.cycleMinutes': 'Cycle length, min',
+  'settings.onsetMinutes': 'Falling asleep, min',
+  'settings.cycleRange': 'Cycles in suggestions',
+  'settings.minCycles': 'Minimum cycles',
+  'settings.maxCycles': 'Maximum cycles',
+  'settings.cycleLength': 'Cycle length',
+  'settings.onsetLatency': 'Time to fall asleep',
+  'settings.calibration': 'Cycle calibration',
+  'settings.calibrationHint': 'Log the nights you woke up on your own, without an alarm: such a wake-up falls at the end of a cycle.',
+  'settings.wakeDate': 'Wake-up date',
+  'settings.naturalWake': 'natural',
+  'settings.naturalWakeTitle': 'Woke up on my own, without an alarm',
+  'settings.alarmWake': 'alarm',
+  'settings.logNight': 'Log night',
+  'settings.deleteNight': 'Delete entry',
+  'settings.calibrate': 'Calculate',
+  'settings.applyCalibration': 'Apply',
+  'settings.calibrationResult': 'Cycle ≈ {minutes} min from {nights}',
+  'settings.nights': { one: '{count} night', other: '{count} nights' },
+  'settings.caffeine': 'Caffeine',
+  'settings.caffeineHalfLife': 'Half-life, min',
+  'settings.caffeineHint': 'Usually 5–6 hours (300–360 min); longer during pregnancy or on hormonal contraceptives, shorter for smokers.',
+  'settings.location': 'Location',
+  'settings.locationHint': 'Approximate coordinates for sunrise and sunset; computed on the device, no network needed.',
+  'settings.latitude': 'Latitude (north +)',
+  'settings.longitude': 'Longitude (east +)',
+  'settings.clearLocation': 'Clear',
+  'settings.sunToday': 'Today: {times}',
+
+  // Кофеин
+  'caffeine.toggle': '☕ Caffeine',
+  'caffeine.doseLabel': 'Caffeine dose, mg',
+  'caffeine.unit': 'mg',
+  'caffeine.dose': '☕ {mg} mg',
+  'caffeine.summary': '☕ Caffeine peaks at ~{peak} mg at {time}, ~{bedtime} mg left at bedtime',
+
+  // Хранилище
+  'storage.migrationRolledBack': 'Could not upgrade the saved data format (version {version}) — the data was restored as it was. The app will try again on next launch.',
+  'storage.newerSchema': 'The data was saved by a newer version of the app (schema {version}) — some settings may not be shown.',
+  'storage.recoveryTitle': 'Some data is damaged',
+  'storage.recoveryText': 'This data cannot be read. Until you decide what to do with it, the app will not overwrite it. You can restore the records that survived or start over — save a copy first if it may be useful.',
+  'storage.salvageable': { one: '{count} record survived', other: '{count} records survived' },
+  'storage.download': 'Save a copy',
+  'storage.discard': 'Start over',
+  'storage.restore': 'Restore',
+  'storage.orphanMarks': { one: '{count} mark is left from a deleted schedule', other: '{count} marks are left from a deleted schedule' },
+  'storage.deleteOrphans': 'Delete',
+  'storage.key.schedules': 'Schedules',
+  'storage.key.marks': 'Marks',
+  'storage.key.settings': 'Settings',
+  'storage.key.templates': 'Mark templates',
+  'storage.key.dayOverrides': 'Date overrides',
+  'storage.key.sleepLog': 'Sleep log',
+
+  // Солнце
+  'sun.sunrise': 'Sunrise',
+  'sun.solarNoon': 'Solar noon',
+  'sun.sunset': 'Sunset',
+  'sun.polarDay': 'Polar day — the sun does not set',
+  'sun.polarNight': 'Polar night — the sun does not rise',
+
+  // Засечки
+  'mark.newTitle': 'New mark',
+  'mark.dragTitle': 'Drag to move the time',
+  'mark.reset': 'Restore recommended',
+  'mark.edit': 'Edit mark',
+  'mark.hide': 'Hide the mark in this schedule',
+  'mark.saveToLibrary': 'Save to library',
+  'mark.delete': 'Delete mark',
+  'mark.add': 'Add mark',
+  'mark.endTimeTitle': 'Optional: an end time turns the mark into a window',
+  'mark.resetAll': '↺ Reset to recommended ({count})',
+  'mark.resetAllTitle': 'Restore the recommended times and text of the default marks',
+  'mark.deviationRecommended': 'Recommended: {time}',
+  'mark.deviationShift': 'shifted {offset}',
+  'mark.deviationDuration': 'duration {offset}',
+  'mark.deviationText': 'text changed',
+  'mark.hiddenCount': 'Hidden: {count}',
+  'mark.restore': 'restore',
+  'mark.restoreTitle': 'Restore mark',
+
+  // Привязки
+  'anchor.label': 'Anchor',
+  'anchor.fixed': 'Fixed time',
+  'anchor.fromWake': 'From wake-up',
+  'anchor.fromBed': 'From bedtime',
+  'anchor.fromMark': 'From "{title}"',
+  'anchor.offsetFromWake': '{offset} from wake-up',
+  'anchor.offsetFromBed': '{offset} from bedtime',
+  'anchor.offsetFromMark': '{offset} from "{title}"',
+  'anchor.fromSunrise': 'From sunrise',
+  'anchor.fromSunset': 'From sunset',
+  'anchor.offsetFromSunrise': '{offset} from sunrise',
+  'anchor.offsetFromSunset': '{offset} from sunset',
+
+  // Библиотека шаблонов
+  'library.button': '📚 Library',
+  'library.empty': 'Save your marks (☆ on hover) or create a template to add them to any schedule.',
+  'library.autoApplyShort': 'to new',
+  'library.autoApplyTitle': 'Add to every new schedule',
+  'library.autoApply': 'add to new schedules',
+  'library.insert': 'Add to the current schedule',
+  'library.delete': 'Delete template',
+  'library.new': '+ new template',
+
+  // Плавный сдвиг
+  'shift.button': '⇢ Gradual shift',
+  'shift.target': 'Target',
+  'shift.targetWake': 'Target wake-up',
+  'shift.targetBed': 'Target bedtime',
+  'shift.step': 'Step per day',
+  'shift.previewDay': 'Day {day}: ☀️ {wakeTime} · 🌙 {bedtime}',
+  'shift.start': 'Start with today\'s step',
+  'shift.progress': 'Gradual shift: day {day} of {total}',
+  'shift.today': 'today ☀️ {wakeTime} · 🌙 {bedtime}',
+  'shift.goal': '→ target {wakeTime} · {bedtime}',
+  'shift.cancel': 'Stop the plan (times stay as today)',
+
+  // Обзор недели
+  'week.button': '📅 Week',
+  'week.today': 'Today',
+  'week.tomorrow': 'Tomorrow',
+  'week.openSchedule': 'Open schedule',
+  'week.unassigned': 'not assigned',
+  'week.sleepTitle': 'Sleep the night before',
+  'week.editDay': 'Change this day only',
+  'week.clearOverride': 'Remove the one-off change',
+  'week.scheduleForDay': 'Schedule for the day',
+  'week.byWeekday': 'By weekday',
+  'week.note': 'Note',
+  'week.notePlaceholder': 'Note (flight, early meeting)...',
+  'week.hint': 'A one-off change (✎) applies to that day only and leaves the schedule as is.',
+
+  // Опросник хронотипа
+  'quiz.openTitle': 'Chronotype quiz: find your wake-up and bed times',
+  'quiz.step': 'Question {number} of {total}',
+  'quiz.score': 'Score: {score} of 25',
+  'quiz.wakeHint': 'Wake up at {time}. Bedtime in whole sleep cycles:',
+  'quiz.skipFirstRun': 'Skip ({wakeTime} / {bedtime})',
+  'quiz.apply': 'Apply to "{name}"',
+  'quiz.createSchedule': 'Create schedule',
+  'quiz.newTab': 'New tab',
+
+  'chronotype.question.free-wake': 'What time would you get up if you were entirely free to plan your day?',
+  'chronotype.question.morning-tiredness': 'How do you feel during the first half hour after waking up in the morning?',
+  'chronotype.question.evening-tiredness': 'At what time in the evening do you feel tired and in need of sleep?',
+  'chronotype.question.peak': 'At what time of day do you feel your best?',
+  'chronotype.question.self-assessment': 'People are said to be "morning larks" or "night owls". Which one do you consider yourself?',
+  'chronotype.answer.very-tired': 'Very tired',
+  'chronotype.answer.fairly-tired': 'Fairly tired',
+  'chronotype.answer.fairly-refreshed': 'Fairly refreshed',
+  'chronotype.answer.very-refreshed': 'Very refreshed',
+  'chronotype.answer.definitely-morning': 'Definitely a lark',
+  'chronotype.answer.rather-morning': 'Rather a lark',
+  'chronotype.answer.rather-evening': 'Rather an owl',
+  'chronotype.answer.definitely-evening': 'Definitely an owl',
+  'chronotype.type.definite-morning.title': 'Definite lark',
+  'chronotype.type.definite-morning.description': 'Peak alertness early in the morning; energy fades fast in the evening. Getting up early is easy.',
+  'chronotype.type.moderate-morning.title': 'Moderate lark',
+  'chronotype.type.moderate-morning.description': 'Comfortable getting up early, without going to extremes.',
+  'chronotype.type.intermediate.title': 'Intermediate type',
+  'chronotype.type.intermediate.description': 'You adapt to most routines; keeping a steady wake-up time helps.',
+  'chronotype.type.moderate-evening.title': 'Moderate owl',
+  'chronotype.type.moderate-evening.description': 'Alertness builds towards the evening. Later wake-up and bed times are kinder to your sleep.',
+  'chronotype.type.definite-evening.title': 'Definite owl',
+  'chronotype.type.definite-evening.description': 'Peak activity in the evening and at night. Early wake-ups need plenty of morning light and a gradual shift.',
+
+  // Дефолтные засечки (marks.<id>.title / .description)
+  'marks.wake.title': 'Wake up',
+  'marks.wake.description': 'Look at bright sunlight, drink some water, do a short workout and stay off your phone for at least half an hour',
+  'marks.breakfast.title': 'Breakfast',
+  'marks.breakfast.description': 'An hour to an hour and a half after waking. Protein, fats and fiber work best; skip fast carbs so you don\'t feel sleepy by midday',
+  'marks.caffeine-stop.title': 'Last coffee',
+  'marks.caffeine-stop.description': 'Caffeine makes it harder to fall asleep and cuts deep sleep, even if you don\'t notice it. Its half-life is 5-6 hours; 25% is still there after 10',
+  'marks.lunch.title': 'Big lunch',
+  'marks.lunch.description': 'Go for complex carbs and protein, keep fats and fiber low. 1.5-2 hours before the gym so you don\'t feel heavy and train well',
+  'marks.gym.title': 'Workout',
+  'marks.gym.description': 'Helps you fall asleep. Should end 4 hours before winding down so the body can cool off and drop cortisol',
+  'marks.dinner.title': 'Dinner',
+  'marks.dinner.description': 'At least 3 hours before bed so the body can rest and cool down. Carbs and light protein are fine. Avoid drinking a lot and fast carbs',
+  'marks.no-screens.title': 'Wind down',
+  'marks.no-screens.description': 'Dim the lights and put your phone away to cut blue light. Swap gadgets for a walk, reading and candles. Use breathing meditation to quiet your inner dialogue',
+  'marks.sleep.title': 'Sleep',
+  'marks.sleep.description': 'For good deep sleep, make it completely dark and quiet, with a temperature around 16-20°C. The body recovers best from 10 pm to 2 am',
+
+  // Правила физиологии (markRules.js)
+  'rules.caffeine-before-sleep': 'Last coffee {gap} before bed — ~{percent}% of the caffeine will remain at bedtime',
+  'rules.gym-before-wind-down': 'Workout ends {gap} before winding down — the body needs at least {min} to cool off and drop cortisol',
+  'rules.dinner-before-sleep': 'Dinner ends {gap} before bed — at least {min} is needed',
+  'rules.breakfast-after-wake': 'Breakfast {gap} after waking — 1–1.5h is better',
+  'rules.wake-before-sunrise': 'Waking {gap} before sunrise — there is no morning sun yet, use bright indoor light',
+
+  // Ошибки сервисов и форм
+  'errors.invalidTime': 'Invalid time',
+  'errors.invalidEndTime': 'Invalid end time',
+  'errors.invalidTimeFormat': 'Invalid time format',
+  'errors.invalidTimeValue': 'Invalid time format: {time}',
+  'errors.invalidDate': 'Invalid date: {date}',
+  'errors.scheduleNotFound': 'Schedule with id {id} not found',
+  'errors.markNotFound': 'Mark with id {id} not found',
+  'errors.anchorMarkNotFound': 'Anchor mark with id {id} not found',
+  'errors.templateNotFound': 'Template with id {id} not found',
+  'errors.emptyScheduleName': 'Schedule name cannot be empty',
+  'errors.invalidWeekday': 'Invalid weekday',
+  'errors.hideDefaultOnly': 'Only a default mark can be hidden',
+  'errors.resetDefaultOnly': 'Only a default mark can be reset to recommended',
+  'errors.anchorUserOnly': 'Only a custom mark can be anchored',
+  'errors.anchorCycle': 'Circular mark anchors',
+  'errors.templateAnchor': 'A template can only be anchored to wake-up or bedtime',
+  'errors.shiftStepRange': 'The shift step must be {min} to {max} minutes a day',
+  'errors.shiftTargetSame': 'The target times match the current ones',
+  'errors.sleepConfigRange': '{label}: from {min} to {max}',
+  'errors.minCyclesAboveMax': 'Minimum cycles cannot exceed the maximum',
+  'errors.caffeineDoseRange': 'Caffeine dose must be between {min} and {max} mg',
+  'errors.caffeineHalfLifeRange': 'Half-life must be between {min} and {max} minutes',
+  'errors.locationRange': 'Latitude must be between −90 and 90, longitude between −180 and 180',
+  'errors.storageCorrupted': '{name} data is damaged',
+  'errors.storageQuarantined': '{name} data is damaged — changes are not saved until it is restored',
+  'errors.sunUnavailable': 'Sunrise and sunset are unknown: set your location in settings (sun anchors are unavailable during polar day and night)',
+  'errors.calibrationNights': {
+    one: 'At least {count} night with a natural wake-up is needed',
+    other: 'At least {count} nights with a natural wake-up are needed'
+  },
+  'errors.answerAll': 'Answer all the questions'
+};
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Каталог сообщений: русский (язык по умолчанию, запасной для остальных каталогов)
+ */
+
+/**
+ * @type {Object<string, import('../utils/I18nUtils.js').Message>}
+ */
+export const RU_MESSAGES = {
+  // Общее
+  'common.create': 'Создать',
+  'common.cancel': 'Отмена',
+  'common.save': 'Сохранить',
+  'common.close': 'Закрыть',
+  'common.back': '← Назад',
+  'common.wakeTime': 'Подъём',
+  'common.bedtime': 'Отбой',
+  'common.time': 'Время',
+  'common.endTime': 'Время окончания',
+  'common.endPlaceholder': 'конец',
+  'common.title': 'Название',
+  'common.titlePlaceholder': 'Название...',
+  'common.description': 'Описание',
+  'common.descriptionPlaceholder': 'Описание...',
+  'common.minutes': '{minutes} мин',
+  'app.footer': 'Сделано с любовью Максимом Земляникиным для себя и всего человечества. На базе книги Шона Стивенсона «Здоровый сон»',
+
+  // Длительность (formatDuration)
+  'duration.hoursMinutes': '{hours}ч {minutes}м',
+  'duration.hours': '{hours}ч',
+  'duration.minutes': '{minutes}м',
+
+  // Предпросмотр разобранного времени (parseTimeInput)
+  'timeInput.preview': '→ {time}',
+  'timeInput.ambiguous': '→ {time} (или {alternative}? уточните «утра»/«вечера»)',
+
+  // Дни недели (номер как в Date.getDay)
+  'weekday.short.0': 'Вс',
+  'weekday.short.1': 'Пн',
+  'weekday.short.2': 'Вт',
+  'weekday.short.3': 'Ср',
+  'weekday.short.4': 'Чт',
+  'weekday.short.5': 'Пт',
+  'weekday.short.6': 'Сб',
+  'weekday.name.0': 'Воскресенье',
+  'weekday.name.1': 'Понедельник',
+  'weekday.name.2': 'Вторник',
+  'weekday.name.3': 'Среда',
+  'weekday.name.4': 'Четверг',
+  'weekday.name.5': 'Пятница',
+  'weekday.name.6': 'Суббота',
+  'weekday.groupLabel': 'Дни недели расписания',
+  'weekday.unassigned': '{weekday}: не назначен',
+  'weekday.ownedByActive': '{weekday}: открывается это расписание',
+  'weekday.ownedByOther': '{weekday}: сейчас «{name}» — нажмите, чтобы перенести сюда',
+
+  // Вкладки расписаний
+  'schedule.defaultName': 'Обычный день',
+  'schedule.newName': 'Новое расписание',
+  'schedule.copyName': '{name} (копия)',
+  'tab.shortcutTitle': 'Alt+{number} · двойной клик — переименовать',
+  'tab.renameTitle': 'Двойной клик — переименовать',
+  'tab.today': 'Расписание на сегодня',
+  'tab.duplicate': 'Дублировать расписание',
+  'tab.delete': 'Удалить расписание',
+  'tab.nameLabel': 'Название расписания',
+  'tab.add': 'добавить',
+  'tab.addTitle': 'Создать новое расписание',
+
+  // Сон и циклы
+  'sleep.cycles': { one: '{count} цикл', few: '{count} цикла', many: '{count} циклов', other: '{count} цикла' },
+  'sleep.currentDuration': 'Текущая длительность',
+  'sleep.badgeTitle': '≈{cycles} по {minutes} мин{onset}. Перетащите для сдвига времени.',
+  'sleep.badgeOnset': ', засыпание {minutes} мин',
+  'sleep.hint': 'Один цикл сна длится ~{minutes} минут и состоит из фаз медленного и быстрого сна. Проснуться в конце цикла гораздо легче, чем прервать его на середине.',
+  'sleep.hintOnset': ' Варианты учитывают ~{minutes} мин на засыпание.',
+
+  // Настройки
+  'settings.title': 'Настройки',
+  'settings.interface': 'Интерфейс',
+  'settings.language': 'Язык',
+  'settings.timeFormat': 'Формат времени',
+  'settings.timeFormat.24h': '24 часа',
+  'settings.timeFormat.12h': '12 часов (AM/PM)',
+  'settings.sleepCycles': 'Циклы сна',
+  'settings.cycleMinutes': 'Длительность цикла, мин',
+  'settings.onsetMinutes': 'Засыпание, мин',
+  'settings.cycleRange': 'Циклов в подсказках',
+  'settings.minCycles': 'Минимум циклов',
+  'settings.maxCycles': 'Максимум циклов',
+  'settings.cycleLength': 'Длительность цикла',
+  'settings.onsetLatency': 'Время засыпания',
+  'settings.calibration': 'Калибровка цикла',
+  'settings.calibrationHint': 'Записывайте ночи, когда просыпались сами, без будильника: пробуждение приходится на конец цикла.',
+  'settings.wakeDate': 'Дата пробуждения',
+  'settings.naturalWake': 'сам',
+  'settings.naturalWakeTitle': 'Проснулся сам, без будильника',
+  'settings.alarmWake': 'будильник',
+  'settings.logNight': 'Записать ночь',
+  'settings.deleteNight': 'Удалить запись',
+  'settings.calibrate': 'Рассчитать',
+  'settings.applyCalibration': 'Применить',
+  'settings.calibrationResult': 'Цикл ≈ {minutes} мин по {nights}',
+  'settings.nights': { one: '{count} ночи', few: '{count} ночам', many: '{count} ночам', other: '{count} ночам' },
+  'settings.caffeine': 'Кофеин',
+  'settings.caffeineHalfLife': 'Период полувыведения, мин',
+  'settings.caffeineHint': 'Обычно 5–6 часов (300–360 мин); дольше — при беременности и гормональных контрацептивах, короче — у курящих.',
+  'settings.location': 'Местоположение',
+  'settings.locationHint': 'Примерные координаты для восхода и заката; считаются на устройстве, без сети.',
+  'settings.latitude': 'Широта (север +)',
+  'settings.longitude': 'Долгота (восток +)',
+  'settings.clearLocation': 'Сбросить',
+  'settings.sunToday': 'Сегодня: {times}',
+
+  // Кофеин
+  'caffeine.toggle': '☕ Кофеин',
+  'caffeine.doseLabel': 'Доза кофеина, мг',
+  'caffeine.unit': 'мг',
+  'caffeine.dose': '☕ {mg} мг',
+  'caffeine.summary': '☕ Пик кофеина ~{peak} мг в {time}, к отбою останется ~{bedtime} мг',
+
+  // Хранилище
+  'storage.migrationRolledBack': 'Не удалось обновить формат сохранённых данных (версия {version}) — данные восстановлены как были. Приложение попробует снова при следующем запуске.',
+  'storage.newerSchema': 'Данные сохранены более новой версией приложения (схема {version}) — часть настроек может не отображаться.',
+  'storage.recoveryTitle': 'Часть данных повреждена',
+  'storage.recoveryText': 'Эти данные не читаются. Пока вы не решите, что с ними делать, приложение их не перезаписывает. Можно восстановить уцелевшие записи или начать заново — сначала сохраните копию, если она может пригодиться.',
+  'storage.salvageable': { one: 'уцелела {count} запись', few: 'уцелели {count} записи', many: 'уцелело {count} записей', other: 'уцелело {count} записи' },
+  'storage.download': 'Сохранить копию',
+  'storage.discard': 'Начать заново',
+  'storage.restore': 'Восстановить',
+  'storage.orphanMarks': { one: '{count} засечка осталась от удалённого расписания', few: '{count} засечки остались от удалённого расписания', many: '{count} засечек остались от удалённого расписания', other: '{count} засечки остались от удалённого расписания' },
+  'storage.deleteOrphans': 'Удалить',
+  'storage.key.schedules': 'Расписания',
+  'storage.key.marks': 'Засечки',
+  'storage.key.settings': 'Настройки',
+  'storage.key.templates': 'Шаблоны засечек',
+  'storage.key.dayOverrides': 'Изменения по датам',
+  'storage.key.sleepLog': 'Журнал сна',
+
+  // Солнце
+  'sun.sunrise': 'Восход',
+  'sun.solarNoon': 'Солнечный полдень',
+  'sun.sunset': 'Закат',
+  'sun.polarDay': 'Полярный день — солнце не заходит',
+  'sun.polarNight': 'Полярная ночь — солнце не восходит',
+
+  // Засечки
+  'mark.newTitle': 'Новая засечка',
+  'mark.dragTitle': 'Перетащите, чтобы сдвинуть время',
+  'mark.reset': 'Вернуть рекомендованное',
+  'mark.edit': 'Редактировать засечку',
+  'mark.hide': 'Скрыть засечку в этом расписании',
+  'mark.saveToLibrary': 'Сохранить в библиотеку',
+  'mark.delete': 'Удалить засечку',
+  'mark.add': 'Добавить засечку',
+  'mark.endTimeTitle': 'Необязательно: время окончания превращает засечку в окно',
+  'mark.resetAll': '↺ К рекомендованным ({count})',
+  'mark.resetAllTitle': 'Вернуть дефолтным засечкам рекомендованные время и текст',
+  'mark.deviationRecommended': 'Рекомендовано: {time}',
+  'mark.deviationShift': 'сдвиг {offset}',
+  'mark.deviationDuration': 'длительность {offset}',
+  'mark.deviationText': 'текст изменён',
+  'mark.hiddenCount': 'Скрыто: {count}',
+  'mark.restore': 'вернуть',
+  'mark.restoreTitle': 'Вернуть засечку',
+
+  // Привязки
+  'anchor.label': 'Привязка',
+  'anchor.fixed': 'Фиксированное время',
+  'anchor.fromWake': 'От подъёма',
+  'anchor.fromBed': 'От сна',
+  'anchor.fromMark': 'От «{title}»',
+  'anchor.offsetFromWake': '{offset} от подъёма',
+  'anchor.offsetFromBed': '{offset} от сна',
+  'anchor.offsetFromMark': '{offset} от «{title}»',
+  'anchor.fromSunrise': 'От восхода',
+  'anchor.fromSunset': 'От заката',
+  'anchor.offsetFromSunrise': '{offset} от восхода',
+  'anchor.offsetFromSunset': '{offset} от заката',
+
+  // Библиотека шаблонов
+  'library.button': '📚 Библиотека',
+  'library.empty': 'Сохраняйте свои засечки (☆ при наведении) или создайте шаблон, чтобы добавлять их в любое расписание.',
+  'library.autoApplyShort': 'в новые',
+  'library.autoApplyTitle': 'Добавлять во все новые расписания',
+  'library.autoApply': 'добавлять в новые расписания',
+  'library.insert': 'Добавить в текущее расписание',
+  'library.delete': 'Удалить шаблон',
+  'library.new': '+ новый шаблон',
+
+  // Плавный сдвиг
+  'shift.button': '⇢ Плавный сдвиг',
+  'shift.target': 'Цель',
+  'shift.targetWake': 'Целевой подъём',
+  'shift.targetBed': 'Целевой отбой',
+  'shift.step': 'Шаг в день',
+  'shift.previewDay': 'День {day}: ☀️ {wakeTime} · 🌙 {bedtime}',
+  'shift.start': 'Начать с сегодняшнего шага',
+  'shift.progress': 'Плавный сдвиг: день {day} из {total}',
+  'shift.today': 'сегодня ☀️ {wakeTime} · 🌙 {bedtime}',
+  'shift.goal': '→ цель {wakeTime} · {bedtime}',
+  'shift.cancel': 'Остановить план (время останется как сегодня)',
+
+  // Обзор недели
+  'week.button': '📅 Неделя',
+  'week.today': 'Сегодня',
+  'week.tomorrow': 'Завтра',
+  'week.openSchedule': 'Открыть расписание',
+  'week.unassigned': 'не назначено',
+  'week.sleepTitle': 'Сон в ночь перед днём',
+  'week.editDay': 'Изменить только этот день',
+  'week.clearOverride': 'Убрать разовое изменение',
+  'week.scheduleForDay': 'Расписание на день',
+  'week.byWeekday': 'По дню недели',
+  'week.note': 'Заметка',
+  'week.notePlaceholder': 'Заметка (перелёт, ранняя встреча)...',
+  'week.hint': 'Разовое изменение (✎) действует только в этот день и не меняет расписание.',
+
+  // Опросник хронотипа
+  'quiz.openTitle': 'Опросник хронотипа: подобрать время подъёма и сна',
+  'quiz.step': 'Вопрос {number} из {total}',
+  'quiz.score': 'Баллы: {score} из 25',
+  'quiz.wakeHint': 'Подъём {time}. Отбой — кратно циклам сна:',
+  'quiz.skipFirstRun': 'Пропустить ({wakeTime} / {bedtime})',
+  'quiz.apply': 'Применить к «{name}»',
+  'quiz.createSchedule': 'Создать расписание',
+  'quiz.newTab': 'Новая вкладка',
+
+  'chronotype.question.free-wake': 'Во сколько вы бы вставали, если бы могли полностью сами планировать день?',
+  'chronotype.question.morning-tiredness': 'Как вы себя чувствуете в первые полчаса после утреннего подъёма?',
+  'chronotype.question.evening-tiredness': 'Во сколько вечером вы чувствуете усталость и желание спать?',
+  'chronotype.question.peak': 'В какое время дня вы чувствуете себя лучше всего?',
+  'chronotype.question.self-assessment': 'Говорят, люди делятся на «жаворонков» и «сов». Кем вы себя считаете?',
+  'chronotype.answer.very-tired': 'Очень уставшим',
+  'chronotype.answer.fairly-tired': 'Скорее уставшим',
+  'chronotype.answer.fairly-refreshed': 'Скорее бодрым',
+  'chronotype.answer.very-refreshed': 'Очень бодрым',
+  'chronotype.answer.definitely-morning': 'Определённо жаворонком',
+  'chronotype.answer.rather-morning': 'Скорее жаворонком',
+  'chronotype.answer.rather-evening': 'Скорее совой',
+  'chronotype.answer.definitely-evening': 'Определённо совой',
+  'chronotype.type.definite-morning.title': 'Выраженный жаворонок',
+  'chronotype.type.definite-morning.description': 'Пик бодрости рано утром, вечером силы быстро заканчиваются. Ранний подъём даётся легко.',
+  'chronotype.type.moderate-morning.title': 'Умеренный жаворонок',
+  'chronotype.type.moderate-morning.description': 'Комфортно вставать рано, но без крайностей.',
+  'chronotype.type.intermediate.title': 'Промежуточный тип',
+  'chronotype.type.intermediate.description': 'Подстраиваетесь под большинство режимов; лучше держать подъём стабильным.',
+  'chronotype.type.moderate-evening.title': 'Умеренная сова',
+  'chronotype.type.moderate-evening.description': 'Бодрость нарастает к вечеру. Поздний подъём и отбой бережнее для сна.',
+  'chronotype.type.definite-evening.title': 'Выраженная сова',
+  'chronotype.type.definite-evening.description': 'Пик активности вечером и ночью. Ранний подъём требует много света утром и постепенного сдвига.',
+
+  // Дефолтные засечки (marks.<id>.title / .description)
+  'marks.wake.title': 'Подъём',
+  'marks.wake.description': 'Посмотрите на яркий солнечный свет, выпейте воды, сделайте зарядку и не пользуйтесь телефоном хотя бы пол часа',
+  'marks.breakfast.title': 'Завтрак',
+  'marks.breakfast.description': 'Через час-полтора после подъема. Лучше всего белок, жиры и клетчатка, без быстрых углеводов, чтобы не чувствовать сонливось к середине дня',
+  'marks.caffeine-stop.title': 'Последний кофе',
+  'marks.caffeine-stop.description': 'Коффеин мешает заснуть и уменьшает фазы глубокого сна, хоть субъективно это может быть не заметно. Его период полураспада - 5-6 часов, даже через 10 все еще остается 25%',
+  'marks.lunch.title': 'Плотный обед',
+  'marks.lunch.description': 'Стоит съесть сложные углеводы и белок. По минимуму жиров и клетчатки. За 1.5-2 часа до зала, чтобы не чувствовать тяжести и продуктивно потренироваться',
+  'marks.gym.title': 'Тренировка',
+  'marks.gym.description': 'Поможет уснуть. Должна закончиться за 4 часа до подготовки ко сну. Чтобы тело успело остыть и сбросить кортизол',
+  'marks.dinner.title': 'Ужин',
+  'marks.dinner.description': 'Минимум за 3 часа до сна, чтобы дать организму отдохнуть и охладиться. Можно углеводы и легкий белок. Не стоит много пить и есть быстрые углеводы',
+  'marks.no-screens.title': 'Подготовка ко сну',
+  'marks.no-screens.description': 'Уберите яркий свет и отложите телефон, чтобы исключить синее излучение. Замените гаджеты прогулкой, чтением и свечами. Используйте дыхательную медитацию, чтобы остановить внутренний диалог',
+  'marks.sleep.title': 'Сон',
+  'marks.sleep.description': 'Для качественного глубокого сна обеспечьте себе полную темноту, тишину и температуру в районе 16-20°C. Лучше всего организм отдыхает с 22 до 2',
+
+  // Правила физиологии (markRules.js)
+  'rules.caffeine-before-sleep': 'Последний кофе за {gap} до сна — к отбою останется ~{percent}% кофеина',
+  'rules.gym-before-wind-down': 'Тренировка заканчивается за {gap} до подготовки ко сну — телу нужно минимум {min}, чтобы остыть и сбросить кортизол',
+  'rules.dinner-before-sleep': 'Ужин заканчивается за {gap} до сна — нужно минимум {min}',
+  'rules.breakfast-after-wake': 'Завтрак через {gap} после подъёма — лучше через 1–1.5ч',
+  'rules.wake-before-sunrise': 'Подъём за {gap} до восхода — утреннего солнца ещё нет, включите яркий свет',
+
+  // Ошибки сервисов и форм
+  'errors.invalidTime': 'Неверное время',
+  'errors.invalidEndTime': 'Неверное время окончания',
+  'errors.invalidTimeFormat': 'Неверный формат времени',
+  'errors.invalidTimeValue': 'Неверный формат времени: {time}',
+  'errors.invalidDate': 'Неверная дата: {date}',
+  'errors.scheduleNotFound': 'Расписание с id {id} не найдено',
+  'errors.markNotFound': 'Засечка с id {id} не найдена',
+  'errors.anchorMarkNotFound': 'Засечка-якорь с id {id} не найдена',
+  'errors.templateNotFound': 'Шаблон с id {id} не найден',
+  'errors.emptyScheduleName': 'Название расписания не может быть пустым',
+  'errors.invalidWeekday': 'Неверный день недели',
+  'errors.hideDefaultOnly': 'Скрыть можно только дефолтную засечку',
+  'errors.resetDefaultOnly': 'Вернуть к рекомендованному можно только дефолтную засечку',
+  'errors.anchorUserOnly': 'Привязку можно задать только пользовательской засечке',
+  'errors.anchorCycle': 'Циклическая привязка засечек',
+  'errors.templateAnchor': 'Шаблон можно привязать только ко времени подъёма или сна',
+  'errors.shiftStepRange': 'Шаг сдвига — от {min} до {max} минут в день',
+  'errors.shiftTargetSame': 'Целевое время совпадает с текущим',
+  'errors.sleepConfigRange': '{label}: от {min} до {max}',
+  'errors.minCyclesAboveMax': 'Минимум циклов не может быть больше максимума',
+  'errors.caffeineDoseRange': 'Доза кофеина — от {min} до {max} мг',
+  'errors.caffeineHalfLifeRange': 'Период полувыведения — от {min} до {max} минут',
+  'errors.locationRange': 'Широта — от −90 до 90, долгота — от −180 до 180',
+  'errors.storageCorrupted': 'Данные «{name}» повреждены',
+  'errors.storageQuarantined': 'Данные «{name}» повреждены — изменения не сохраняются, пока их не восстановят',
+  'errors.sunUnavailable': 'Восход и закат неизвестны: задайте местоположение в настройках (в полярный день и ночь привязка к солнцу недоступна)',
+  'errors.calibrationNights': {
+    one: 'Нужна хотя бы {count} ночь с естественным пробуждением',
+    few: 'Нужно хотя бы {count} ночи с естественным пробуждением',
+    many: 'Нужно хотя бы {count} ночей с естественным пробуждением',
+    other: 'Нужно хотя бы {count} ночи с естественным пробуждением'
+  },
+  'errors.answerAll': 'Ответьте на все вопросы'
+};
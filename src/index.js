@@ -4,23 +4,140 @@
 
 export { ScheduleRepository } from './repositories/ScheduleRepository.js';
 export { MarkRepository } from './repositories/MarkRepository.js';
+export { TemplateRepository } from './repositories/TemplateRepository.js';
+export { DayOverrideRepository } from './repositories/DayOverrideRepository.js';
+export { SleepLogRepository } from './repositories/SleepLogRepository.js';
+export { LocalStorageAdapter, getDefaultStorage } from './adapters/LocalStorageAdapter.js';
+export { IndexedDBAdapter } from './adapters/IndexedDBAdapter.js';
+export { MemoryStorageAdapter } from './adapters/MemoryStorageAdapter.js';
+export {
+  parseEnvelope,
+  readStoredData,
+  writeStoredData,
+  writeEnvelope,
+  hasValidShape,
+  getQuarantineKey,
+  isQuarantined,
+  quarantineStoredData,
+  releaseQuarantine,
+  salvageRecords
+} from './utils/StorageUtils.js';
+export { StorageCache, getStorageCache, nextRevision } from './utils/StorageCache.js';
 
 export { ScheduleService } from './services/ScheduleService.js';
 export { MarkService } from './services/MarkService.js';
+export { RuleService } from './services/RuleService.js';
+export { TemplateService } from './services/TemplateService.js';
+export { DayPlanService } from './services/DayPlanService.js';
+export { ShiftPlanService } from './services/ShiftPlanService.js';
+export { ChronotypeService } from './services/ChronotypeService.js';
+export { SleepCalibrationService } from './services/SleepCalibrationService.js';
+export { SunService } from './services/SunService.js';
+export { MigrationService } from './services/MigrationService.js';
+export { StorageRecoveryService } from './services/StorageRecoveryService.js';
 
 export {
   parseTime,
   formatTime,
+  parseTimeInput,
+  normalizeTime,
   shiftTime,
   getTimeDelta,
+  getSleepCycleOptions,
+  getNetSleepMinutes,
+  formatDuration,
   generateUUID
 } from './utils/TimeUtils.js';
 
+export {
+  setLocale,
+  getLocale,
+  getPluralForm,
+  translate,
+  t
+} from './utils/I18nUtils.js';
+
+export {
+  toDateKey,
+  parseDateKey,
+  addDays,
+  getDaysBetween
+} from './utils/DateUtils.js';
+
+export {
+  isMarkAnchor,
+  hasAnchorCycle,
+  resolveAnchoredTimes,
+  shiftDefaultMarkTimes
+} from './utils/AnchorUtils.js';
+
+export { getSunTimes, isValidLocation } from './utils/SunUtils.js';
+
+export {
+  getCaffeineRemaining,
+  getCaffeineRemainingPercent,
+  getCaffeineIntakes,
+  getCaffeineLevel,
+  getCaffeineCurve,
+  getCaffeineAtTime
+} from './utils/CaffeineUtils.js';
+
+export {
+  ANCHOR_WAKE,
+  ANCHOR_BEDTIME,
+  SCHEDULE_ANCHORS,
+  ANCHOR_SUNRISE,
+  ANCHOR_SUNSET,
+  SUN_ANCHORS,
+  BASE_ANCHORS
+} from './constants/markAnchors.js';
+
 export {
   MORNING_MARKS,
   EVENING_MARKS,
   DEFAULT_MARK_IDS,
   MORNING_MARK_TEMPLATES,
   EVENING_MARK_TEMPLATES,
-  DEFAULT_MARK_TEMPLATES
+  DEFAULT_MARK_TEMPLATES,
+  getDefaultMarkText,
+  getDefaultMarkDuration
 } from './constants/defaultMarks.js';
+
+export { WEEKDAYS } from './constants/weekdays.js';
+
+export {
+  LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  TIME_FORMATS,
+  DEFAULT_TIME_FORMAT
+} from './constants/locales.js';
+
+export { CHRONOTYPE_QUESTIONS, CHRONOTYPES } from './constants/chronotype.js';
+
+export {
+  DEFAULT_SLEEP_CONFIG,
+  RECOMMENDED_CYCLES,
+  SLEEP_CONFIG_LIMITS
+} from './constants/sleepCycles.js';
+
+export { MARK_RULES } from './constants/markRules.js';
+
+export { MIGRATIONS, SCHEMA_VERSION } from './constants/migrations.js';
+export {
+  STORAGE_KEYS,
+  STORAGE_SHAPES,
+  QUARANTINE_KEY_SUFFIX,
+  MIGRATION_SNAPSHOT_KEY,
+  INDEXED_DB_NAME,
+  INDEXED_DB_STORE,
+  STORAGE_FLUSH_DELAY_MS
+} from './constants/storage.js';
+
+export {
+  CAFFEINE_HALF_LIFE_MINUTES,
+  CAFFEINE_HALF_LIFE_LIMITS,
+  DEFAULT_CAFFEINE_DOSE_MG,
+  CAFFEINE_DOSE_LIMITS,
+  CAFFEINE_CURVE_STEP_MINUTES
+} from './constants/caffeine.js';
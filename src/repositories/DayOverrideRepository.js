@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Repository для разовых изменений расписания на конкретную дату в хранилище
+ */
+
+import { getStorageCache } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { STORAGE_KEYS } from '../constants/storage.js';
+
+/**
+ * Разовое изменение дня: другое расписание и/или другое время подъёма и сна.
+ * Базовое расписание при этом не меняется.
+ * @typedef {Object} DayOverride
+ * @property {string} date - Дата в формате 'YYYY-MM-DD'
+ * @property {string|null} scheduleId - Расписание на этот день; null — по дню недели
+ * @property {string|null} wakeTime - Время подъёма 'HH:MM'; null — из расписания
+ * @property {string|null} bedtime - Время сна 'HH:MM'; null — из расписания
+ * @property {string} note - Заметка ('Перелёт')
+ */
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+const STORAGE_KEY = STORAGE_KEYS.dayOverrides;
+
+/**
+ * Изменения в памяти: дата → изменение
+ * @type {import('../utils/StorageCache.js').StorageIndexCodec}
+ */
+const OVERRIDE_INDEX = {
+  toIndex: overrides => new Map((overrides ?? []).map(override => [override.date, override])),
+  toData: index => [...index.values()]
+};
+
+/**
+ * Repository для управления разовыми изменениями по датам
+ */
+export class DayOverrideRepository {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+  }
+
+  /**
+   * Возвращает все разовые изменения из хранилища
+   * @returns {Promise<DayOverride[]>} Массив изменений
+   */
+  async getAll() {
+    return [...(await this._getIndex()).values()].map(override => ({ ...override }));
+  }
+
+  /**
+   * Возвращает изменение на дату
+   * @param {string} date - Дата в формате 'YYYY-MM-DD'
+   * @returns {Promise<DayOverride|null>} Изменение или null
+   */
+  async getByDate(date) {
+    const override = (await this._getIndex()).get(date);
+    return override ? { ...override } : null;
+  }
+
+  /**
+   * Сохраняет изменение (на одну дату — одна запись)
+   * @param {DayOverride} override - Изменение для сохранения
+   * @returns {Promise<DayOverride>} Сохранённое изменение
+   */
+  async save(override) {
+    const index = await this._getIndex();
+    index.set(override.date, { ...index.get(override.date), ...override });
+    this._saveToStorage();
+    return override;
+  }
+
+  /**
+   * Удаляет изменение на дату
+   * @param {string} date - Дата в формате 'YYYY-MM-DD'
+   */
+  async delete(date) {
+    if ((await this._getIndex()).delete(date)) this._saveToStorage();
+  }
+
+  /**
+   * Удаляет изменения на даты раньше указанной
+   * @param {string} date - Дата в формате 'YYYY-MM-DD'
+   */
+  async deleteBefore(date) {
+    const index = await this._getIndex();
+    // Ключи 'YYYY-MM-DD' сравниваются как строки в хронологическом порядке
+    const outdated = [...index.keys()].filter(key => key < date);
+    if (outdated.length) {
+      outdated.forEach(key => index.delete(key));
+      this._saveToStorage();
+    }
+  }
+
+  /**
+   * Индекс изменений по датам из кэша хранилища; если данные не читаются — пустой индекс вне кэша
+   * @private
+   * @returns {Promise<Map<string, DayOverride>>}
+   */
+  async _getIndex() {
+    try {
+      return await this.cache.load(STORAGE_KEY, OVERRIDE_INDEX);
+    } catch (error) {
+      console.error('Ошибка при чтении изменений по датам:', error);
+      return OVERRIDE_INDEX.toIndex(null);
+    }
+  }
+
+  /**
+   * Ставит запись изменений по датам в очередь кэша: они попадут в хранилище вместе с другими изменениями
+   * @private
+   */
+  _saveToStorage() {
+    this.cache.markDirty(STORAGE_KEY);
+  }
+}
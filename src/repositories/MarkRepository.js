@@ -1,8 +1,11 @@
 /**
- * @fileoverview Repository для работы с засечками в localStorage
+ * @fileoverview Repository для работы с засечками в хранилище
  */
 
 import { generateUUID, parseTime } from '../utils/TimeUtils.js';
+import { getStorageCache, nextRevision } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { STORAGE_KEYS } from '../constants/storage.js';
 import { DEFAULT_MARK_IDS } from '../constants/defaultMarks.js';
 
 /**
@@ -13,94 +16,127 @@ import { DEFAULT_MARK_IDS } from '../constants/defaultMarks.js';
  * @property {string} title
  * @property {string} description
  * @property {string} time - Время в формате 'HH:MM'
+ * @property {string|null} [anchor] - Якорь пользовательской засечки: 'wakeTime', 'bedtime', 'sunrise', 'sunset' или id другой засечки; null — фиксированное время
+ * @property {number} [offsetMinutes] - Смещение от якоря в минутах (time = время якоря + offsetMinutes)
+ * @property {number} [durationMinutes] - Длительность окна в минутах (конец = time + durationMinutes); 0 — засечка-точка
+ * @property {boolean} [hidden] - Дефолтная засечка скрыта в этом расписании (хранится и сдвигается, но не показывается)
+ * @property {number} [caffeineMg] - Доза кофеина, мг: засечка — приём кофеина; 0 — нет
+ * @property {number} [revision] - Ревизия: +1 при каждом сохранении, по ней сливаются правки из разных вкладок
  */
 
-const STORAGE_KEY = 'marks';
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+const STORAGE_KEY = STORAGE_KEYS.marks;
+
+/**
+ * Засечки в памяти: scheduleId → id → засечка (дефолтные id повторяются в разных расписаниях)
+ * @type {import('../utils/StorageCache.js').StorageIndexCodec}
+ */
+const MARK_INDEX = {
+  toIndex: marks => {
+    const index = new Map();
+    (marks ?? []).forEach(mark => putMark(index, mark));
+    return index;
+  },
+  toData: index => [...index.values()].flatMap(byId => [...byId.values()]),
+  recordKey: mark => `${mark.scheduleId}/${mark.id}`
+};
+
+/**
+ * Добавляет засечку в индекс или дополняет существующую (копией — индекс не делит объекты с вызывающим)
+ * @param {Map<string, Map<string, Mark>>} index
+ * @param {Mark} mark
+ */
+function putMark(index, mark) {
+  if (!index.has(mark.scheduleId)) index.set(mark.scheduleId, new Map());
+  const byId = index.get(mark.scheduleId);
+  byId.set(mark.id, { ...byId.get(mark.id), ...mark });
+}
 
 /**
  * Repository для управления засечками
  */
 export class MarkRepository {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+  }
+
+  /**
+   * Возвращает засечки всех расписаний из хранилища
+   * @returns {Promise<Mark[]>} Массив всех засечек
+   */
+  async getAll() {
+    return MARK_INDEX.toData(await this._getIndex()).map(mark => ({ ...mark }));
+  }
+
   /**
    * Возвращает все засечки для указанного расписания, отсортированные по времени
    * @param {string} scheduleId - ID расписания
-   * @returns {Mark[]} Массив засечек
+   * @returns {Promise<Mark[]>} Массив засечек
    */
-  getByScheduleId(scheduleId) {
-    const allMarks = this._getAll();
-    const marks = allMarks.filter(m => m.scheduleId === scheduleId);
+  async getByScheduleId(scheduleId) {
+    const byId = (await this._getIndex()).get(scheduleId);
+    const marks = byId ? [...byId.values()].map(mark => ({ ...mark })) : [];
     return marks.sort((a, b) => parseTime(a.time) - parseTime(b.time));
   }
 
+  /**
+   * Возвращает засечку расписания по id
+   * @param {string} scheduleId - ID расписания
+   * @param {string} id - ID засечки
+   * @returns {Promise<Mark|null>} Засечка или null, если не найдена
+   */
+  async getById(scheduleId, id) {
+    const mark = (await this._getIndex()).get(scheduleId)?.get(id);
+    return mark ? { ...mark } : null;
+  }
+
   /**
    * Сохраняет засечку (создаёт или обновляет)
    * @param {Mark} mark - Засечка для сохранения
-   * @returns {Mark} Сохранённая засечка
+   * @returns {Promise<Mark>} Сохранённая засечка
    */
-  save(mark) {
-    const marks = this._getAll();
-
-    if (!mark.id) {
-      mark.id = generateUUID();
-      marks.push(mark);
-    } else {
-      // id + scheduleId: одна и та же дефолтная засечка может быть в разных расписаниях
-      const index = marks.findIndex(m => m.id === mark.id && m.scheduleId === mark.scheduleId);
-      if (index !== -1) {
-        marks[index] = { ...marks[index], ...mark };
-      } else {
-        marks.push(mark);
-      }
-    }
-
-    this._saveToStorage(marks);
-    return mark;
+  async save(mark) {
+    return (await this.saveMany([mark]))[0];
   }
 
   /**
-   * Сохраняет несколько засечек за один раз
+   * Сохраняет несколько засечек одной записью хранилища: в хранилище попадают все или ни одной
    * @param {Mark[]} marksToSave - Массив засечек для сохранения
-   * @returns {Mark[]} Массив сохранённых засечек
+   * @returns {Promise<Mark[]>} Массив сохранённых засечек
    */
-  saveMany(marksToSave) {
-    const marks = this._getAll();
-
+  async saveMany(marksToSave) {
+    const index = await this._getIndex();
     marksToSave.forEach(mark => {
-      if (!mark.id) {
-        mark.id = generateUUID();
-        marks.push(mark);
-      } else {
-        const index = marks.findIndex(m => m.id === mark.id && m.scheduleId === mark.scheduleId);
-        if (index !== -1) {
-          marks[index] = { ...marks[index], ...mark };
-        } else {
-          marks.push(mark);
-        }
-      }
+      if (!mark.id) mark.id = generateUUID();
+      putMark(index, { ...mark, revision: nextRevision(index.get(mark.scheduleId)?.get(mark.id)) });
     });
-
-    this._saveToStorage(marks);
+    this._saveToStorage();
     return marksToSave;
   }
 
   /**
-   * Удаляет засечку по id
+   * Удаляет засечку расписания по id
+   * @param {string} scheduleId - ID расписания
    * @param {string} id - ID засечки
    */
-  delete(id) {
-    const marks = this._getAll();
-    const filtered = marks.filter(m => m.id !== id);
-    this._saveToStorage(filtered);
+  async delete(scheduleId, id) {
+    // Дефолтные id повторяются во всех расписаниях — удаляем только в указанном
+    if ((await this._getIndex()).get(scheduleId)?.delete(id)) this._saveToStorage();
   }
 
   /**
    * Удаляет все засечки для указанного расписания
    * @param {string} scheduleId - ID расписания
    */
-  deleteByScheduleId(scheduleId) {
-    const marks = this._getAll();
-    const filtered = marks.filter(m => m.scheduleId !== scheduleId);
-    this._saveToStorage(filtered);
+  async deleteByScheduleId(scheduleId) {
+    if ((await this._getIndex()).delete(scheduleId)) this._saveToStorage();
   }
 
   /**
@@ -113,30 +149,24 @@ export class MarkRepository {
   }
 
   /**
-   * Возвращает все засечки из localStorage
+   * Индекс засечек из кэша хранилища; если данные не читаются — пустой индекс вне кэша
    * @private
-   * @returns {Mark[]} Массив всех засечек
+   * @returns {Promise<Map<string, Map<string, Mark>>>}
    */
-  _getAll() {
+  async _getIndex() {
     try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
+      return await this.cache.load(STORAGE_KEY, MARK_INDEX);
     } catch (error) {
       console.error('Ошибка при чтении засечек:', error);
-      return [];
+      return new Map();
     }
   }
 
   /**
-   * Сохраняет массив засечек в localStorage
+   * Отмечает засечки изменёнными: кэш запишет их в хранилище вместе с другими изменениями
    * @private
-   * @param {Mark[]} marks
    */
-  _saveToStorage(marks) {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(marks));
-    } catch (error) {
-      console.error('Ошибка при сохранении засечек:', error);
-    }
+  _saveToStorage() {
+    this.cache.markDirty(STORAGE_KEY);
   }
 }
@@ -1,8 +1,11 @@
 /**
- * @fileoverview Repository для работы с расписаниями в localStorage
+ * @fileoverview Repository для работы с расписаниями в хранилище
  */
 
 import { generateUUID } from '../utils/TimeUtils.js';
+import { getStorageCache, nextRevision } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { STORAGE_KEYS } from '../constants/storage.js';
 
 /**
  * @typedef {Object} Schedule
@@ -10,72 +13,126 @@ import { generateUUID } from '../utils/TimeUtils.js';
  * @property {string} name
  * @property {string} wakeTime - Время пробуждения в формате 'HH:MM'
  * @property {string} bedtime - Время отхода ко сну в формате 'HH:MM'
+ * @property {number} [order] - Позиция вкладки в шапке
+ * @property {number[]} [weekdays] - Дни недели расписания (0 — воскресенье, как Date.getDay)
+ * @property {ShiftPlan|null} [shiftPlan] - Активный план плавного сдвига времени сна
+ * @property {number} [revision] - Ревизия: +1 при каждом сохранении, по ней сливаются правки из разных вкладок
  */
 
-const STORAGE_KEY = 'schedules';
+/**
+ * План плавного сдвига: каждый день время подъёма и сна сдвигается на stepMinutes к цели
+ * @typedef {Object} ShiftPlan
+ * @property {string} startDate - День первого шага 'YYYY-MM-DD'
+ * @property {string} fromWakeTime - Подъём до начала плана
+ * @property {string} fromBedtime - Отбой до начала плана
+ * @property {string} targetWakeTime
+ * @property {string} targetBedtime
+ * @property {number} stepMinutes - Максимальный сдвиг за день
+ */
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+const STORAGE_KEY = STORAGE_KEYS.schedules;
+
+/**
+ * Расписания в памяти: id → расписание, в порядке добавления
+ * @type {import('../utils/StorageCache.js').StorageIndexCodec}
+ */
+const SCHEDULE_INDEX = {
+  toIndex: schedules => new Map((schedules ?? []).map(schedule => [schedule.id, schedule])),
+  toData: index => [...index.values()],
+  recordKey: schedule => schedule.id
+};
 
 /**
  * Repository для управления расписаниями
  */
 export class ScheduleRepository {
   /**
-   * Возвращает все расписания из localStorage
-   * @returns {Schedule[]} Массив расписаний
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
    */
-  getAll() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
-    } catch (error) {
-      console.error('Ошибка при чтении расписаний:', error);
-      return [];
-    }
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+  }
+
+  /**
+   * Возвращает все расписания из хранилища в порядке вкладок
+   * @returns {Promise<Schedule[]>} Массив расписаний
+   */
+  async getAll() {
+    // Расписания, сохранённые до появления order, остаются в порядке добавления
+    return [...(await this._getIndex()).values()]
+      .map((schedule, index) => ({ schedule, order: schedule.order ?? index }))
+      .sort((a, b) => a.order - b.order)
+      .map(({ schedule }) => ({ ...schedule }));
   }
 
   /**
    * Сохраняет расписание (создаёт или обновляет)
    * @param {Schedule} schedule - Расписание для сохранения
-   * @returns {Schedule} Сохранённое расписание
+   * @returns {Promise<Schedule>} Сохранённое расписание
    */
-  save(schedule) {
-    const schedules = this.getAll();
+  async save(schedule) {
+    const index = await this._getIndex();
 
     if (!schedule.id) {
       schedule.id = generateUUID();
-      schedules.push(schedule);
-    } else {
-      const index = schedules.findIndex(s => s.id === schedule.id);
-      if (index !== -1) {
-        schedules[index] = { ...schedules[index], ...schedule };
-      } else {
-        schedules.push(schedule);
-      }
+      // После удалений в order бывают пропуски — новая вкладка встаёт в конец
+      schedule.order = [...index.values()].reduce((max, s, i) => Math.max(max, (s.order ?? i) + 1), 0);
     }
+    const saved = index.get(schedule.id);
+    index.set(schedule.id, { ...saved, ...schedule, revision: nextRevision(saved) });
 
-    this._saveToStorage(schedules);
+    this._saveToStorage();
     return schedule;
   }
 
+  /**
+   * Сохраняет порядок вкладок: order каждого расписания — его позиция в ids
+   * @param {string[]} ids - ID расписаний в новом порядке
+   * @returns {Promise<Schedule[]>} Расписания в новом порядке
+   */
+  async reorder(ids) {
+    const index = await this._getIndex();
+    (await this.getAll()).forEach((schedule, position) => {
+      const newPosition = ids.indexOf(schedule.id);
+      const order = newPosition === -1 ? ids.length + position : newPosition;
+      if (schedule.order !== order) index.set(schedule.id, { ...schedule, order, revision: nextRevision(schedule) });
+    });
+    this._saveToStorage();
+    return this.getAll();
+  }
+
   /**
    * Удаляет расписание по id
    * @param {string} id - ID расписания
    */
-  delete(id) {
-    const schedules = this.getAll();
-    const filtered = schedules.filter(s => s.id !== id);
-    this._saveToStorage(filtered);
+  async delete(id) {
+    if ((await this._getIndex()).delete(id)) this._saveToStorage();
   }
 
   /**
-   * Сохраняет массив расписаний в localStorage
+   * Индекс расписаний из кэша хранилища; если данные не читаются — пустой индекс вне кэша
    * @private
-   * @param {Schedule[]} schedules
+   * @returns {Promise<Map<string, Schedule>>}
    */
-  _saveToStorage(schedules) {
+  async _getIndex() {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(schedules));
+      return await this.cache.load(STORAGE_KEY, SCHEDULE_INDEX);
     } catch (error) {
-      console.error('Ошибка при сохранении расписаний:', error);
+      console.error('Ошибка при чтении расписаний:', error);
+      return new Map();
     }
   }
+
+  /**
+   * Отмечает расписания изменёнными: кэш запишет их в хранилище вместе с другими изменениями
+   * @private
+   */
+  _saveToStorage() {
+    this.cache.markDirty(STORAGE_KEY);
+  }
 }
@@ -1,16 +1,56 @@
 /**
- * @fileoverview Repository для настроек приложения в localStorage
+ * @fileoverview Repository для настроек приложения в хранилище
  */
 
+import { isValidTime } from '../utils/TimeUtils.js';
+import { getStorageCache } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { STORAGE_KEYS } from '../constants/storage.js';
+import { DEFAULT_SLEEP_CONFIG, SLEEP_CONFIG_LIMITS } from '../constants/sleepCycles.js';
+import { LOCALES, DEFAULT_LOCALE, TIME_FORMATS, DEFAULT_TIME_FORMAT } from '../constants/locales.js';
+import { isValidLocation } from '../utils/SunUtils.js';
+import { CAFFEINE_HALF_LIFE_MINUTES, CAFFEINE_HALF_LIFE_LIMITS } from '../constants/caffeine.js';
+
 /**
  * @typedef {Object} Settings
  * @property {string|null} activeScheduleId - ID активного расписания
+ * @property {boolean} onboardingCompleted - Опросник хронотипа пройден или пропущен
+ * @property {{ id: string, score: number }|null} chronotype - Результат опросника
+ * @property {string} defaultWakeTime - Подъём для новых расписаний 'HH:MM'
+ * @property {string} defaultBedtime - Отбой для новых расписаний 'HH:MM'
+ * @property {import('../constants/sleepCycles.js').SleepConfig} sleepConfig - Длительность цикла, засыпание, диапазон циклов
+ * @property {string} locale - Язык интерфейса (LOCALES)
+ * @property {'24h'|'12h'} timeFormat - Формат отображения и ввода времени
+ * @property {{ latitude: number, longitude: number }|null} location - Примерное местоположение для восхода и заката
+ * @property {number} caffeineHalfLifeMinutes - Период полувыведения кофеина (CAFFEINE_HALF_LIFE_LIMITS)
+ */
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
  */
 
-const STORAGE_KEY = 'settings';
+const STORAGE_KEY = STORAGE_KEYS.settings;
+
+/**
+ * Настройки в памяти — в обёртке, чтобы save заменял объект целиком (null — настроек ещё нет)
+ * @type {import('../utils/StorageCache.js').StorageIndexCodec}
+ */
+const SETTINGS_INDEX = {
+  toIndex: data => ({ data }),
+  toData: index => index.data
+};
 
 const DEFAULT_SETTINGS = Object.freeze({
-  activeScheduleId: null
+  activeScheduleId: null,
+  onboardingCompleted: false,
+  chronotype: null,
+  defaultWakeTime: '07:00',
+  defaultBedtime: '22:00',
+  sleepConfig: DEFAULT_SLEEP_CONFIG,
+  locale: DEFAULT_LOCALE,
+  timeFormat: DEFAULT_TIME_FORMAT,
+  location: null,
+  caffeineHalfLifeMinutes: CAFFEINE_HALF_LIFE_MINUTES
 });
 
 /**
@@ -18,18 +58,45 @@ const DEFAULT_SETTINGS = Object.freeze({
  */
 export class SettingsRepository {
   /**
-   * Загружает настройки из localStorage.
-   * @returns {Settings} Сохранённые настройки или дефолт
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+  }
+
+  /**
+   * Загружает настройки из хранилища. Известные поля проверяются и при ошибке заменяются
+   * дефолтом; неизвестные (записанные миграцией или более новой версией приложения) сохраняются
+   * как есть, чтобы update → save их не терял.
+   * @returns {Promise<Settings>} Сохранённые настройки или дефолт
    */
-  load() {
+  async load() {
     try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      if (!data) return { ...DEFAULT_SETTINGS };
-      const parsed = JSON.parse(data);
+      const parsed = (await this.cache.load(STORAGE_KEY, SETTINGS_INDEX)).data;
+      if (!parsed) return { ...DEFAULT_SETTINGS };
       return {
+        ...parsed,
         activeScheduleId: typeof parsed.activeScheduleId === 'string' && parsed.activeScheduleId
           ? parsed.activeScheduleId
-          : DEFAULT_SETTINGS.activeScheduleId
+          : DEFAULT_SETTINGS.activeScheduleId,
+        onboardingCompleted: parsed.onboardingCompleted === true,
+        chronotype: parsed.chronotype && typeof parsed.chronotype.id === 'string' && Number.isFinite(parsed.chronotype.score)
+          ? { id: parsed.chronotype.id, score: parsed.chronotype.score }
+          : DEFAULT_SETTINGS.chronotype,
+        defaultWakeTime: isValidTime(parsed.defaultWakeTime) ? parsed.defaultWakeTime : DEFAULT_SETTINGS.defaultWakeTime,
+        defaultBedtime: isValidTime(parsed.defaultBedtime) ? parsed.defaultBedtime : DEFAULT_SETTINGS.defaultBedtime,
+        sleepConfig: this._parseSleepConfig(parsed.sleepConfig),
+        locale: LOCALES.includes(parsed.locale) ? parsed.locale : DEFAULT_SETTINGS.locale,
+        timeFormat: TIME_FORMATS.includes(parsed.timeFormat) ? parsed.timeFormat : DEFAULT_SETTINGS.timeFormat,
+        location: parsed.location && isValidLocation(parsed.location.latitude, parsed.location.longitude)
+          ? { latitude: parsed.location.latitude, longitude: parsed.location.longitude }
+          : DEFAULT_SETTINGS.location,
+        caffeineHalfLifeMinutes: Number.isInteger(parsed.caffeineHalfLifeMinutes)
+          && parsed.caffeineHalfLifeMinutes >= CAFFEINE_HALF_LIFE_LIMITS.min
+          && parsed.caffeineHalfLifeMinutes <= CAFFEINE_HALF_LIFE_LIMITS.max
+          ? parsed.caffeineHalfLifeMinutes
+          : DEFAULT_SETTINGS.caffeineHalfLifeMinutes
       };
     } catch (error) {
       console.error('Ошибка при чтении настроек:', error);
@@ -38,13 +105,33 @@ export class SettingsRepository {
   }
 
   /**
-   * Сохраняет настройки в localStorage.
+   * Проверяет параметры сна по SLEEP_CONFIG_LIMITS; неверные поля заменяются дефолтом.
+   * @private
+   * @param {Object} [data]
+   * @returns {import('../constants/sleepCycles.js').SleepConfig}
+   */
+  _parseSleepConfig(data) {
+    const config = { ...DEFAULT_SLEEP_CONFIG };
+    Object.entries(SLEEP_CONFIG_LIMITS).forEach(([key, { min, max }]) => {
+      const value = data?.[key];
+      if (Number.isInteger(value) && value >= min && value <= max) config[key] = value;
+    });
+    if (config.minCycles > config.maxCycles) {
+      config.minCycles = DEFAULT_SLEEP_CONFIG.minCycles;
+      config.maxCycles = DEFAULT_SLEEP_CONFIG.maxCycles;
+    }
+    return config;
+  }
+
+  /**
+   * Сохраняет настройки: кэш запишет их в хранилище вместе с другими изменениями.
    * @param {Settings} settings - Настройки для сохранения
-   * @returns {Settings} Переданный объект
+   * @returns {Promise<Settings>} Переданный объект
    */
-  save(settings) {
+  async save(settings) {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+      (await this.cache.load(STORAGE_KEY, SETTINGS_INDEX)).data = { ...settings };
+      this.cache.markDirty(STORAGE_KEY);
       return settings;
     } catch (error) {
       console.error('Ошибка при сохранении настроек:', error);
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Repository для журнала ночей (калибровка длительности цикла сна) в хранилище
+ */
+
+import { getStorageCache } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { STORAGE_KEYS } from '../constants/storage.js';
+
+/**
+ * Запись о ночи
+ * @typedef {Object} SleepLogEntry
+ * @property {string} date - Дата пробуждения 'YYYY-MM-DD'
+ * @property {string} bedtime - Отбой 'HH:MM'
+ * @property {string} wakeTime - Подъём 'HH:MM'
+ * @property {boolean} naturalWake - Проснулся сам, без будильника
+ */
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+const STORAGE_KEY = STORAGE_KEYS.sleepLog;
+
+/**
+ * Журнал в памяти: дата → запись
+ * @type {import('../utils/StorageCache.js').StorageIndexCodec}
+ */
+const SLEEP_LOG_INDEX = {
+  toIndex: entries => new Map((entries ?? []).map(entry => [entry.date, entry])),
+  toData: index => [...index.values()]
+};
+
+/**
+ * Repository для журнала ночей
+ */
+export class SleepLogRepository {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+  }
+
+  /**
+   * Возвращает все записи, от новых к старым
+   * @returns {Promise<SleepLogEntry[]>} Массив записей
+   */
+  async getAll() {
+    return [...(await this._getIndex()).values()]
+      .map(entry => ({ ...entry }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Сохраняет запись (на одну дату — одна ночь)
+   * @param {SleepLogEntry} entry - Запись для сохранения
+   * @returns {Promise<SleepLogEntry>} Сохранённая запись
+   */
+  async save(entry) {
+    const index = await this._getIndex();
+    index.set(entry.date, { ...index.get(entry.date), ...entry });
+    this._saveToStorage();
+    return entry;
+  }
+
+  /**
+   * Удаляет запись по дате
+   * @param {string} date - Дата 'YYYY-MM-DD'
+   */
+  async delete(date) {
+    if ((await this._getIndex()).delete(date)) this._saveToStorage();
+  }
+
+  /**
+   * Индекс журнала сна из кэша хранилища; если данные не читаются — пустой индекс вне кэша
+   * @private
+   * @returns {Promise<Map<string, SleepLogEntry>>}
+   */
+  async _getIndex() {
+    try {
+      return await this.cache.load(STORAGE_KEY, SLEEP_LOG_INDEX);
+    } catch (error) {
+      console.error('Ошибка при чтении журнала сна:', error);
+      return SLEEP_LOG_INDEX.toIndex(null);
+    }
+  }
+
+  /**
+   * Отмечает журнал сна изменённым: кэш запишет его в хранилище вместе с другими изменениями
+   * @private
+   */
+  _saveToStorage() {
+    this.cache.markDirty(STORAGE_KEY);
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Repository для пользовательской библиотеки шаблонов засечек в хранилище
+ */
+
+import { generateUUID } from '../utils/TimeUtils.js';
+import { getStorageCache } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { STORAGE_KEYS } from '../constants/storage.js';
+
+/**
+ * Шаблон засечки пользователя — как DefaultMarkTemplate, но с явным якорем
+ * @typedef {Object} MarkTemplate
+ * @property {string} id - UUID
+ * @property {string} emoji
+ * @property {string} title
+ * @property {string} description
+ * @property {'wakeTime'|'bedtime'} anchor - От чего отсчитывается offsetMinutes
+ * @property {number} offsetMinutes - Смещение от якоря в минутах
+ * @property {number} durationMinutes - Длительность окна; 0 — засечка-точка
+ * @property {number} [caffeineMg] - Доза кофеина, мг; 0 — не приём кофеина
+ * @property {boolean} autoApply - Добавлять засечку во все новые расписания
+ */
+
+/**
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+const STORAGE_KEY = STORAGE_KEYS.templates;
+
+/**
+ * Шаблоны в памяти: id → шаблон
+ * @type {import('../utils/StorageCache.js').StorageIndexCodec}
+ */
+const TEMPLATE_INDEX = {
+  toIndex: templates => new Map((templates ?? []).map(template => [template.id, template])),
+  toData: index => [...index.values()]
+};
+
+/**
+ * Repository для управления шаблонами засечек
+ */
+export class TemplateRepository {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+  }
+
+  /**
+   * Возвращает все шаблоны из хранилища
+   * @returns {Promise<MarkTemplate[]>} Массив шаблонов
+   */
+  async getAll() {
+    return [...(await this._getIndex()).values()].map(template => ({ ...template }));
+  }
+
+  /**
+   * Сохраняет шаблон (создаёт или обновляет)
+   * @param {MarkTemplate} template - Шаблон для сохранения
+   * @returns {Promise<MarkTemplate>} Сохранённый шаблон
+   */
+  async save(template) {
+    const index = await this._getIndex();
+    if (!template.id) {
+      template.id = generateUUID();
+    }
+    index.set(template.id, { ...index.get(template.id), ...template });
+    this._saveToStorage();
+    return template;
+  }
+
+  /**
+   * Удаляет шаблон по id
+   * @param {string} id - ID шаблона
+   */
+  async delete(id) {
+    if ((await this._getIndex()).delete(id)) this._saveToStorage();
+  }
+
+  /**
+   * Индекс шаблонов из кэша хранилища; если данные не читаются — пустой индекс вне кэша
+   * @private
+   * @returns {Promise<Map<string, MarkTemplate>>}
+   */
+  async _getIndex() {
+    try {
+      return await this.cache.load(STORAGE_KEY, TEMPLATE_INDEX);
+    } catch (error) {
+      console.error('Ошибка при чтении шаблонов:', error);
+      return TEMPLATE_INDEX.toIndex(null);
+    }
+  }
+
+  /**
+   * Отмечает шаблоны изменёнными: кэш запишет их в хранилище вместе с другими изменениями
+   * @private
+   */
+  _saveToStorage() {
+    this.cache.markDirty(STORAGE_KEY);
+  }
+}
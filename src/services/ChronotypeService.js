@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Сервис хронотипа: подсчёт опросника и рекомендация времени подъёма и сна
+ */
+
+import { ScheduleService } from './ScheduleService.js';
+import { SettingsService } from './SettingsService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { CHRONOTYPE_QUESTIONS, CHRONOTYPES } from '../constants/chronotype.js';
+import { getSleepCycleOptions } from '../utils/TimeUtils.js';
+import { t } from '../utils/I18nUtils.js';
+
+/**
+ * @typedef {import('../repositories/ScheduleRepository.js').Schedule} Schedule
+ * @typedef {import('../constants/sleepCycles.js').SleepConfig} SleepConfig
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Вопрос с текстами на текущем языке; у ответа-интервала label — 'HH:MM–HH:MM'
+ * @typedef {Object} ChronotypeQuestion
+ * @property {string} id
+ * @property {string} text
+ * @property {(import('../constants/chronotype.js').ChronotypeAnswer & { label: string })[]} answers
+ */
+
+/**
+ * Хронотип с названием и описанием на текущем языке
+ * @typedef {import('../constants/chronotype.js').Chronotype & { title: string, description: string }} Chronotype
+ */
+
+/**
+ * Рекомендация по результатам опросника
+ * @typedef {Object} ChronotypeRecommendation
+ * @property {number} score - Сумма баллов
+ * @property {Chronotype} chronotype
+ * @property {string} wakeTime - Рекомендуемый подъём
+ * @property {string} bedtime - Отбой за рекомендуемое число циклов сна до подъёма
+ * @property {ReturnType<typeof getSleepCycleOptions>} bedtimeOptions - Варианты отбоя: рекомендуемое число циклов ±1
+ */
+
+/**
+ * Сервис для опросника хронотипа
+ */
+export class ChronotypeService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.scheduleService = new ScheduleService(storage);
+    this.settingsService = new SettingsService(storage);
+  }
+
+  /**
+   * @returns {ChronotypeQuestion[]} Вопросы с текстами на текущем языке
+   */
+  getQuestions() {
+    return CHRONOTYPE_QUESTIONS.map(question => ({
+      ...question,
+      text: t(`chronotype.question.${question.id}`),
+      answers: question.answers.map(answer => ({
+        ...answer,
+        label: answer.id ? t(`chronotype.answer.${answer.id}`) : `${answer.from}–${answer.to}`
+      }))
+    }));
+  }
+
+  /**
+   * Считает сумму баллов
+   * @param {number[]} answers - Индекс выбранного ответа на каждый вопрос
+   * @returns {number}
+   * @throws {Error} Если ответы даны не на все вопросы
+   */
+  scoreAnswers(answers) {
+    return CHRONOTYPE_QUESTIONS.reduce((sum, question, i) => {
+      const answer = question.answers[answers[i]];
+      if (!answer) {
+        throw new Error(t('errors.answerAll'));
+      }
+      return sum + answer.score;
+    }, 0);
+  }
+
+  /**
+   * @param {number} score - Сумма баллов
+   * @returns {Chronotype}
+   */
+  getChronotype(score) {
+    const type = CHRONOTYPES.find(item => score >= item.minScore) || CHRONOTYPES[CHRONOTYPES.length - 1];
+    return {
+      ...type,
+      title: t(`chronotype.type.${type.id}.title`),
+      description: t(`chronotype.type.${type.id}.description`)
+    };
+  }
+
+  /**
+   * Рекомендует время подъёма по хронотипу и отбой, кратный циклам сна. Параметры сна
+   * передаются явно: рекомендация считается синхронно, прямо в геттере UI.
+   * @param {number[]} answers - Индекс выбранного ответа на каждый вопрос
+   * @param {SleepConfig} sleepConfig - Параметры сна из настроек
+   * @returns {ChronotypeRecommendation}
+   */
+  recommend(answers, sleepConfig) {
+    const score = this.scoreAnswers(answers);
+    const chronotype = this.getChronotype(score);
+    const options = getSleepCycleOptions(chronotype.wakeTime, 'bedtime', sleepConfig);
+    const recommended = options.find(option => option.isRecommended) || options[0];
+    const bedtimeOptions = options.filter(option => Math.abs(option.cycles - recommended.cycles) <= 1);
+
+    return {
+      score,
+      chronotype,
+      wakeTime: chronotype.wakeTime,
+      bedtime: recommended.time,
+      bedtimeOptions
+    };
+  }
+
+  /**
+   * Запоминает результат опросника: хронотип и время по умолчанию для новых расписаний
+   * @param {ChronotypeRecommendation} recommendation
+   * @param {string} bedtime - Выбранный отбой (один из bedtimeOptions)
+   */
+  async saveResult(recommendation, bedtime) {
+    await this.settingsService.update({
+      onboardingCompleted: true,
+      chronotype: { id: recommendation.chronotype.id, score: recommendation.score },
+      defaultWakeTime: recommendation.wakeTime,
+      defaultBedtime: bedtime
+    });
+  }
+
+  /**
+   * Создаёт расписание с рекомендованным временем и запоминает результат
+   * @param {ChronotypeRecommendation} recommendation
+   * @param {string} bedtime - Выбранный отбой
+   * @param {string} [name] - Название расписания; по умолчанию «Обычный день» на текущем языке
+   * @returns {Promise<Schedule>}
+   */
+  async createRecommendedSchedule(recommendation, bedtime, name = t('schedule.defaultName')) {
+    await this.saveResult(recommendation, bedtime);
+    return this.scheduleService.createSchedule(name, recommendation.wakeTime, bedtime);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Сервис плана по датам: какое расписание и время сна действуют в конкретный день
+ * с учётом дней недели, разовых изменений и плана плавного сдвига
+ */
+
+import { DayOverrideRepository } from '../repositories/DayOverrideRepository.js';
+import { ScheduleService } from './ScheduleService.js';
+import { ShiftPlanService } from './ShiftPlanService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { normalizeTime, getSleepDurationMinutes } from '../utils/TimeUtils.js';
+import { toDateKey, parseDateKey, addDays } from '../utils/DateUtils.js';
+import { t } from '../utils/I18nUtils.js';
+
+/**
+ * @typedef {import('../repositories/ScheduleRepository.js').Schedule} Schedule
+ * @typedef {import('../repositories/DayOverrideRepository.js').DayOverride} DayOverride
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * План на день
+ * @typedef {Object} DayPlan
+ * @property {string} date - Дата 'YYYY-MM-DD'
+ * @property {number} weekday - День недели (как Date.getDay)
+ * @property {Schedule|null} schedule - Действующее расписание; null — день не назначен
+ * @property {string|null} wakeTime - Подъём с учётом разового изменения
+ * @property {string|null} bedtime - Отбой с учётом разового изменения
+ * @property {number|null} sleepDurationMinutes - Сон в ночь перед днём: от отбоя накануне до подъёма
+ * @property {DayOverride|null} override - Разовое изменение на эту дату
+ */
+
+/**
+ * Сервис для плана по датам
+ */
+export class DayPlanService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.overrideRepository = new DayOverrideRepository(storage);
+    this.scheduleService = new ScheduleService(storage);
+    this.shiftPlanService = new ShiftPlanService(storage);
+  }
+
+  /**
+   * Возвращает план на дату
+   * @param {Date} date - Дата
+   * @returns {Promise<DayPlan>}
+   */
+  async getDayPlan(date) {
+    const schedules = await this.scheduleService.getSchedules();
+    const overrides = await this.overrideRepository.getAll();
+    const previous = this._resolveDay(addDays(date, -1), schedules, overrides);
+    return this._withSleep(this._resolveDay(date, schedules, overrides), previous);
+  }
+
+  /**
+   * Возвращает план на несколько дней подряд
+   * @param {Date} startDate - Первый день
+   * @param {number} [days=7] - Число дней
+   * @returns {Promise<DayPlan[]>}
+   */
+  async getWeek(startDate, days = 7) {
+    const schedules = await this.scheduleService.getSchedules();
+    const overrides = await this.overrideRepository.getAll();
+    // День накануне нужен, чтобы посчитать сон перед первым днём
+    const resolved = Array.from({ length: days + 1 }, (_, i) =>
+      this._resolveDay(addDays(startDate, i - 1), schedules, overrides)
+    );
+    return resolved.slice(1).map((day, i) => this._withSleep(day, resolved[i]));
+  }
+
+  /**
+   * Задаёт разовое изменение на дату; базовое расписание не меняется.
+   * Если все поля пустые — изменение удаляется.
+   * @param {string} date - Дата 'YYYY-MM-DD'
+   * @param {Object} data
+   * @param {string|null} [data.scheduleId] - Расписание на день; null — по дню недели
+   * @param {string|null} [data.wakeTime] - Подъём; пусто — из расписания
+   * @param {string|null} [data.bedtime] - Отбой; пусто — из расписания
+   * @param {string} [data.note]
+   * @returns {Promise<DayOverride|null>} Сохранённое изменение или null, если оно удалено
+   * @throws {Error} При неверной дате, времени или несуществующем расписании
+   */
+  async setOverride(date, data) {
+    if (!parseDateKey(date)) {
+      throw new Error(t('errors.invalidDate', { date }));
+    }
+
+    const scheduleId = data.scheduleId || null;
+    if (scheduleId && !(await this.scheduleService.getSchedules()).some(s => s.id === scheduleId)) {
+      throw new Error(t('errors.scheduleNotFound', { id: scheduleId }));
+    }
+
+    const override = {
+      date,
+      scheduleId,
+      wakeTime: this._normalizeOptionalTime(data.wakeTime),
+      bedtime: this._normalizeOptionalTime(data.bedtime),
+      note: (data.note || '').trim()
+    };
+
+    if (!override.scheduleId && !override.wakeTime && !override.bedtime && !override.note) {
+      await this.overrideRepository.delete(date);
+      return null;
+    }
+
+    return this.overrideRepository.save(override);
+  }
+
+  /**
+   * Удаляет разовое изменение на дату
+   * @param {string} date - Дата 'YYYY-MM-DD'
+   */
+  async clearOverride(date) {
+    await this.overrideRepository.delete(date);
+  }
+
+  /**
+   * Удаляет прошедшие разовые изменения (кроме вчерашнего — от него считается сон сегодня)
+   * @param {Date} today - Текущая дата
+   */
+  async pruneOverrides(today) {
+    await this.overrideRepository.deleteBefore(toDateKey(addDays(today, -1)));
+  }
+
+  /**
+   * Расписание и время дня без длительности сна
+   * @private
+   * @param {Date} date
+   * @param {Schedule[]} schedules
+   * @param {DayOverride[]} overrides
+   * @returns {DayPlan}
+   */
+  _resolveDay(date, schedules, overrides) {
+    const key = toDateKey(date);
+    const weekday = date.getDay();
+    const override = overrides.find(o => o.date === key) || null;
+    // Расписание из изменения могло быть удалено — тогда действует день недели
+    const schedule = (override?.scheduleId && schedules.find(s => s.id === override.scheduleId))
+      || schedules.find(s => (s.weekdays || []).includes(weekday))
+      || null;
+    // В днях плана плавного сдвига действует время шага, а не текущее время расписания
+    const planned = schedule?.shiftPlan ? this.shiftPlanService.getTimesForDate(schedule.shiftPlan, key) : null;
+
+    return {
+      date: key,
+      weekday,
+      schedule,
+      wakeTime: override?.wakeTime || planned?.wakeTime || schedule?.wakeTime || null,
+      bedtime: override?.bedtime || planned?.bedtime || schedule?.bedtime || null,
+      sleepDurationMinutes: null,
+      override
+    };
+  }
+
+  /**
+   * Добавляет к плану сон в ночь перед днём
+   * @private
+   * @param {DayPlan} day
+   * @param {DayPlan} previous - План на день накануне
+   * @returns {DayPlan}
+   */
+  _withSleep(day, previous) {
+    const bedtime = previous.bedtime;
+    return {
+      ...day,
+      sleepDurationMinutes: bedtime && day.wakeTime
+        ? getSleepDurationMinutes(bedtime, day.wakeTime)
+        : null
+    };
+  }
+
+  /**
+   * @private
+   * @param {string|null|undefined} time
+   * @returns {string|null} 'HH:MM' или null для пустого значения
+   * @throws {Error} При неверном формате
+   */
+  _normalizeOptionalTime(time) {
+    if (!time || !String(time).trim()) {
+      return null;
+    }
+    const normalized = normalizeTime(String(time));
+    if (!normalized) {
+      throw new Error(t('errors.invalidTimeValue', { time }));
+    }
+    return normalized;
+  }
+}
@@ -3,31 +3,106 @@
  */
 
 import { MarkRepository } from '../repositories/MarkRepository.js';
-import { MORNING_MARK_TEMPLATES, EVENING_MARK_TEMPLATES } from '../constants/defaultMarks.js';
-import { parseTime, formatTime } from '../utils/TimeUtils.js';
+import { ScheduleRepository } from '../repositories/ScheduleRepository.js';
+import { SunService } from './SunService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { MORNING_MARK_TEMPLATES, EVENING_MARK_TEMPLATES, DEFAULT_MARK_IDS, getDefaultMarkText, getDefaultMarkDuration } from '../constants/defaultMarks.js';
+import { SCHEDULE_ANCHORS, SUN_ANCHORS } from '../constants/markAnchors.js';
+import { CAFFEINE_DOSE_LIMITS } from '../constants/caffeine.js';
+import { parseTime, formatTime, normalizeTime, shiftTime, getTimeDelta } from '../utils/TimeUtils.js';
+import { hasAnchorCycle, resolveAnchoredTimes, shiftDefaultMarkTimes } from '../utils/AnchorUtils.js';
+import { t } from '../utils/I18nUtils.js';
 
 /**
  * @typedef {import('../repositories/MarkRepository.js').Mark} Mark
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Отличие дефолтной засечки от шаблона
+ * @typedef {Object} MarkDeviation
+ * @property {string} id - ID засечки
+ * @property {string} recommendedTime - Время по шаблону 'HH:MM'
+ * @property {number} timeDeltaMinutes - Сдвиг от рекомендованного времени (+ позже, − раньше)
+ * @property {number} durationDeltaMinutes - Разница длительности окна с шаблоном
+ * @property {boolean} textChanged - Изменены emoji, название или описание
  */
 
 /**
  * Сервис для управления засечками
  */
 export class MarkService {
-  constructor() {
-    this.repository = new MarkRepository();
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.repository = new MarkRepository(storage);
+    this.scheduleRepository = new ScheduleRepository(storage);
+    this.sunService = new SunService(storage);
   }
 
   /**
-   * Возвращает засечки расписания, отсортированные по времени.
+   * Возвращает видимые засечки расписания, отсортированные по времени.
    * @param {string} scheduleId - ID расписания
-   * @returns {Mark[]} Массив засечек, отсортированный по времени
+   * @returns {Promise<Mark[]>} Массив засечек, отсортированный по времени
    */
-  getMarks(scheduleId) {
-    const raw = this.repository.getByScheduleId(scheduleId);
+  async getMarks(scheduleId) {
+    const raw = (await this.repository.getByScheduleId(scheduleId)).filter(m => !m.hidden);
     return [...raw].sort((a, b) => parseTime(a.time) - parseTime(b.time));
   }
 
+  /**
+   * Видимые засечки расписания на день с другим временем подъёма и сна (разовое изменение дня):
+   * дефолтные сдвигаются так же, как при правке расписания, привязанные пересчитываются от времени дня.
+   * Ничего не сохраняет — засечки расписания остаются прежними.
+   * @param {string} scheduleId - ID расписания
+   * @param {{ wakeTime: string, bedtime: string }} dayTimes - Подъём и отбой дня (DayPlan)
+   * @param {Date} [date] - Дата для восхода и заката (по умолчанию сегодня)
+   * @returns {Promise<Mark[]>} Массив засечек, отсортированный по времени
+   */
+  async getMarksForDay(scheduleId, dayTimes, date = new Date()) {
+    const schedule = (await this.scheduleRepository.getAll()).find(s => s.id === scheduleId);
+    if (!schedule) {
+      return this.getMarks(scheduleId);
+    }
+    const marks = shiftDefaultMarkTimes(await this.repository.getByScheduleId(scheduleId), schedule, dayTimes);
+    const sunTimes = await this.sunService.getSunTimes(date);
+    return resolveAnchoredTimes(marks, {
+      wakeTime: dayTimes.wakeTime,
+      bedtime: dayTimes.bedtime,
+      sunrise: sunTimes?.sunrise ?? null,
+      sunset: sunTimes?.sunset ?? null
+    })
+      .filter(m => !m.hidden)
+      .sort((a, b) => parseTime(a.time) - parseTime(b.time));
+  }
+
+  /**
+   * Возвращает скрытые дефолтные засечки расписания (для меню восстановления).
+   * @param {string} scheduleId - ID расписания
+   * @returns {Promise<Mark[]>} Массив засечек, отсортированный по времени
+   */
+  async getHiddenMarks(scheduleId) {
+    const raw = (await this.repository.getByScheduleId(scheduleId)).filter(m => m.hidden);
+    return [...raw].sort((a, b) => parseTime(a.time) - parseTime(b.time));
+  }
+
+  /**
+   * Скрывает или возвращает дефолтную засечку в расписании. Скрытая засечка не удаляется
+   * и продолжает сдвигаться вместе со сном/подъёмом, поэтому возвращается на актуальное время.
+   * @param {string} scheduleId - ID расписания
+   * @param {string} id - ID дефолтной засечки
+   * @param {boolean} hidden - true — скрыть, false — вернуть
+   * @returns {Promise<Mark>} Обновлённая засечка
+   * @throws {Error} Если засечка не дефолтная или не найдена
+   */
+  async setMarkHidden(scheduleId, id, hidden) {
+    if (!this.repository.isDefaultMark(id)) {
+      throw new Error(t('errors.hideDefaultOnly'));
+    }
+    return this.updateMark(scheduleId, id, { hidden });
+  }
+
   /**
    * Создаёт новую засечку
    * @param {string} scheduleId - ID расписания
@@ -36,52 +111,150 @@ export class MarkService {
    * @param {string} data.title
    * @param {string} data.description
    * @param {string} data.time
-   * @returns {Mark} Созданная засечка
+   * @param {string|null} [data.anchor] - Якорь: 'wakeTime', 'bedtime', 'sunrise', 'sunset' или id засечки; без якоря время фиксированное
+   * @param {number} [data.offsetMinutes] - Смещение от якоря; если не задано, вычисляется из time
+   * @param {number} [data.durationMinutes] - Длительность окна; 0 — засечка-точка
+   * @param {number} [data.caffeineMg] - Доза кофеина, мг; 0 — не приём кофеина
+   * @returns {Promise<Mark>} Созданная засечка
+   * @throws {Error} Если время в неверном формате, якорь не найден или доза вне CAFFEINE_DOSE_LIMITS
    */
-  createMark(scheduleId, data) {
+  async createMark(scheduleId, data) {
     const mark = {
       scheduleId,
       emoji: data.emoji || '📌',
-      title: data.title || 'Новая засечка',
+      title: data.title || t('mark.newTitle'),
       description: data.description || '',
-      time: data.time || '12:00'
+      time: data.time ? this._normalizeMarkTime(data.time) : '12:00',
+      anchor: data.anchor || null,
+      offsetMinutes: data.offsetMinutes ?? 0,
+      durationMinutes: this._normalizeDuration(data.durationMinutes),
+      caffeineMg: this._normalizeCaffeineDose(data.caffeineMg)
     };
+    await this._applyAnchor(mark, data.offsetMinutes === undefined);
 
     return this.repository.save(mark);
   }
 
   /**
-   * Обновляет засечку
+   * Обновляет засечку. Засечки, привязанные к ней, пересчитываются.
+   * @param {string} scheduleId - ID расписания
    * @param {string} id - ID засечки
    * @param {Object} data - Данные для обновления
    * @param {string} [data.emoji]
    * @param {string} [data.title]
    * @param {string} [data.description]
    * @param {string} [data.time]
-   * @returns {Mark} Обновлённая засечка
+   * @param {string|null} [data.anchor] - Якорь; null — фиксированное время
+   * @param {number} [data.offsetMinutes] - Смещение от якоря; если задано, time вычисляется из него
+   * @param {number} [data.durationMinutes] - Длительность окна; 0 — засечка-точка
+   * @param {number} [data.caffeineMg] - Доза кофеина, мг; 0 — не приём кофеина
+   * @returns {Promise<Mark>} Обновлённая засечка
+   * @throws {Error} Если засечка или якорь не найдены, время в неверном формате, привязка образует цикл
+   *   или доза вне CAFFEINE_DOSE_LIMITS
    */
-  updateMark(id, data) {
-    const allMarks = this.repository._getAll();
-    const existingMark = allMarks.find(m => m.id === id);
+  async updateMark(scheduleId, id, data) {
+    const existingMark = await this.repository.getById(scheduleId, id);
 
     if (!existingMark) {
-      throw new Error(`Засечка с id ${id} не найдена`);
+      throw new Error(t('errors.markNotFound', { id }));
     }
 
     const updatedMark = {
       ...existingMark,
-      ...data
+      ...data,
+      id,
+      scheduleId
     };
+    if (data.time !== undefined) {
+      updatedMark.time = this._normalizeMarkTime(data.time);
+    }
+    if (data.durationMinutes !== undefined) {
+      updatedMark.durationMinutes = this._normalizeDuration(data.durationMinutes);
+    }
+    if (data.caffeineMg !== undefined) {
+      updatedMark.caffeineMg = this._normalizeCaffeineDose(data.caffeineMg);
+    }
+    if (updatedMark.anchor && this.repository.isDefaultMark(id)) {
+      throw new Error(t('errors.anchorUserOnly'));
+    }
+    await this._applyAnchor(updatedMark, data.offsetMinutes === undefined);
+
+    const savedMark = await this.repository.save(updatedMark);
+    await this.recomputeAnchoredMarks(scheduleId);
+    return savedMark;
+  }
+
+  /**
+   * Сдвигает засечку на deltaMinutes (перетаскивание по стволу).
+   * У привязанной засечки меняется offsetMinutes, а не фиксированное время. Дефолтная засечка
+   * сохраняет свой id, поэтому и после сдвига продолжает двигаться вместе со сном/подъёмом.
+   * @param {string} scheduleId - ID расписания
+   * @param {string} id - ID засечки
+   * @param {number} deltaMinutes - Сдвиг в минутах (может быть отрицательным)
+   * @returns {Promise<Mark>} Обновлённая засечка
+   * @throws {Error} Если засечка не найдена
+   */
+  async moveMark(scheduleId, id, deltaMinutes) {
+    const mark = await this.repository.getById(scheduleId, id);
+
+    if (!mark) {
+      throw new Error(t('errors.markNotFound', { id }));
+    }
 
-    return this.repository.save(updatedMark);
+    if (mark.anchor) {
+      return this.updateMark(scheduleId, id, { offsetMinutes: (mark.offsetMinutes || 0) + deltaMinutes });
+    }
+    return this.updateMark(scheduleId, id, { time: shiftTime(mark.time, deltaMinutes) });
   }
 
   /**
-   * Удаляет засечку
+   * Удаляет засечку. Засечки, привязанные к ней, становятся фиксированными на текущем времени.
+   * @param {string} scheduleId - ID расписания
    * @param {string} id - ID засечки
    */
-  deleteMark(id) {
-    this.repository.delete(id);
+  async deleteMark(scheduleId, id) {
+    const dependents = (await this.repository.getByScheduleId(scheduleId)).filter(m => m.anchor === id);
+    if (dependents.length) {
+      await this.repository.saveMany(dependents.map(m => ({ ...m, anchor: null, offsetMinutes: 0 })));
+    }
+    await this.repository.delete(scheduleId, id);
+  }
+
+  /**
+   * Пересчитывает время всех привязанных засечек расписания от текущих якорей.
+   * Вызывается после изменения времени сна/подъёма, после правки засечки-якоря
+   * и при смене дня или местоположения (восход и закат на дату).
+   * @param {string} scheduleId - ID расписания
+   * @param {Date} [date] - Дата для восхода и заката (по умолчанию сегодня)
+   * @returns {Promise<Mark[]>} Засечки, время которых изменилось
+   */
+  async recomputeAnchoredMarks(scheduleId, date = new Date()) {
+    const schedule = (await this.scheduleRepository.getAll()).find(s => s.id === scheduleId);
+    const marks = await this.repository.getByScheduleId(scheduleId);
+    const sunTimes = await this.sunService.getSunTimes(date);
+    const baseTimes = {
+      ...(schedule ? { wakeTime: schedule.wakeTime, bedtime: schedule.bedtime } : {}),
+      sunrise: sunTimes?.sunrise ?? null,
+      sunset: sunTimes?.sunset ?? null
+    };
+    const changed = resolveAnchoredTimes(marks, baseTimes).filter((m, i) => m.time !== marks[i].time);
+    if (changed.length) {
+      await this.repository.saveMany(changed);
+    }
+    return changed;
+  }
+
+  /**
+   * Пересчитывает привязанные засечки во всех расписаниях (смена дня или местоположения).
+   * @param {Date} [date] - Дата для восхода и заката (по умолчанию сегодня)
+   * @returns {Promise<Mark[]>} Засечки, время которых изменилось
+   */
+  async recomputeAllAnchoredMarks(date = new Date()) {
+    const changed = [];
+    for (const schedule of await this.scheduleRepository.getAll()) {
+      changed.push(...await this.recomputeAnchoredMarks(schedule.id, date));
+    }
+    return changed;
   }
 
   /**
@@ -89,9 +262,105 @@ export class MarkService {
    * @param {string} scheduleId - ID расписания
    * @param {string} wakeTime - Время пробуждения в формате 'HH:MM'
    * @param {string} bedtime - Время сна в формате 'HH:MM'
-   * @returns {Mark[]} Массив созданных засечек
+   * @returns {Promise<Mark[]>} Массив созданных засечек
    */
-  createDefaultMarks(scheduleId, wakeTime, bedtime) {
+  async createDefaultMarks(scheduleId, wakeTime, bedtime) {
+    return this.repository.saveMany(this._buildDefaultMarks(scheduleId, wakeTime, bedtime));
+  }
+
+  /**
+   * Сравнивает дефолтные засечки расписания с тем, что вычислил бы createDefaultMarks
+   * из шаблонов и текущих wakeTime/bedtime. Скрытые засечки тоже учитываются.
+   * @param {string} scheduleId - ID расписания
+   * @returns {Promise<MarkDeviation[]>} Только засечки, отличающиеся от шаблона
+   */
+  async getMarkDeviations(scheduleId) {
+    const schedule = await this._getSchedule(scheduleId);
+    const recommended = new Map(
+      this._buildDefaultMarks(scheduleId, schedule.wakeTime, schedule.bedtime).map(m => [m.id, m])
+    );
+
+    return (await this.repository.getByScheduleId(scheduleId))
+      .filter(mark => recommended.has(mark.id))
+      .map(mark => {
+        const template = recommended.get(mark.id);
+        return {
+          id: mark.id,
+          recommendedTime: template.time,
+          timeDeltaMinutes: getTimeDelta(template.time, mark.time),
+          durationDeltaMinutes: (mark.durationMinutes || 0) - template.durationMinutes,
+          textChanged: mark.emoji !== template.emoji
+            || mark.title !== template.title
+            || mark.description !== template.description
+        };
+      })
+      .filter(d => d.timeDeltaMinutes !== 0 || d.durationDeltaMinutes !== 0 || d.textChanged);
+  }
+
+  /**
+   * Возвращает дефолтную засечку к шаблону: время от текущих wakeTime/bedtime, длительность и текст.
+   * Признак hidden сохраняется.
+   * @param {string} scheduleId - ID расписания
+   * @param {string} id - ID дефолтной засечки
+   * @returns {Promise<Mark>} Обновлённая засечка
+   * @throws {Error} Если засечка не дефолтная или не найдена
+   */
+  async resetMark(scheduleId, id) {
+    const schedule = await this._getSchedule(scheduleId);
+    const template = this._buildDefaultMarks(scheduleId, schedule.wakeTime, schedule.bedtime).find(m => m.id === id);
+    if (!template) {
+      throw new Error(t('errors.resetDefaultOnly'));
+    }
+    return this.updateMark(scheduleId, id, template);
+  }
+
+  /**
+   * Возвращает все дефолтные засечки расписания к шаблонам; удалённые дефолтные засечки создаются заново.
+   * Пользовательские засечки не меняются (кроме пересчёта привязанных).
+   * @param {string} scheduleId - ID расписания
+   * @returns {Promise<Mark[]>} Засечки после сброса
+   */
+  async resetMarks(scheduleId) {
+    const schedule = await this._getSchedule(scheduleId);
+    await this.repository.saveMany(this._buildDefaultMarks(scheduleId, schedule.wakeTime, schedule.bedtime));
+    await this.recomputeAnchoredMarks(scheduleId);
+    return this.repository.getByScheduleId(scheduleId);
+  }
+
+  /**
+   * Переводит тексты дефолтных засечек во всех расписаниях на новый язык.
+   * Название и описание, изменённые пользователем (не совпадающие с текстом шаблона
+   * на прежнем языке), не трогаются.
+   * @param {string} fromLocale - Прежний язык
+   * @param {string} toLocale - Новый язык
+   * @returns {Promise<Mark[]>} Засечки, тексты которых изменились
+   */
+  async relocalizeDefaultMarks(fromLocale, toLocale) {
+    const changed = [];
+    const scheduleIds = new Set((await this.scheduleRepository.getAll()).map(s => s.id));
+    (await this.repository.getAll())
+      .filter(mark => scheduleIds.has(mark.scheduleId) && DEFAULT_MARK_IDS.includes(mark.id))
+      .forEach(mark => {
+        const from = getDefaultMarkText(mark.id, fromLocale);
+        const to = getDefaultMarkText(mark.id, toLocale);
+        const title = mark.title === from.title ? to.title : mark.title;
+        const description = mark.description === from.description ? to.description : mark.description;
+        if (title !== mark.title || description !== mark.description) {
+          changed.push({ ...mark, title, description });
+        }
+      });
+    return changed.length ? this.repository.saveMany(changed) : [];
+  }
+
+  /**
+   * Строит дефолтные засечки из шаблонов (без сохранения)
+   * @private
+   * @param {string} scheduleId - ID расписания
+   * @param {string} wakeTime - Время пробуждения в формате 'HH:MM'
+   * @param {string} bedtime - Время сна в формате 'HH:MM'
+   * @returns {Mark[]}
+   */
+  _buildDefaultMarks(scheduleId, wakeTime, bedtime) {
     const wakeMinutes = parseTime(wakeTime);
     const bedMinutes = parseTime(bedtime);
 
@@ -99,21 +368,129 @@ export class MarkService {
       id: template.id,
       scheduleId,
       emoji: template.emoji,
-      title: template.title,
-      description: template.description,
-      time: formatTime(wakeMinutes + template.offsetMinutes)
+      ...getDefaultMarkText(template.id),
+      time: formatTime(wakeMinutes + template.offsetMinutes),
+      durationMinutes: getDefaultMarkDuration(template.id)
     }));
 
     const eveningMarks = EVENING_MARK_TEMPLATES.map(template => ({
       id: template.id,
       scheduleId,
       emoji: template.emoji,
-      title: template.title,
-      description: template.description,
-      time: formatTime(bedMinutes + template.offsetMinutes)
+      ...getDefaultMarkText(template.id),
+      time: formatTime(bedMinutes + template.offsetMinutes),
+      durationMinutes: getDefaultMarkDuration(template.id)
     }));
 
-    const allMarks = [...morningMarks, ...eveningMarks];
-    return this.repository.saveMany(allMarks);
+    return [...morningMarks, ...eveningMarks];
+  }
+
+  /**
+   * Возвращает расписание по id
+   * @private
+   * @param {string} scheduleId - ID расписания
+   * @returns {Promise<import('../repositories/ScheduleRepository.js').Schedule>}
+   * @throws {Error} Если расписание не найдено
+   */
+  async _getSchedule(scheduleId) {
+    const schedule = (await this.scheduleRepository.getAll()).find(s => s.id === scheduleId);
+    if (!schedule) {
+      throw new Error(t('errors.scheduleNotFound', { id: scheduleId }));
+    }
+    return schedule;
+  }
+
+  /**
+   * Приводит время засечки к 'HH:MM'
+   * @private
+   * @param {string} time - Введённое время
+   * @returns {string} Время в формате 'HH:MM'
+   * @throws {Error} Если время в неверном формате
+   */
+  _normalizeMarkTime(time) {
+    const normalized = normalizeTime(time);
+    if (!normalized) {
+      throw new Error(t('errors.invalidTimeValue', { time }));
+    }
+    return normalized;
+  }
+
+  /**
+   * Приводит длительность окна к целому числу минут в пределах суток
+   * @private
+   * @param {number|undefined} durationMinutes - Длительность
+   * @returns {number} 0..24*60-1
+   */
+  _normalizeDuration(durationMinutes) {
+    const minutes = Math.round(Number(durationMinutes) || 0);
+    return Math.min(Math.max(minutes, 0), 24 * 60 - 1);
+  }
+
+  /**
+   * Проверяет дозу кофеина: null или 0 — засечка не кофеиновая
+   * @private
+   * @param {number|string|null|undefined} caffeineMg - Доза, мг
+   * @returns {number} 0 или целое в CAFFEINE_DOSE_LIMITS
+   * @throws {Error} Если доза не целая (в том числе пустая строка из формы) или вне CAFFEINE_DOSE_LIMITS
+   */
+  _normalizeCaffeineDose(caffeineMg) {
+    if (caffeineMg === undefined || caffeineMg === null || caffeineMg === 0) return 0;
+    const dose = Number(caffeineMg);
+    const { min, max } = CAFFEINE_DOSE_LIMITS;
+    if (!Number.isInteger(dose) || dose < min || dose > max) {
+      throw new Error(t('errors.caffeineDoseRange', { min, max }));
+    }
+    return dose;
+  }
+
+  /**
+   * Согласует time и offsetMinutes привязанной засечки (изменяет mark).
+   * @private
+   * @param {Mark} mark - Засечка с заполненными scheduleId, time и anchor
+   * @param {boolean} offsetFromTime - true — offset вычисляется из time, false — time из offset
+   * @throws {Error} Если якорь не найден или привязка образует цикл
+   */
+  async _applyAnchor(mark, offsetFromTime) {
+    if (!mark.anchor) {
+      mark.anchor = null;
+      mark.offsetMinutes = 0;
+      return;
+    }
+    if (mark.id && hasAnchorCycle(await this.repository.getByScheduleId(mark.scheduleId), mark.id, mark.anchor)) {
+      throw new Error(t('errors.anchorCycle'));
+    }
+    const anchorTime = await this._getAnchorTime(mark.scheduleId, mark.anchor);
+    if (offsetFromTime) {
+      mark.offsetMinutes = getTimeDelta(anchorTime, mark.time);
+    } else {
+      mark.time = shiftTime(anchorTime, mark.offsetMinutes);
+    }
+  }
+
+  /**
+   * Возвращает текущее время якоря
+   * @private
+   * @param {string} scheduleId - ID расписания
+   * @param {string} anchor - 'wakeTime', 'bedtime', 'sunrise', 'sunset' или id засечки
+   * @returns {Promise<string>} Время в формате 'HH:MM'
+   * @throws {Error} Если расписание или засечка-якорь не найдены, местоположение не задано
+   *   или солнце сегодня не восходит/не заходит
+   */
+  async _getAnchorTime(scheduleId, anchor) {
+    if (SCHEDULE_ANCHORS.includes(anchor)) {
+      return (await this._getSchedule(scheduleId))[anchor];
+    }
+    if (SUN_ANCHORS.includes(anchor)) {
+      const sunTime = (await this.sunService.getSunTimes())?.[anchor];
+      if (!sunTime) {
+        throw new Error(t('errors.sunUnavailable'));
+      }
+      return sunTime;
+    }
+    const anchorMark = await this.repository.getById(scheduleId, anchor);
+    if (!anchorMark) {
+      throw new Error(t('errors.anchorMarkNotFound', { id: anchor }));
+    }
+    return anchorMark.time;
   }
 }
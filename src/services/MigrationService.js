@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Сервис миграций схемы хранения: запускается до загрузки данных,
+ * при ошибке восстанавливает снимок хранилища, сделанный перед миграцией
+ */
+
+import { MIGRATIONS, SCHEMA_VERSION } from '../constants/migrations.js';
+import { STORAGE_KEYS, MIGRATION_SNAPSHOT_KEY } from '../constants/storage.js';
+import { parseEnvelope, writeEnvelope, hasValidShape, isQuarantined, quarantineStoredData } from '../utils/StorageUtils.js';
+import { getStorageCache } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+
+/**
+ * @typedef {import('../constants/migrations.js').Migration} Migration
+ * @typedef {import('../constants/migrations.js').StorageState} StorageState
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Результат запуска миграций
+ * @typedef {Object} MigrationResult
+ * @property {'up-to-date'|'migrated'|'rolled-back'|'newer'} status - 'newer' — данные записаны более новой версией приложения
+ * @property {number} fromVersion - Версия данных до запуска (самая старая среди ключей)
+ * @property {number} toVersion - Версия данных после запуска
+ * @property {Error} [error] - Причина отката
+ */
+
+/**
+ * Сервис для миграции данных хранилища
+ */
+export class MigrationService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   * @param {Migration[]} [migrations] - Реестр миграций (по умолчанию MIGRATIONS)
+   */
+  constructor(storage = getDefaultStorage(), migrations = MIGRATIONS) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Приводит данные всех ключей к SCHEMA_VERSION. Перед миграцией значения ключей сохраняются
+   * в MIGRATION_SNAPSHOT_KEY; при ошибке (в том числе нехватке места) снимок восстанавливается.
+   * Снимок, оставшийся от прерванного запуска (закрыта вкладка), восстанавливается в начале.
+   * Повреждённые ключи не мигрируют: они уходят в карантин и ждут восстановления.
+   * Незаписанные изменения кэша пишутся до снимка, а после прогона кэш перечитывает хранилище.
+   * @returns {Promise<MigrationResult>}
+   */
+  async run() {
+    await this.cache.flush();
+    try {
+      return await this._migrate();
+    } finally {
+      this.cache.invalidate();
+    }
+  }
+
+  /**
+   * Прогон миграций (см. run).
+   * @private
+   * @returns {Promise<MigrationResult>}
+   */
+  async _migrate() {
+    await this._restoreInterruptedRun();
+    const snapshot = await this._takeSnapshot();
+    let fromVersion = SCHEMA_VERSION;
+
+    try {
+      const envelopes = await this._readEnvelopes(snapshot);
+      if (!envelopes.length) {
+        return { status: 'up-to-date', fromVersion, toVersion: SCHEMA_VERSION };
+      }
+
+      fromVersion = Math.min(...envelopes.map(e => e.version));
+      if (fromVersion > SCHEMA_VERSION) {
+        return { status: 'newer', fromVersion, toVersion: fromVersion };
+      }
+      const pending = this.migrations.filter(m => m.version > fromVersion);
+      if (!pending.length) {
+        return { status: 'up-to-date', fromVersion, toVersion: SCHEMA_VERSION };
+      }
+
+      await this.storage.setItem(MIGRATION_SNAPSHOT_KEY, JSON.stringify(snapshot));
+      const initialState = Object.fromEntries(envelopes.map(e => [e.key, e.data]));
+      const state = pending.reduce((current, migration) => migration.migrate(current), initialState);
+      for (const key of Object.values(STORAGE_KEYS).filter(key => state[key] !== undefined)) {
+        await writeEnvelope(this.storage, key, state[key]);
+      }
+      await this.storage.removeItem(MIGRATION_SNAPSHOT_KEY);
+      return { status: 'migrated', fromVersion, toVersion: SCHEMA_VERSION };
+    } catch (error) {
+      console.error('Ошибка миграции данных, восстановлен снимок:', error);
+      await this._restoreSnapshot(snapshot);
+      return { status: 'rolled-back', fromVersion, toVersion: fromVersion, error };
+    }
+  }
+
+  /**
+   * Значения всех ключей данных как есть (строки хранилища).
+   * @private
+   * @returns {Promise<Object<string, string|null>>} null — ключа нет
+   */
+  async _takeSnapshot() {
+    const keys = Object.values(STORAGE_KEYS);
+    const values = await Promise.all(keys.map(key => this.storage.getItem(key)));
+    return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+  }
+
+  /**
+   * Разбирает ключи снимка; нечитаемые отправляет в карантин и пропускает.
+   * @private
+   * @param {Object<string, string|null>} snapshot
+   * @returns {Promise<Array<{ key: string, version: number, data: * }>>}
+   */
+  async _readEnvelopes(snapshot) {
+    const envelopes = [];
+    for (const [key, raw] of Object.entries(snapshot)) {
+      if (raw === null || await isQuarantined(this.storage, key)) continue;
+      try {
+        const envelope = parseEnvelope(raw);
+        if (hasValidShape(key, envelope.data)) {
+          envelopes.push({ key, ...envelope });
+          continue;
+        }
+      } catch (error) {
+        // Не JSON — в карантин, как и данные не той формы
+      }
+      await quarantineStoredData(this.storage, key, raw);
+    }
+    return envelopes;
+  }
+
+  /**
+   * Возвращает ключи к значениям снимка и удаляет снимок.
+   * @private
+   * @param {Object<string, string|null>} snapshot
+   */
+  async _restoreSnapshot(snapshot) {
+    try {
+      for (const [key, raw] of Object.entries(snapshot)) {
+        if (raw === null) await this.storage.removeItem(key);
+        else await this.storage.setItem(key, raw);
+      }
+      await this.storage.removeItem(MIGRATION_SNAPSHOT_KEY);
+    } catch (error) {
+      console.error('Ошибка при восстановлении снимка данных:', error);
+    }
+  }
+
+  /**
+   * Восстанавливает снимок, оставшийся от прерванной миграции.
+   * @private
+   */
+  async _restoreInterruptedRun() {
+    const raw = await this.storage.getItem(MIGRATION_SNAPSHOT_KEY);
+    if (raw === null) return;
+    let snapshot;
+    try {
+      snapshot = JSON.parse(raw);
+    } catch (error) {
+      console.error('Снимок прерванной миграции не читается:', error);
+      await this.storage.removeItem(MIGRATION_SNAPSHOT_KEY);
+      return;
+    }
+    await this._restoreSnapshot(snapshot);
+  }
+}
+
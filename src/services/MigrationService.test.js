@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Тесты миграций хранилища на MemoryStorageAdapter.
+ * Запуск без сборки: node --test src/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MigrationService } from './MigrationService.js';
+import { MarkService } from './MarkService.js';
+import { MemoryStorageAdapter } from '../adapters/MemoryStorageAdapter.js';
+import { MIGRATIONS, SCHEMA_VERSION } from '../constants/migrations.js';
+import { MIGRATION_SNAPSHOT_KEY } from '../constants/storage.js';
+import { getDefaultMarkText } from '../constants/defaultMarks.js';
+import { parseEnvelope } from '../utils/StorageUtils.js';
+
+/** Расписание и засечки в том виде, в каком их сохраняли до версионирования (версия 0) */
+const LEGACY_SCHEDULES = [{ id: 's1', name: 'Будни', wakeTime: '07:00', bedtime: '22:00' }];
+const LEGACY_BREAKFAST = { id: 'breakfast', scheduleId: 's1', emoji: '🍳', ...getDefaultMarkText('breakfast'), time: '08:00' };
+
+test('дефолтная засечка версии 0 получает окно шаблона и не отличается от него', async () => {
+  const storage = new MemoryStorageAdapter({
+    schedules: JSON.stringify(LEGACY_SCHEDULES),
+    marks: JSON.stringify([LEGACY_BREAKFAST, { id: 'u1', scheduleId: 's1', emoji: '💊', time: '21:30' }])
+  });
+
+  const result = await new MigrationService(storage).run();
+  assert.equal(result.status, 'migrated');
+  assert.equal(result.fromVersion, 0);
+
+  const { version, data } = parseEnvelope(await storage.getItem('marks'));
+  assert.equal(version, SCHEMA_VERSION);
+  assert.equal(data.find(m => m.id === 'breakfast').durationMinutes, 30);
+  assert.equal(data.find(m => m.id === 'u1').durationMinutes, 0);
+
+  assert.deepEqual(await new MarkService(storage).getMarkDeviations('s1'), []);
+});
+
+test('длительность, заданная до миграции, не перезаписывается', async () => {
+  const storage = new MemoryStorageAdapter({
+    marks: JSON.stringify([{ ...LEGACY_BREAKFAST, durationMinutes: 0 }])
+  });
+  await new MigrationService(storage).run();
+  assert.equal(parseEnvelope(await storage.getItem('marks')).data[0].durationMinutes, 0);
+});
+
+test('миграция, бросившая ошибку, откатывается к исходным строкам', async () => {
+  const entries = { schedules: JSON.stringify(LEGACY_SCHEDULES), marks: JSON.stringify([LEGACY_BREAKFAST]) };
+  const storage = new MemoryStorageAdapter(entries);
+  const failing = { version: SCHEMA_VERSION + 1, description: 'Падает', migrate: () => { throw new Error('сбой'); } };
+
+  const result = await new MigrationService(storage, [...MIGRATIONS, failing]).run();
+  assert.equal(result.status, 'rolled-back');
+  assert.equal(result.toVersion, 0);
+  assert.equal(result.error.message, 'сбой');
+  assert.equal(await storage.getItem('schedules'), entries.schedules);
+  assert.equal(await storage.getItem('marks'), entries.marks);
+  assert.equal(await storage.getItem(MIGRATION_SNAPSHOT_KEY), null);
+});
+
+test('ошибка записи посреди миграции восстанавливает уже записанные ключи', async () => {
+  const entries = { schedules: JSON.stringify(LEGACY_SCHEDULES), marks: JSON.stringify([LEGACY_BREAKFAST]) };
+  const storage = new MemoryStorageAdapter(entries);
+  const setItem = storage.setItem.bind(storage);
+  // Расписания пишутся первыми и успевают записаться; на засечках кончается место
+  storage.setItem = async (key, value) => {
+    if (key === 'marks' && value.includes('"version"')) throw new Error('QuotaExceededError');
+    return setItem(key, value);
+  };
+
+  const result = await new MigrationService(storage).run();
+  assert.equal(result.status, 'rolled-back');
+  assert.equal(await storage.getItem('schedules'), entries.schedules);
+  assert.equal(await storage.getItem('marks'), entries.marks);
+
+  // Следующий запуск с местом снова мигрирует с версии 0
+  storage.setItem = setItem;
+  assert.deepEqual(await new MigrationService(storage).run(), { status: 'migrated', fromVersion: 0, toVersion: SCHEMA_VERSION });
+});
+
+test('прерванная миграция восстанавливается из снимка при следующем запуске', async () => {
+  const original = JSON.stringify([LEGACY_BREAKFAST]);
+  const storage = new MemoryStorageAdapter({
+    marks: JSON.stringify({ version: SCHEMA_VERSION, data: [] }),
+    [MIGRATION_SNAPSHOT_KEY]: JSON.stringify({ marks: original, schedules: null })
+  });
+
+  await new MigrationService(storage).run();
+  assert.equal(await storage.getItem(MIGRATION_SNAPSHOT_KEY), null);
+  assert.equal(parseEnvelope(await storage.getItem('marks')).data[0].id, 'breakfast');
+});
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Сервис проверки засечек по правилам физиологии (MARK_RULES)
+ */
+
+import { MarkService } from './MarkService.js';
+import { SunService } from './SunService.js';
+import { SettingsService } from './SettingsService.js';
+import { ScheduleRepository } from '../repositories/ScheduleRepository.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { MARK_RULES } from '../constants/markRules.js';
+import { SCHEDULE_ANCHORS, SUN_ANCHORS } from '../constants/markAnchors.js';
+import { getDurationMinutes, shiftTime } from '../utils/TimeUtils.js';
+
+/**
+ * @typedef {import('../repositories/MarkRepository.js').Mark} Mark
+ * @typedef {import('../repositories/ScheduleRepository.js').Schedule} Schedule
+ * @typedef {import('../constants/markRules.js').MarkRule} MarkRule
+ * @typedef {import('../utils/SunUtils.js').SunTimes} SunTimes
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Нарушение правила
+ * @typedef {Object} MarkWarning
+ * @property {string} ruleId - ID правила
+ * @property {string} markId - ID засечки, нарушающей правило
+ * @property {string} message - Текст предупреждения
+ */
+
+/**
+ * Сервис для проверки расписания по правилам
+ */
+export class RuleService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   * @param {MarkRule[]} [rules] - Набор правил (по умолчанию MARK_RULES)
+   */
+  constructor(storage = getDefaultStorage(), rules = MARK_RULES) {
+    this.rules = rules;
+    this.markService = new MarkService(storage);
+    this.scheduleRepository = new ScheduleRepository(storage);
+    this.sunService = new SunService(storage);
+    this.settingsService = new SettingsService(storage);
+  }
+
+  /**
+   * Проверяет сохранённое расписание (только видимые засечки) с восходом и закатом на сегодня.
+   * @param {string} scheduleId - ID расписания
+   * @returns {Promise<MarkWarning[]>} Предупреждения
+   */
+  async getWarnings(scheduleId) {
+    const schedule = (await this.scheduleRepository.getAll()).find(s => s.id === scheduleId);
+    if (!schedule) return [];
+    return this.evaluate(schedule, await this.markService.getMarks(scheduleId), await this.sunService.getSunTimes());
+  }
+
+  /**
+   * Проверяет засечки расписания. Правило пропускается, если проверяемой засечки
+   * или засечки-ориентира нет среди marks (например, тренировка скрыта), а правила
+   * от восхода и заката — если sunTimes не задано или солнце в этот день не восходит.
+   * @param {Schedule} schedule - Расписание (wakeTime, bedtime)
+   * @param {Mark[]} marks - Видимые засечки расписания
+   * @param {SunTimes|null} [sunTimes] - Время солнца на день
+   * @returns {Promise<MarkWarning[]>} Предупреждения
+   */
+  async evaluate(schedule, marks, sunTimes = null) {
+    const byId = new Map(marks.map(m => [m.id, m]));
+    const context = { caffeineHalfLifeMinutes: (await this.settingsService.load()).caffeineHalfLifeMinutes };
+    const warnings = [];
+
+    this.rules.forEach(rule => {
+      const mark = byId.get(rule.markId);
+      const referenceTime = SCHEDULE_ANCHORS.includes(rule.reference) ? schedule[rule.reference]
+        : SUN_ANCHORS.includes(rule.reference) ? sunTimes?.[rule.reference]
+        : byId.get(rule.reference)?.time;
+      if (!mark || !referenceTime) return;
+
+      const markTime = rule.edge === 'end' ? shiftTime(mark.time, mark.durationMinutes || 0) : mark.time;
+      const gap = rule.relation === 'before'
+        ? getDurationMinutes(markTime, referenceTime)
+        : getDurationMinutes(referenceTime, markTime);
+
+      const tooClose = rule.minMinutes !== undefined && gap < rule.minMinutes;
+      const tooFar = rule.maxMinutes !== undefined && gap > rule.maxMinutes;
+      if (tooClose || tooFar) {
+        warnings.push({ ruleId: rule.id, markId: mark.id, message: rule.message(gap, context) });
+      }
+    });
+
+    return warnings;
+  }
+}
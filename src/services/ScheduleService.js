@@ -5,66 +5,116 @@
 import { ScheduleRepository } from '../repositories/ScheduleRepository.js';
 import { MarkRepository } from '../repositories/MarkRepository.js';
 import { MarkService } from './MarkService.js';
-import { MORNING_MARKS, EVENING_MARKS } from '../constants/defaultMarks.js';
-import { getTimeDelta, shiftTime } from '../utils/TimeUtils.js';
+import { TemplateService } from './TemplateService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { generateUUID } from '../utils/TimeUtils.js';
+import { shiftDefaultMarkTimes } from '../utils/AnchorUtils.js';
+import { t } from '../utils/I18nUtils.js';
 
 /**
  * @typedef {import('../repositories/ScheduleRepository.js').Schedule} Schedule
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
  */
 
 /**
  * Сервис для управления расписаниями
  */
 export class ScheduleService {
-  constructor() {
-    this.scheduleRepository = new ScheduleRepository();
-    this.markRepository = new MarkRepository();
-    this.markService = new MarkService();
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.scheduleRepository = new ScheduleRepository(storage);
+    this.markRepository = new MarkRepository(storage);
+    this.markService = new MarkService(storage);
+    this.templateService = new TemplateService(storage);
   }
 
   /**
    * Возвращает все расписания
-   * @returns {Schedule[]} Массив расписаний
+   * @returns {Promise<Schedule[]>} Массив расписаний
    */
-  getSchedules() {
+  async getSchedules() {
     return this.scheduleRepository.getAll();
   }
 
   /**
-   * Создаёт новое расписание с дефолтными засечками
+   * Создаёт новое расписание с дефолтными засечками и засечками из шаблонов библиотеки с autoApply
    * @param {string} name - Название расписания
    * @param {string} wakeTime - Время пробуждения в формате 'HH:MM'
    * @param {string} bedtime - Время сна в формате 'HH:MM'
-   * @returns {Schedule} Созданное расписание
+   * @returns {Promise<Schedule>} Созданное расписание
    */
-  createSchedule(name, wakeTime = '07:00', bedtime = '22:00') {
+  async createSchedule(name, wakeTime = '07:00', bedtime = '22:00') {
     const schedule = {
-      name: name || 'Новое расписание',
+      name: name || t('schedule.newName'),
       wakeTime,
       bedtime
     };
 
-    const savedSchedule = this.scheduleRepository.save(schedule);
-    this.markService.createDefaultMarks(savedSchedule.id, wakeTime, bedtime);
+    const savedSchedule = await this.scheduleRepository.save(schedule);
+    await this.markService.createDefaultMarks(savedSchedule.id, wakeTime, bedtime);
+    await this.templateService.applyAutoTemplates(savedSchedule.id);
 
     return savedSchedule;
   }
 
   /**
-   * Обновляет расписание
+   * Создаёт копию расписания со всеми засечками: пользовательскими, изменёнными и скрытыми.
+   * Дефолтные засечки сохраняют свои id (чтобы работал shiftDefaultMarks), пользовательские
+   * получают новые UUID, а привязки к ним переносятся на копии.
+   * @param {string} id - ID исходного расписания
+   * @param {string} [name] - Название копии; по умолчанию «<название> (копия)»
+   * @returns {Promise<Schedule>} Созданное расписание
+   */
+  async duplicateSchedule(id, name) {
+    const source = (await this.scheduleRepository.getAll()).find(s => s.id === id);
+
+    if (!source) {
+      throw new Error(t('errors.scheduleNotFound', { id }));
+    }
+
+    const savedSchedule = await this.scheduleRepository.save({
+      name: name || t('schedule.copyName', { name: source.name }),
+      wakeTime: source.wakeTime,
+      bedtime: source.bedtime
+    });
+
+    const marks = await this.markRepository.getByScheduleId(id);
+    const idMap = new Map(
+      marks.map(mark => [
+        mark.id,
+        this.markRepository.isDefaultMark(mark.id) ? mark.id : generateUUID()
+      ])
+    );
+
+    const copies = marks.map(mark => ({
+      ...mark,
+      id: idMap.get(mark.id),
+      scheduleId: savedSchedule.id,
+      ...(mark.anchor && idMap.has(mark.anchor) && { anchor: idMap.get(mark.anchor) })
+    }));
+    await this.markRepository.saveMany(copies);
+
+    return savedSchedule;
+  }
+
+  /**
+   * Обновляет расписание. При изменении времени сна/подъёма сдвигает дефолтные засечки
+   * и пересчитывает привязанные.
    * @param {string} id - ID расписания
    * @param {Object} data - Данные для обновления
    * @param {string} [data.name]
    * @param {string} [data.wakeTime]
    * @param {string} [data.bedtime]
-   * @returns {Schedule} Обновлённое расписание
+   * @returns {Promise<Schedule>} Обновлённое расписание
    */
-  updateSchedule(id, data) {
-    const schedules = this.scheduleRepository.getAll();
+  async updateSchedule(id, data) {
+    const schedules = await this.scheduleRepository.getAll();
     const currentSchedule = schedules.find(s => s.id === id);
 
     if (!currentSchedule) {
-      throw new Error(`Расписание с id ${id} не найдено`);
+      throw new Error(t('errors.scheduleNotFound', { id }));
     }
 
     const oldWakeTime = currentSchedule.wakeTime;
@@ -75,31 +125,84 @@ export class ScheduleService {
       ...data
     };
 
-    const savedSchedule = this.scheduleRepository.save(updatedSchedule);
+    const savedSchedule = await this.scheduleRepository.save(updatedSchedule);
 
     const wakeTimeChanged = data.wakeTime && data.wakeTime !== oldWakeTime;
     const bedtimeChanged = data.bedtime && data.bedtime !== oldBedtime;
 
     if (wakeTimeChanged || bedtimeChanged) {
-      this.shiftDefaultMarks(
+      await this.shiftDefaultMarks(
         id,
         oldWakeTime,
         savedSchedule.wakeTime,
         oldBedtime,
         savedSchedule.bedtime
       );
+      await this.markService.recomputeAnchoredMarks(id);
     }
 
     return savedSchedule;
   }
 
+  /**
+   * Переименовывает расписание
+   * @param {string} id - ID расписания
+   * @param {string} name - Новое название
+   * @returns {Promise<Schedule>} Обновлённое расписание
+   */
+  async renameSchedule(id, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error(t('errors.emptyScheduleName'));
+    }
+    return this.updateSchedule(id, { name: trimmed });
+  }
+
+  /**
+   * Сохраняет новый порядок вкладок
+   * @param {string[]} ids - ID расписаний в новом порядке
+   * @returns {Promise<Schedule[]>} Расписания в новом порядке
+   */
+  async reorderSchedules(ids) {
+    return this.scheduleRepository.reorder(ids);
+  }
+
+  /**
+   * Назначает расписанию дни недели. День недели принадлежит одному расписанию,
+   * поэтому у остальных расписаний эти дни снимаются.
+   * @param {string} id - ID расписания
+   * @param {number[]} weekdays - Номера дней (0 — воскресенье, как Date.getDay)
+   * @returns {Promise<Schedule[]>} Все расписания после изменения
+   */
+  async setScheduleWeekdays(id, weekdays) {
+    const schedules = await this.scheduleRepository.getAll();
+
+    if (!schedules.some(s => s.id === id)) {
+      throw new Error(t('errors.scheduleNotFound', { id }));
+    }
+    if (weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error(t('errors.invalidWeekday'));
+    }
+
+    const days = [...new Set(weekdays)].sort((a, b) => a - b);
+    for (const schedule of schedules) {
+      const current = schedule.weekdays || [];
+      const next = schedule.id === id ? days : current.filter(day => !days.includes(day));
+      if (next.length !== current.length || next.some((day, i) => day !== current[i])) {
+        await this.scheduleRepository.save({ ...schedule, weekdays: next });
+      }
+    }
+
+    return this.scheduleRepository.getAll();
+  }
+
   /**
    * Удаляет расписание и все его засечки
    * @param {string} id - ID расписания
    */
-  deleteSchedule(id) {
-    this.markRepository.deleteByScheduleId(id);
-    this.scheduleRepository.delete(id);
+  async deleteSchedule(id) {
+    await this.markRepository.deleteByScheduleId(id);
+    await this.scheduleRepository.delete(id);
   }
 
   /**
@@ -110,28 +213,14 @@ export class ScheduleService {
    * @param {string} oldBedtime - Старое время сна
    * @param {string} newBedtime - Новое время сна
    */
-  shiftDefaultMarks(scheduleId, oldWakeTime, newWakeTime, oldBedtime, newBedtime) {
-    const marks = this.markRepository.getByScheduleId(scheduleId);
-    const wakeDelta = getTimeDelta(oldWakeTime, newWakeTime);
-    const bedDelta = getTimeDelta(oldBedtime, newBedtime);
-
-    marks.forEach(mark => {
-      if (!this.markRepository.isDefaultMark(mark.id)) {
-        return;
-      }
-
-      let delta = 0;
-      if (MORNING_MARKS.includes(mark.id)) {
-        delta = wakeDelta;
-      } else if (EVENING_MARKS.includes(mark.id)) {
-        delta = bedDelta;
-      }
-
-      if (delta !== 0) {
-        const newTime = shiftTime(mark.time, delta);
-        mark.time = newTime;
-        this.markRepository.save(mark);
-      }
-    });
+  async shiftDefaultMarks(scheduleId, oldWakeTime, newWakeTime, oldBedtime, newBedtime) {
+    const marks = await this.markRepository.getByScheduleId(scheduleId);
+    const shifted = shiftDefaultMarkTimes(
+      marks,
+      { wakeTime: oldWakeTime, bedtime: oldBedtime },
+      { wakeTime: newWakeTime, bedtime: newBedtime }
+    ).filter((mark, i) => mark.time !== marks[i].time);
+
+    if (shifted.length) await this.markRepository.saveMany(shifted);
   }
 }
@@ -1,36 +1,138 @@
 /**
- * @fileoverview Сервис настроек приложения (активная вкладка и т.д.)
+ * @fileoverview Сервис настроек приложения (активная вкладка, хронотип и т.д.)
  */
 
 import { SettingsRepository } from '../repositories/SettingsRepository.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { SLEEP_CONFIG_LIMITS } from '../constants/sleepCycles.js';
+import { t } from '../utils/I18nUtils.js';
+import { isValidLocation } from '../utils/SunUtils.js';
+import { CAFFEINE_HALF_LIFE_LIMITS } from '../constants/caffeine.js';
 
 /**
  * @typedef {import('../repositories/SettingsRepository.js').Settings} Settings
+ * @typedef {import('../constants/sleepCycles.js').SleepConfig} SleepConfig
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
  */
 
+/** Ключи подписей параметров сна для сообщений об ошибках. */
+const SLEEP_CONFIG_LABELS = {
+  cycleMinutes: 'settings.cycleLength',
+  onsetLatencyMinutes: 'settings.onsetLatency',
+  minCycles: 'settings.minCycles',
+  maxCycles: 'settings.maxCycles'
+};
+
 /**
  * Сервис для работы с настройками
  */
 export class SettingsService {
-  constructor() {
-    this.repository = new SettingsRepository();
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.repository = new SettingsRepository(storage);
   }
 
   /**
    * Загружает настройки из хранилища.
-   * @returns {Settings}
+   * @returns {Promise<Settings>}
    */
-  load() {
+  async load() {
     return this.repository.load();
   }
 
+  /**
+   * Обновляет переданные поля настроек и сохраняет их.
+   * @param {Partial<Settings>} data - Поля для обновления
+   * @returns {Promise<Settings>}
+   */
+  async update(data) {
+    return this.repository.save({ ...(await this.repository.load()), ...data });
+  }
+
+  /**
+   * @returns {Promise<SleepConfig>} Параметры сна пользователя
+   */
+  async getSleepConfig() {
+    return (await this.repository.load()).sleepConfig;
+  }
+
+  /**
+   * Обновляет параметры сна.
+   * @param {Partial<SleepConfig>} data - Поля для обновления (целые минуты / число циклов)
+   * @returns {Promise<SleepConfig>} Сохранённые параметры
+   * @throws {Error} Если значение вне SLEEP_CONFIG_LIMITS или минимум циклов больше максимума
+   */
+  async updateSleepConfig(data) {
+    const settings = await this.repository.load();
+    const config = { ...settings.sleepConfig };
+
+    Object.entries(data).forEach(([key, rawValue]) => {
+      const limits = SLEEP_CONFIG_LIMITS[key];
+      if (!limits) return;
+      const value = Number(rawValue);
+      if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+        throw new Error(t('errors.sleepConfigRange', { label: t(SLEEP_CONFIG_LABELS[key]), min: limits.min, max: limits.max }));
+      }
+      config[key] = value;
+    });
+
+    if (config.minCycles > config.maxCycles) {
+      throw new Error(t('errors.minCyclesAboveMax'));
+    }
+
+    await this.repository.save({ ...settings, sleepConfig: config });
+    return config;
+  }
+
+  /**
+   * Обновляет период полувыведения кофеина.
+   * @param {number|string} minutes - Целое число минут
+   * @returns {Promise<number>} Сохранённое значение
+   * @throws {Error} Если значение вне CAFFEINE_HALF_LIFE_LIMITS
+   */
+  async updateCaffeineHalfLife(minutes) {
+    const value = Number(minutes);
+    const { min, max } = CAFFEINE_HALF_LIFE_LIMITS;
+    if (minutes === '' || !Number.isInteger(value) || value < min || value > max) {
+      throw new Error(t('errors.caffeineHalfLifeRange', { min, max }));
+    }
+    await this.repository.save({ ...(await this.repository.load()), caffeineHalfLifeMinutes: value });
+    return value;
+  }
+
+  /**
+   * Задаёт или сбрасывает примерное местоположение.
+   * @param {{ latitude: number|string, longitude: number|string }|null} location - Координаты в градусах или null
+   * @returns {Promise<Settings['location']>} Сохранённое местоположение
+   * @throws {Error} Если широта вне −90…90 или долгота вне −180…180
+   */
+  async updateLocation(location) {
+    const settings = await this.repository.load();
+    if (location === null) {
+      await this.repository.save({ ...settings, location: null });
+      return null;
+    }
+
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (location.latitude === '' || location.longitude === '' || !isValidLocation(latitude, longitude)) {
+      throw new Error(t('errors.locationRange'));
+    }
+
+    const saved = { latitude, longitude };
+    await this.repository.save({ ...settings, location: saved });
+    return saved;
+  }
+
   /**
    * Обновляет ID активного расписания и сохраняет настройки.
    * @param {string} activeScheduleId - ID активного расписания
-   * @returns {Settings}
+   * @returns {Promise<Settings>}
    */
-  updateActiveSchedule(activeScheduleId) {
-    const settings = this.repository.load();
+  async updateActiveSchedule(activeScheduleId) {
+    const settings = await this.repository.load();
     settings.activeScheduleId = activeScheduleId;
     return this.repository.save(settings);
   }
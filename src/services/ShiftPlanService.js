@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Сервис плавного сдвига режима сна: переход к целевому времени подъёма/сна
+ * по шагу в день вместо одного скачка
+ */
+
+import { ScheduleRepository } from '../repositories/ScheduleRepository.js';
+import { ScheduleService } from './ScheduleService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { normalizeTime, getTimeDelta, shiftTime } from '../utils/TimeUtils.js';
+import { toDateKey, parseDateKey, addDays, getDaysBetween } from '../utils/DateUtils.js';
+import { t } from '../utils/I18nUtils.js';
+
+/**
+ * @typedef {import('../repositories/ScheduleRepository.js').Schedule} Schedule
+ * @typedef {import('../repositories/ScheduleRepository.js').ShiftPlan} ShiftPlan
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Шаг плана на один день
+ * @typedef {Object} ShiftPlanStep
+ * @property {string} date - Дата 'YYYY-MM-DD'
+ * @property {number} day - Номер дня плана, с 1
+ * @property {string} wakeTime
+ * @property {string} bedtime
+ */
+
+/**
+ * Прогресс плана на сегодня
+ * @typedef {Object} ShiftPlanProgress
+ * @property {number} day - Номер сегодняшнего дня плана, с 1
+ * @property {number} totalDays
+ * @property {ShiftPlanStep} step - Шаг на сегодня
+ * @property {ShiftPlan} plan
+ */
+
+const MIN_STEP_MINUTES = 5;
+const MAX_STEP_MINUTES = 120;
+
+/**
+ * Сервис для плана плавного сдвига
+ */
+export class ShiftPlanService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.scheduleRepository = new ScheduleRepository(storage);
+    this.scheduleService = new ScheduleService(storage);
+  }
+
+  /**
+   * Строит план без сохранения (для предпросмотра)
+   * @param {Schedule} schedule - Расписание, от текущего времени которого идёт сдвиг
+   * @param {{ targetWakeTime: string, targetBedtime: string, stepMinutes: number }} data
+   * @param {Date} startDate - День первого шага
+   * @returns {ShiftPlanStep[]}
+   * @throws {Error} При неверном времени, шаге или если сдвигать нечего
+   */
+  previewPlan(schedule, data, startDate) {
+    return this.getSteps(this._createPlan(schedule, data, startDate));
+  }
+
+  /**
+   * Запускает план для расписания и сразу применяет шаг на сегодня
+   * @param {string} scheduleId - ID расписания
+   * @param {{ targetWakeTime: string, targetBedtime: string, stepMinutes: number }} data
+   * @param {Date} today - Текущая дата (день первого шага)
+   * @returns {Promise<Schedule>} Обновлённое расписание
+   */
+  async startPlan(scheduleId, data, today) {
+    const schedule = await this._getSchedule(scheduleId);
+    const shiftPlan = this._createPlan(schedule, data, today);
+    await this.scheduleRepository.save({ ...schedule, shiftPlan });
+    await this.applyDueSteps(today);
+    return this._getSchedule(scheduleId);
+  }
+
+  /**
+   * Останавливает план; время расписания остаётся на достигнутом шаге
+   * @param {string} scheduleId - ID расписания
+   * @returns {Promise<Schedule>} Обновлённое расписание
+   */
+  async cancelPlan(scheduleId) {
+    const schedule = await this._getSchedule(scheduleId);
+    return this.scheduleRepository.save({ ...schedule, shiftPlan: null });
+  }
+
+  /**
+   * Шаги плана по дням
+   * @param {ShiftPlan} plan
+   * @returns {ShiftPlanStep[]}
+   */
+  getSteps(plan) {
+    const totalDays = this._getTotalDays(plan);
+    const start = parseDateKey(plan.startDate);
+    return Array.from({ length: totalDays }, (_, i) => ({
+      date: toDateKey(addDays(start, i)),
+      day: i + 1,
+      ...this._getTimesForDay(plan, i + 1)
+    }));
+  }
+
+  /**
+   * Время подъёма/сна по плану на дату: до начала — исходное, после конца — целевое
+   * @param {ShiftPlan} plan
+   * @param {string} date - Дата 'YYYY-MM-DD'
+   * @returns {{ wakeTime: string, bedtime: string }}
+   */
+  getTimesForDate(plan, date) {
+    const day = getDaysBetween(plan.startDate, date) + 1;
+    const clampedDay = Math.min(Math.max(day, 0), this._getTotalDays(plan));
+    return this._getTimesForDay(plan, clampedDay);
+  }
+
+  /**
+   * Прогресс плана расписания на сегодня
+   * @param {Schedule} schedule
+   * @param {Date} today
+   * @returns {ShiftPlanProgress|null} null, если плана нет или он ещё не начался
+   */
+  getProgress(schedule, today) {
+    const plan = schedule?.shiftPlan;
+    if (!plan) return null;
+    const totalDays = this._getTotalDays(plan);
+    const day = getDaysBetween(plan.startDate, toDateKey(today)) + 1;
+    if (day < 1) return null;
+    const clampedDay = Math.min(day, totalDays);
+    return {
+      day: clampedDay,
+      totalDays,
+      step: { date: toDateKey(today), day: clampedDay, ...this._getTimesForDay(plan, clampedDay) },
+      plan
+    };
+  }
+
+  /**
+   * Переводит расписания с планом на шаг сегодняшнего дня. Время меняется через
+   * ScheduleService.updateSchedule — засечки сдвигаются так же, как при ручной правке.
+   * На следующий день после последнего шага план снимается.
+   * @param {Date} today
+   * @returns {Promise<boolean>} true, если хотя бы одно расписание изменилось
+   */
+  async applyDueSteps(today) {
+    const todayKey = toDateKey(today);
+    let changed = false;
+
+    const planned = (await this.scheduleRepository.getAll()).filter(schedule => schedule.shiftPlan);
+    for (const schedule of planned) {
+      const plan = schedule.shiftPlan;
+      const { wakeTime, bedtime } = this.getTimesForDate(plan, todayKey);
+
+      if (wakeTime !== schedule.wakeTime || bedtime !== schedule.bedtime) {
+        await this.scheduleService.updateSchedule(schedule.id, { wakeTime, bedtime });
+        changed = true;
+      }
+
+      if (getDaysBetween(plan.startDate, todayKey) >= this._getTotalDays(plan)) {
+        await this.scheduleRepository.save({ ...(await this._getSchedule(schedule.id)), shiftPlan: null });
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * @private
+   * @param {Schedule} schedule
+   * @param {{ targetWakeTime: string, targetBedtime: string, stepMinutes: number }} data
+   * @param {Date} startDate
+   * @returns {ShiftPlan}
+   */
+  _createPlan(schedule, data, startDate) {
+    const targetWakeTime = normalizeTime(data.targetWakeTime);
+    const targetBedtime = normalizeTime(data.targetBedtime);
+    if (!targetWakeTime || !targetBedtime) {
+      throw new Error(t('errors.invalidTimeFormat'));
+    }
+
+    const stepMinutes = Number(data.stepMinutes);
+    if (!Number.isInteger(stepMinutes) || stepMinutes < MIN_STEP_MINUTES || stepMinutes > MAX_STEP_MINUTES) {
+      throw new Error(t('errors.shiftStepRange', { min: MIN_STEP_MINUTES, max: MAX_STEP_MINUTES }));
+    }
+
+    if (targetWakeTime === schedule.wakeTime && targetBedtime === schedule.bedtime) {
+      throw new Error(t('errors.shiftTargetSame'));
+    }
+
+    return {
+      startDate: toDateKey(startDate),
+      fromWakeTime: schedule.wakeTime,
+      fromBedtime: schedule.bedtime,
+      targetWakeTime,
+      targetBedtime,
+      stepMinutes
+    };
+  }
+
+  /**
+   * Время на день плана: день 0 — исходное, каждый следующий — ещё на шаг ближе к цели
+   * @private
+   * @param {ShiftPlan} plan
+   * @param {number} day
+   * @returns {{ wakeTime: string, bedtime: string }}
+   */
+  _getTimesForDay(plan, day) {
+    const step = (from, target) => {
+      const delta = getTimeDelta(from, target);
+      const shift = Math.min(day * plan.stepMinutes, Math.abs(delta));
+      return shiftTime(from, Math.sign(delta) * shift);
+    };
+    return {
+      wakeTime: step(plan.fromWakeTime, plan.targetWakeTime),
+      bedtime: step(plan.fromBedtime, plan.targetBedtime)
+    };
+  }
+
+  /**
+   * @private
+   * @param {ShiftPlan} plan
+   * @returns {number} Число дней до цели (по большему из сдвигов)
+   */
+  _getTotalDays(plan) {
+    const wakeShift = Math.abs(getTimeDelta(plan.fromWakeTime, plan.targetWakeTime));
+    const bedShift = Math.abs(getTimeDelta(plan.fromBedtime, plan.targetBedtime));
+    return Math.ceil(Math.max(wakeShift, bedShift) / plan.stepMinutes);
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @returns {Promise<Schedule>}
+   */
+  async _getSchedule(id) {
+    const schedule = (await this.scheduleRepository.getAll()).find(s => s.id === id);
+    if (!schedule) {
+      throw new Error(t('errors.scheduleNotFound', { id }));
+    }
+    return schedule;
+  }
+}
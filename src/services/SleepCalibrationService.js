@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Сервис калибровки длительности цикла сна по ночам с естественным пробуждением
+ */
+
+import { SleepLogRepository } from '../repositories/SleepLogRepository.js';
+import { SettingsService } from './SettingsService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { normalizeTime, getNetSleepMinutes } from '../utils/TimeUtils.js';
+import { parseDateKey } from '../utils/DateUtils.js';
+import { SLEEP_CONFIG_LIMITS } from '../constants/sleepCycles.js';
+import { t } from '../utils/I18nUtils.js';
+
+/**
+ * @typedef {import('../repositories/SleepLogRepository.js').SleepLogEntry} SleepLogEntry
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Результат калибровки
+ * @typedef {Object} SleepCalibration
+ * @property {number} cycleMinutes - Предлагаемая длительность цикла (медиана по ночам)
+ * @property {number} nightsUsed - Сколько ночей учтено
+ * @property {{ date: string, cycles: number, cycleMinutes: number }[]} estimates - Оценка по каждой ночи
+ */
+
+/** Минимум ночей с естественным пробуждением для калибровки. */
+const MIN_CALIBRATION_NIGHTS = 3;
+
+/**
+ * Сервис для журнала ночей и калибровки цикла
+ */
+export class SleepCalibrationService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.repository = new SleepLogRepository(storage);
+    this.settingsService = new SettingsService(storage);
+  }
+
+  /**
+   * @returns {Promise<SleepLogEntry[]>} Записи журнала, от новых к старым
+   */
+  async getNights() {
+    return this.repository.getAll();
+  }
+
+  /**
+   * Записывает ночь в журнал
+   * @param {{ date: string, bedtime: string, wakeTime: string, naturalWake?: boolean }} data
+   * @returns {Promise<SleepLogEntry>}
+   * @throws {Error} При неверной дате или времени
+   */
+  async logNight(data) {
+    if (!parseDateKey(data.date)) {
+      throw new Error(t('errors.invalidDate', { date: data.date }));
+    }
+    const bedtime = normalizeTime(data.bedtime);
+    const wakeTime = normalizeTime(data.wakeTime);
+    if (!bedtime || !wakeTime) {
+      throw new Error(t('errors.invalidTimeFormat'));
+    }
+
+    return this.repository.save({
+      date: data.date,
+      bedtime,
+      wakeTime,
+      naturalWake: Boolean(data.naturalWake)
+    });
+  }
+
+  /**
+   * @param {string} date - Дата записи 'YYYY-MM-DD'
+   */
+  async deleteNight(date) {
+    await this.repository.delete(date);
+  }
+
+  /**
+   * Оценивает длительность цикла: естественное пробуждение приходится на конец цикла,
+   * поэтому сон за ночь (без засыпания) делится на целое число циклов — то, при котором
+   * цикл ближе всего к текущей настройке и попадает в допустимый диапазон.
+   * @returns {Promise<SleepCalibration>}
+   * @throws {Error} Если подходящих ночей меньше MIN_CALIBRATION_NIGHTS
+   */
+  async calibrate() {
+    const config = await this.settingsService.getSleepConfig();
+    const { min, max } = SLEEP_CONFIG_LIMITS.cycleMinutes;
+
+    const estimates = (await this.repository.getAll())
+      .filter(night => night.naturalWake)
+      .map(night => {
+        const sleepMinutes = getNetSleepMinutes(night.bedtime, night.wakeTime, config);
+        let best = null;
+        for (let cycles = 1; cycles <= SLEEP_CONFIG_LIMITS.maxCycles.max; cycles++) {
+          const cycleMinutes = sleepMinutes / cycles;
+          if (cycleMinutes < min || cycleMinutes > max) continue;
+          if (!best || Math.abs(cycleMinutes - config.cycleMinutes) < Math.abs(best.cycleMinutes - config.cycleMinutes)) {
+            best = { date: night.date, cycles, cycleMinutes };
+          }
+        }
+        return best;
+      })
+      .filter(Boolean);
+
+    if (estimates.length < MIN_CALIBRATION_NIGHTS) {
+      throw new Error(t('errors.calibrationNights', { count: MIN_CALIBRATION_NIGHTS }));
+    }
+
+    // Медиана устойчива к одной-двум неудачным ночам
+    const sorted = estimates.map(e => e.cycleMinutes).sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+    return {
+      cycleMinutes: Math.round(median),
+      nightsUsed: estimates.length,
+      estimates
+    };
+  }
+}
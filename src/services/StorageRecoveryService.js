@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Сервис восстановления хранилища: повреждённые ключи в карантине и целостность
+ * связей между данными (засечки без расписания)
+ */
+
+import { ScheduleRepository } from '../repositories/ScheduleRepository.js';
+import { MarkRepository } from '../repositories/MarkRepository.js';
+import { MigrationService } from './MigrationService.js';
+import { STORAGE_KEYS, STORAGE_SHAPES } from '../constants/storage.js';
+import {
+  readStoredData,
+  writeEnvelope,
+  isQuarantined,
+  getQuarantineKey,
+  releaseQuarantine,
+  salvageRecords
+} from '../utils/StorageUtils.js';
+import { isValidTime } from '../utils/TimeUtils.js';
+import { getStorageCache } from '../utils/StorageCache.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+
+/**
+ * @typedef {import('../repositories/MarkRepository.js').Mark} Mark
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Повреждённый ключ в карантине
+ * @typedef {Object} StorageIssue
+ * @property {string} key - Ключ данных (STORAGE_KEYS)
+ * @property {number} salvageableCount - Сколько записей удастся восстановить
+ * @property {number} size - Длина повреждённой строки, символов
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Версия схемы из начала конверта — уцелевает, даже если конец строки обрезан. */
+const ENVELOPE_VERSION_PATTERN = /^\s*\{\s*"version"\s*:\s*(\d+)/;
+
+/**
+ * Признаки записи каждого ключа: по ним salvageRecords отличает записи от вложенных объектов
+ * @type {Object<string, (record: Object) => boolean>}
+ */
+const RECORD_VALIDATORS = {
+  schedules: r => typeof r.id === 'string' && typeof r.name === 'string'
+    && isValidTime(r.wakeTime) && isValidTime(r.bedtime),
+  marks: r => typeof r.id === 'string' && typeof r.scheduleId === 'string' && isValidTime(r.time),
+  settings: r => 'onboardingCompleted' in r || 'activeScheduleId' in r,
+  templates: r => typeof r.id === 'string' && typeof r.title === 'string' && Number.isFinite(r.offsetMinutes),
+  dayOverrides: r => DATE_PATTERN.test(r.date) && 'scheduleId' in r,
+  sleepLog: r => DATE_PATTERN.test(r.date) && isValidTime(r.bedtime) && isValidTime(r.wakeTime)
+};
+
+/**
+ * Сервис для восстановления повреждённых данных
+ */
+export class StorageRecoveryService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.cache = getStorageCache(storage);
+    this.scheduleRepository = new ScheduleRepository(storage);
+    this.markRepository = new MarkRepository(storage);
+    this.migrationService = new MigrationService(storage);
+  }
+
+  /**
+   * Читает все ключи (повреждённые при этом уходят в карантин) и возвращает ключи в карантине.
+   * @returns {Promise<StorageIssue[]>}
+   */
+  async findIssues() {
+    const issues = [];
+    for (const key of Object.values(STORAGE_KEYS)) {
+      try {
+        await readStoredData(this.storage, key);
+      } catch (error) {
+        // readStoredData уже отправил ключ в карантин
+      }
+      const raw = await this.getQuarantinedData(key);
+      if (raw !== null) {
+        issues.push({ key, salvageableCount: salvageRecords(raw, RECORD_VALIDATORS[key]).length, size: raw.length });
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Повреждённая строка ключа как есть — чтобы сохранить копию перед восстановлением.
+   * @param {string} key - Ключ данных
+   * @returns {Promise<string|null>} null — ключ не в карантине
+   */
+  async getQuarantinedData(key) {
+    return this.storage.getItem(getQuarantineKey(key));
+  }
+
+  /**
+   * Записывает уцелевшие записи ключа, снимает карантин и прогоняет миграции: записи сохраняются
+   * с версией из повреждённого конверта (или 0), поэтому миграции доводят их до текущей схемы.
+   * Для настроек берётся первый уцелевший объект; если его нет — ключ удаляется (настройки по умолчанию).
+   * @param {string} key - Ключ данных
+   * @returns {Promise<number>} Сколько записей восстановлено
+   */
+  async restore(key) {
+    const raw = await this.getQuarantinedData(key);
+    if (raw === null) return 0;
+
+    const records = salvageRecords(raw, RECORD_VALIDATORS[key]);
+    const version = Number(raw.match(ENVELOPE_VERSION_PATTERN)?.[1] ?? 0);
+    const data = STORAGE_SHAPES[key] === 'list' ? records : records[0];
+    if (data === undefined) {
+      await this.storage.removeItem(key);
+    } else {
+      await writeEnvelope(this.storage, key, data, version);
+    }
+    await releaseQuarantine(this.storage, key);
+    await this.migrationService.run();
+    return STORAGE_SHAPES[key] === 'list' ? records.length : Number(data !== undefined);
+  }
+
+  /**
+   * Удаляет повреждённый ключ вместе с копией в карантине — данные начинаются заново.
+   * @param {string} key - Ключ данных
+   */
+  async discard(key) {
+    await this.storage.removeItem(key);
+    await releaseQuarantine(this.storage, key);
+    this.cache.invalidate(key);
+  }
+
+  /**
+   * Засечки, чьего расписания больше нет. Пока расписания или засечки в карантине, проверка
+   * не проводится: пустой список расписаний сделал бы сиротами все засечки.
+   * @returns {Promise<Mark[]>}
+   */
+  async findOrphanMarks() {
+    if (await isQuarantined(this.storage, STORAGE_KEYS.schedules) || await isQuarantined(this.storage, STORAGE_KEYS.marks)) {
+      return [];
+    }
+    const scheduleIds = new Set((await this.scheduleRepository.getAll()).map(s => s.id));
+    return (await this.markRepository.getAll()).filter(m => !scheduleIds.has(m.scheduleId));
+  }
+
+  /**
+   * Удаляет засечки без расписания.
+   * @returns {Promise<number>} Сколько засечек удалено
+   */
+  async deleteOrphanMarks() {
+    const orphans = await this.findOrphanMarks();
+    for (const scheduleId of new Set(orphans.map(m => m.scheduleId))) {
+      await this.markRepository.deleteByScheduleId(scheduleId);
+    }
+    return orphans.length;
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Тесты восстановления повреждённого хранилища на MemoryStorageAdapter.
+ * Запуск без сборки: node --test src/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StorageRecoveryService } from './StorageRecoveryService.js';
+import { MarkRepository } from '../repositories/MarkRepository.js';
+import { MemoryStorageAdapter } from '../adapters/MemoryStorageAdapter.js';
+import { SCHEMA_VERSION } from '../constants/migrations.js';
+import { getStorageCache } from '../utils/StorageCache.js';
+import { parseEnvelope, isQuarantined } from '../utils/StorageUtils.js';
+
+const SCHEDULES = JSON.stringify({ version: SCHEMA_VERSION, data: [{ id: 's1', name: 'Будни', wakeTime: '07:00', bedtime: '22:00' }] });
+
+/** Засечки версии 0 (без конверта), обрезанные на третьей записи — кончилось место при записи */
+const TRUNCATED_MARKS = JSON.stringify([
+  { id: 'wake', scheduleId: 's1', emoji: '⏰', title: 'Подъём', description: '', time: '07:00' },
+  { id: 'breakfast', scheduleId: 's1', emoji: '🍳', title: 'Завтрак', description: '', time: '08:00' },
+  { id: 'sleep', scheduleId: 's1', emoji: '🛌', title: 'Сон', description: '', time: '22:00' }
+]).slice(0, -40);
+
+test('пока засечки в карантине, запись их не перезаписывает', async () => {
+  const storage = new MemoryStorageAdapter({ schedules: SCHEDULES, marks: TRUNCATED_MARKS });
+  const issues = await new StorageRecoveryService(storage).findIssues();
+  assert.deepEqual(issues.map(i => [i.key, i.salvageableCount]), [['marks', 2]]);
+
+  // Репозиторий видит пустой список вне кэша: сохранение не падает, но и не пишется
+  await new MarkRepository(storage).save({ id: 'u1', scheduleId: 's1', time: '12:00' });
+  await getStorageCache(storage).flush();
+  assert.equal(await storage.getItem('marks'), TRUNCATED_MARKS);
+});
+
+test('восстановление записывает уцелевшие записи и доводит их до текущей схемы', async () => {
+  const storage = new MemoryStorageAdapter({ schedules: SCHEDULES, marks: TRUNCATED_MARKS });
+  const service = new StorageRecoveryService(storage);
+  await service.findIssues();
+
+  assert.equal(await service.restore('marks'), 2);
+  assert.equal(await isQuarantined(storage, 'marks'), false);
+  const { version, data } = parseEnvelope(await storage.getItem('marks'));
+  assert.equal(version, SCHEMA_VERSION);
+  assert.deepEqual(data.map(m => [m.id, m.durationMinutes]), [['wake', 0], ['breakfast', 30]]);
+  assert.deepEqual(await service.findOrphanMarks(), []);
+});
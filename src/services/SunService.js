@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Сервис времени солнца: восход, закат и полдень для сохранённого местоположения
+ */
+
+import { SettingsService } from './SettingsService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { getSunTimes } from '../utils/SunUtils.js';
+
+/**
+ * @typedef {import('../utils/SunUtils.js').SunTimes} SunTimes
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Сервис для расчёта времени солнца
+ */
+export class SunService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.settingsService = new SettingsService(storage);
+  }
+
+  /**
+   * Считает время солнца на дату по местоположению из настроек.
+   * @param {Date} [date] - Дата (по умолчанию сегодня)
+   * @returns {Promise<SunTimes|null>} null, если местоположение не задано
+   */
+  async getSunTimes(date = new Date()) {
+    const { location } = await this.settingsService.load();
+    if (!location) return null;
+    return getSunTimes(date, location.latitude, location.longitude);
+  }
+}
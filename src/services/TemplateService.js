@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Сервис библиотеки шаблонов засечек (переиспользование своих засечек между расписаниями)
+ */
+
+import { TemplateRepository } from '../repositories/TemplateRepository.js';
+import { MarkService } from './MarkService.js';
+import { getDefaultStorage } from '../adapters/LocalStorageAdapter.js';
+import { SCHEDULE_ANCHORS, ANCHOR_BEDTIME } from '../constants/markAnchors.js';
+import { getTimeDelta } from '../utils/TimeUtils.js';
+import { t } from '../utils/I18nUtils.js';
+
+/**
+ * @typedef {import('../repositories/TemplateRepository.js').MarkTemplate} MarkTemplate
+ * @typedef {import('../repositories/MarkRepository.js').Mark} Mark
+ * @typedef {import('../utils/StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Сервис для управления библиотекой шаблонов
+ */
+export class TemplateService {
+  /**
+   * @param {StorageAdapter} [storage] - Хранилище (по умолчанию localStorage)
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.repository = new TemplateRepository(storage);
+    this.markService = new MarkService(storage);
+  }
+
+  /**
+   * Возвращает все шаблоны библиотеки
+   * @returns {Promise<MarkTemplate[]>}
+   */
+  async getTemplates() {
+    return this.repository.getAll();
+  }
+
+  /**
+   * Создаёт шаблон
+   * @param {Object} data - Данные шаблона
+   * @param {string} [data.emoji]
+   * @param {string} [data.title]
+   * @param {string} [data.description]
+   * @param {'wakeTime'|'bedtime'} data.anchor
+   * @param {number} data.offsetMinutes
+   * @param {number} [data.durationMinutes]
+   * @param {number} [data.caffeineMg]
+   * @param {boolean} [data.autoApply]
+   * @returns {Promise<MarkTemplate>} Созданный шаблон
+   * @throws {Error} Если якорь не 'wakeTime' и не 'bedtime'
+   */
+  async createTemplate(data) {
+    if (!SCHEDULE_ANCHORS.includes(data.anchor)) {
+      throw new Error(t('errors.templateAnchor'));
+    }
+
+    const template = {
+      emoji: data.emoji || '📌',
+      title: data.title || t('mark.newTitle'),
+      description: data.description || '',
+      anchor: data.anchor,
+      offsetMinutes: Math.round(data.offsetMinutes) || 0,
+      durationMinutes: Math.max(0, Math.round(data.durationMinutes) || 0),
+      caffeineMg: Math.max(0, Math.round(data.caffeineMg) || 0),
+      autoApply: Boolean(data.autoApply)
+    };
+
+    return this.repository.save(template);
+  }
+
+  /**
+   * Создаёт шаблон из засечки расписания. Якорь wakeTime/bedtime сохраняется;
+   * засечки с фиксированным временем или привязанные к другой засечке отсчитываются от сна.
+   * @param {Mark} mark - Засечка
+   * @param {{ wakeTime: string, bedtime: string }} schedule - Расписание засечки
+   * @returns {Promise<MarkTemplate>} Созданный шаблон
+   */
+  async createTemplateFromMark(mark, schedule) {
+    const keepsAnchor = SCHEDULE_ANCHORS.includes(mark.anchor);
+    const anchor = keepsAnchor ? mark.anchor : ANCHOR_BEDTIME;
+    return this.createTemplate({
+      emoji: mark.emoji,
+      title: mark.title,
+      description: mark.description,
+      anchor,
+      offsetMinutes: keepsAnchor ? mark.offsetMinutes : getTimeDelta(schedule[anchor], mark.time),
+      durationMinutes: mark.durationMinutes,
+      caffeineMg: mark.caffeineMg
+    });
+  }
+
+  /**
+   * Включает или выключает автодобавление шаблона в новые расписания
+   * @param {string} id - ID шаблона
+   * @param {boolean} autoApply
+   * @returns {Promise<MarkTemplate>} Обновлённый шаблон
+   * @throws {Error} Если шаблон не найден
+   */
+  async setAutoApply(id, autoApply) {
+    const template = (await this.repository.getAll()).find(t => t.id === id);
+    if (!template) {
+      throw new Error(t('errors.templateNotFound', { id }));
+    }
+    return this.repository.save({ ...template, autoApply });
+  }
+
+  /**
+   * Удаляет шаблон. Засечки, уже созданные из него, остаются.
+   * @param {string} id - ID шаблона
+   */
+  async deleteTemplate(id) {
+    await this.repository.delete(id);
+  }
+
+  /**
+   * Добавляет в расписание засечку из шаблона, привязанную к его якорю.
+   * @param {string} scheduleId - ID расписания
+   * @param {string} templateId - ID шаблона
+   * @returns {Promise<Mark>} Созданная засечка
+   * @throws {Error} Если шаблон не найден
+   */
+  async insertTemplate(scheduleId, templateId) {
+    const template = (await this.repository.getAll()).find(t => t.id === templateId);
+    if (!template) {
+      throw new Error(t('errors.templateNotFound', { id: templateId }));
+    }
+    return this._createMarkFromTemplate(scheduleId, template);
+  }
+
+  /**
+   * Добавляет в расписание засечки из всех шаблонов с autoApply. Вызывается при создании расписания.
+   * @param {string} scheduleId - ID расписания
+   * @returns {Promise<Mark[]>} Созданные засечки
+   */
+  async applyAutoTemplates(scheduleId) {
+    const marks = [];
+    for (const template of (await this.repository.getAll()).filter(t => t.autoApply)) {
+      marks.push(await this._createMarkFromTemplate(scheduleId, template));
+    }
+    return marks;
+  }
+
+  /**
+   * @private
+   * @param {string} scheduleId - ID расписания
+   * @param {MarkTemplate} template - Шаблон
+   * @returns {Promise<Mark>} Созданная засечка
+   */
+  async _createMarkFromTemplate(scheduleId, template) {
+    return this.markService.createMark(scheduleId, {
+      emoji: template.emoji,
+      title: template.title,
+      description: template.description,
+      anchor: template.anchor,
+      offsetMinutes: template.offsetMinutes,
+      durationMinutes: template.durationMinutes,
+      caffeineMg: template.caffeineMg
+    });
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Утилиты для засечек, привязанных к якорю (подъём, сон, восход, закат или другая засечка)
+ */
+
+import { BASE_ANCHORS } from '../constants/markAnchors.js';
+import { MORNING_MARKS, EVENING_MARKS } from '../constants/defaultMarks.js';
+import { shiftTime, getTimeDelta } from './TimeUtils.js';
+
+/**
+ * @typedef {import('../repositories/MarkRepository.js').Mark} Mark
+ */
+
+/**
+ * Проверяет, является ли якорь засечкой (а не временем расписания или солнца).
+ * @param {string|null|undefined} anchor - Якорь засечки
+ * @returns {boolean}
+ */
+export function isMarkAnchor(anchor) {
+  return Boolean(anchor) && !BASE_ANCHORS.includes(anchor);
+}
+
+/**
+ * Проверяет, замкнётся ли цепочка привязок, если засечку markId привязать к anchor.
+ * @param {Mark[]} marks - Засечки расписания
+ * @param {string} markId - ID привязываемой засечки
+ * @param {string|null} anchor - Новый якорь
+ * @returns {boolean} true, если получится цикл
+ * @example
+ * // b привязана к a; привязка a к b замыкает цепочку
+ * hasAnchorCycle([{ id: 'a' }, { id: 'b', anchor: 'a' }], 'a', 'b') // true
+ */
+export function hasAnchorCycle(marks, markId, anchor) {
+  const byId = new Map(marks.map(m => [m.id, m]));
+  const visited = new Set();
+  let current = anchor;
+  while (isMarkAnchor(current)) {
+    if (current === markId) return true;
+    // Цикл, уже записанный в хранилище без участия markId, не должен вешать проверку
+    if (visited.has(current)) return false;
+    visited.add(current);
+    current = byId.get(current)?.anchor;
+  }
+  return false;
+}
+
+/**
+ * Пересчитывает время привязанных засечек: time = время якоря + offsetMinutes.
+ * Засечки без якоря (фиксированные и дефолтные) остаются как есть и служат корнями цепочек.
+ * Если якорь-засечка не найдена, время якоря неизвестно (восход в полярный день) или цепочка замкнута,
+ * засечка сохраняет текущее время.
+ * @param {Mark[]} marks - Засечки расписания
+ * @param {{ wakeTime?: string, bedtime?: string, sunrise?: string|null, sunset?: string|null }} baseTimes - Время подъёма и сна расписания, восхода и заката
+ * @returns {Mark[]} Новые объекты засечек в том же порядке
+ */
+export function resolveAnchoredTimes(marks, baseTimes) {
+  const byId = new Map(marks.map(m => [m.id, m]));
+  /** @type {Map<string, string>} */
+  const resolved = new Map();
+  const visiting = new Set();
+
+  const resolve = (mark) => {
+    if (resolved.has(mark.id)) return resolved.get(mark.id);
+    if (!mark.anchor || visiting.has(mark.id)) return mark.time;
+
+    visiting.add(mark.id);
+    let anchorTime = null;
+    if (BASE_ANCHORS.includes(mark.anchor)) {
+      anchorTime = baseTimes[mark.anchor] || null;
+    } else if (byId.has(mark.anchor)) {
+      anchorTime = resolve(byId.get(mark.anchor));
+    }
+    visiting.delete(mark.id);
+
+    const time = anchorTime ? shiftTime(anchorTime, mark.offsetMinutes || 0) : mark.time;
+    resolved.set(mark.id, time);
+    return time;
+  };
+
+  return marks.map(mark => ({ ...mark, time: resolve(mark) }));
+}
+
+/**
+ * Сдвигает дефолтные засечки вслед за подъёмом и сном: утренние (MORNING_MARKS) — на разницу wakeTime,
+ * вечерние (EVENING_MARKS) — на разницу bedtime. Пользовательские засечки не меняются.
+ * @param {Mark[]} marks - Засечки расписания
+ * @param {{ wakeTime: string, bedtime: string }} fromTimes - Прежние подъём и отбой
+ * @param {{ wakeTime: string, bedtime: string }} toTimes - Новые подъём и отбой
+ * @returns {Mark[]} Новые объекты засечек в том же порядке
+ */
+export function shiftDefaultMarkTimes(marks, fromTimes, toTimes) {
+  const wakeDelta = getTimeDelta(fromTimes.wakeTime, toTimes.wakeTime);
+  const bedDelta = getTimeDelta(fromTimes.bedtime, toTimes.bedtime);
+  return marks.map(mark => {
+    let delta = 0;
+    if (MORNING_MARKS.includes(mark.id)) {
+      delta = wakeDelta;
+    } else if (EVENING_MARKS.includes(mark.id)) {
+      delta = bedDelta;
+    }
+    return { ...mark, time: delta ? shiftTime(mark.time, delta) : mark.time };
+  });
+}
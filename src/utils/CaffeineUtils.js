@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Модель кофеина: выведение первого порядка (остаток = доза · 0.5^(t / T½)),
+ * уровень на момент времени и кривая за день. Всасывание считается мгновенным.
+ */
+
+import { parseTime } from './TimeUtils.js';
+import { CAFFEINE_HALF_LIFE_MINUTES, CAFFEINE_CURVE_STEP_MINUTES } from '../constants/caffeine.js';
+
+/**
+ * @typedef {import('../repositories/MarkRepository.js').Mark} Mark
+ */
+
+/**
+ * Приём кофеина на шкале дня
+ * @typedef {Object} CaffeineIntake
+ * @property {number} offsetMinutes - Минуты от начала дня
+ * @property {number} doseMg - Доза, мг
+ */
+
+/**
+ * Точка кривой кофеина
+ * @typedef {Object} CaffeinePoint
+ * @property {number} offsetMinutes - Минуты от начала дня
+ * @property {number} mg - Кофеин в организме, мг
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Сколько кофеина осталось от одной дозы.
+ * @param {number} doseMg - Доза, мг
+ * @param {number} elapsedMinutes - Прошло минут после приёма
+ * @param {number} [halfLifeMinutes] - Период полувыведения
+ * @returns {number} мг
+ * @example
+ * getCaffeineRemaining(100, 330, 330) // 50
+ */
+export function getCaffeineRemaining(doseMg, elapsedMinutes, halfLifeMinutes = CAFFEINE_HALF_LIFE_MINUTES) {
+  return doseMg * Math.pow(0.5, elapsedMinutes / halfLifeMinutes);
+}
+
+/**
+ * Доля кофеина, оставшаяся через gapMinutes после приёма.
+ * @param {number} gapMinutes - Прошло минут
+ * @param {number} [halfLifeMinutes] - Период полувыведения
+ * @returns {number} Процент 0..100
+ */
+export function getCaffeineRemainingPercent(gapMinutes, halfLifeMinutes = CAFFEINE_HALF_LIFE_MINUTES) {
+  return Math.round(getCaffeineRemaining(100, gapMinutes, halfLifeMinutes));
+}
+
+/**
+ * Приёмы кофеина из засечек с caffeineMg > 0 на шкале дня, начинающегося в dayStartMinutes.
+ * Засечка раньше начала дня считается приёмом ближе к концу суток (после полуночи).
+ * @param {Mark[]} marks - Засечки расписания
+ * @param {number} dayStartMinutes - Начало дня, минуты от полуночи (подъём или начало диапазона календаря)
+ * @returns {CaffeineIntake[]} По возрастанию offsetMinutes
+ */
+export function getCaffeineIntakes(marks, dayStartMinutes) {
+  return marks
+    .filter(m => m.caffeineMg > 0)
+    .map(m => ({
+      offsetMinutes: (parseTime(m.time) - dayStartMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY,
+      doseMg: m.caffeineMg
+    }))
+    .sort((a, b) => a.offsetMinutes - b.offsetMinutes);
+}
+
+/**
+ * Кофеин в организме в момент offsetMinutes: сумма остатков всех приёмов до этого момента
+ * (приём ровно в этот момент учитывается).
+ * @param {CaffeineIntake[]} intakes - Приёмы
+ * @param {number} offsetMinutes - Минуты от начала дня
+ * @param {number} [halfLifeMinutes] - Период полувыведения
+ * @returns {number} мг
+ */
+export function getCaffeineLevel(intakes, offsetMinutes, halfLifeMinutes = CAFFEINE_HALF_LIFE_MINUTES) {
+  return intakes
+    .filter(intake => intake.offsetMinutes <= offsetMinutes)
+    .reduce((sum, intake) => sum + getCaffeineRemaining(intake.doseMg, offsetMinutes - intake.offsetMinutes, halfLifeMinutes), 0);
+}
+
+/**
+ * Кривая кофеина от начала дня до durationMinutes с шагом stepMinutes. В момент приёма —
+ * две точки (до и после дозы), чтобы скачок был вертикальным.
+ * @param {CaffeineIntake[]} intakes - Приёмы
+ * @param {number} durationMinutes - Длина дня (диапазона), мин
+ * @param {number} [halfLifeMinutes] - Период полувыведения
+ * @param {number} [stepMinutes] - Шаг точек
+ * @returns {CaffeinePoint[]} По возрастанию offsetMinutes
+ */
+export function getCaffeineCurve(intakes, durationMinutes, halfLifeMinutes = CAFFEINE_HALF_LIFE_MINUTES, stepMinutes = CAFFEINE_CURVE_STEP_MINUTES) {
+  const offsets = new Set(intakes.map(intake => intake.offsetMinutes).filter(offset => offset <= durationMinutes));
+  for (let offset = 0; offset < durationMinutes; offset += stepMinutes) offsets.add(offset);
+  offsets.add(durationMinutes);
+
+  return [...offsets].sort((a, b) => a - b).flatMap(offset => {
+    const mg = getCaffeineLevel(intakes, offset, halfLifeMinutes);
+    const doseNow = intakes.filter(intake => intake.offsetMinutes === offset).reduce((sum, intake) => sum + intake.doseMg, 0);
+    return doseNow ? [{ offsetMinutes: offset, mg: mg - doseNow }, { offsetMinutes: offset, mg }] : [{ offsetMinutes: offset, mg }];
+  });
+}
+
+/**
+ * Кофеин в организме ко времени time, если день начинается в dayStartTime (обычно подъём → отбой).
+ * @param {Mark[]} marks - Засечки расписания
+ * @param {string} dayStartTime - Начало дня 'HH:MM'
+ * @param {string} time - Момент 'HH:MM'
+ * @param {number} [halfLifeMinutes] - Период полувыведения
+ * @returns {number} мг
+ * @example
+ * // Кофе 100 мг в 08:00, подъём 07:00, отбой 22:00, T½ 5.5ч
+ * getCaffeineAtTime(marks, '07:00', '22:00') // ≈ 17
+ */
+export function getCaffeineAtTime(marks, dayStartTime, time, halfLifeMinutes = CAFFEINE_HALF_LIFE_MINUTES) {
+  const dayStart = parseTime(dayStartTime);
+  const offset = (parseTime(time) - dayStart + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return getCaffeineLevel(getCaffeineIntakes(marks, dayStart), offset, halfLifeMinutes);
+}
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Утилиты для работы с календарными датами (локальное время)
+ */
+
+/**
+ * Ключ даты в локальном времени — для хранения разовых изменений по дням
+ * @param {Date} date - Дата
+ * @returns {string} Дата в формате 'YYYY-MM-DD'
+ * @example
+ * toDateKey(new Date(2024, 0, 5)) // '2024-01-05'
+ */
+export function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Разбирает ключ даты в локальную полночь
+ * @param {string} dateKey - Дата в формате 'YYYY-MM-DD'
+ * @returns {Date|null} Дата или null, если формат неверный
+ */
+export function parseDateKey(dateKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDateKey(date) === dateKey ? date : null;
+}
+
+/**
+ * Сдвигает дату на указанное число календарных дней (переход на летнее время не смещает часы)
+ * @param {Date} date - Исходная дата
+ * @param {number} days - Число дней (может быть отрицательным)
+ * @returns {Date} Новая дата
+ * @example
+ * addDays(new Date(2024, 0, 31), 1) // 1 февраля 2024
+ */
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Число календарных дней от одной даты до другой
+ * @param {string} fromKey - Дата 'YYYY-MM-DD'
+ * @param {string} toKey - Дата 'YYYY-MM-DD'
+ * @returns {number} Разница в днях (отрицательная, если toKey раньше)
+ * @example
+ * getDaysBetween('2024-03-30', '2024-04-02') // 3
+ */
+export function getDaysBetween(fromKey, toKey) {
+  const from = parseDateKey(fromKey);
+  const to = parseDateKey(toKey);
+  // Округление: сутки при переходе на летнее время длятся 23 или 25 часов
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
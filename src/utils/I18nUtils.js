@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Локализация: поиск сообщений в каталоге, подстановка параметров и множественное число.
+ * Текущий язык хранится в модуле — его задаёт appData из настроек; сервисы переводят через t().
+ */
+
+import { LOCALES, DEFAULT_LOCALE } from '../constants/locales.js';
+import { RU_MESSAGES } from '../i18n/ru.js';
+import { EN_MESSAGES } from '../i18n/en.js';
+
+/**
+ * Сообщение каталога: строка с параметрами {name} или формы множественного числа (по параметру count)
+ * @typedef {string | { one?: string, few?: string, many?: string, other: string }} Message
+ */
+
+/** @type {Object<string, Object<string, Message>>} */
+const CATALOGS = {
+  ru: RU_MESSAGES,
+  en: EN_MESSAGES
+};
+
+/**
+ * Правила выбора формы множественного числа по числу
+ * @type {Object<string, (count: number) => 'one'|'few'|'many'|'other'>}
+ */
+const PLURAL_RULES = {
+  // 1 цикл, 2 цикла, 5 циклов; дробные — «цикла»
+  ru: count => {
+    if (!Number.isInteger(count)) return 'other';
+    const mod10 = count % 10;
+    const mod100 = count % 100;
+    if (mod10 === 1 && mod100 !== 11) return 'one';
+    if (mod10 >= 2 && mod10 <= 4 && (mod100 < 10 || mod100 >= 20)) return 'few';
+    return 'many';
+  },
+  en: count => (count === 1 ? 'one' : 'other')
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Задаёт язык для t(); неизвестный язык заменяется DEFAULT_LOCALE.
+ * @param {string} locale - Код языка ('ru', 'en')
+ * @returns {string} Установленный язык
+ */
+export function setLocale(locale) {
+  currentLocale = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  return currentLocale;
+}
+
+/**
+ * @returns {string} Текущий язык интерфейса
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Форма множественного числа для языка.
+ * @param {string} locale - Код языка
+ * @param {number} count - Число
+ * @returns {'one'|'few'|'many'|'other'}
+ * @example
+ * getPluralForm('ru', 3) // 'few'
+ * getPluralForm('en', 3) // 'other'
+ */
+export function getPluralForm(locale, count) {
+  const rule = PLURAL_RULES[locale] || PLURAL_RULES[DEFAULT_LOCALE];
+  return rule(count);
+}
+
+/**
+ * Переводит сообщение на указанный язык. Если сообщения нет в каталоге языка — берётся из
+ * DEFAULT_LOCALE, если нет и там — возвращается сам ключ.
+ * @param {string} locale - Код языка
+ * @param {string} key - Ключ сообщения ('errors.scheduleNotFound')
+ * @param {Object<string, string|number>} [params] - Параметры для {name}; count выбирает форму множественного числа
+ * @returns {string}
+ * @example
+ * translate('ru', 'sleep.cycles', { count: 5 }) // '5 циклов'
+ * translate('en', 'sleep.cycles', { count: 1 }) // '1 cycle'
+ */
+export function translate(locale, key, params = {}) {
+  const message = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (message === undefined) return key;
+  const template = typeof message === 'string'
+    ? message
+    : message[getPluralForm(locale, Number(params.count))] ?? message.other;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Переводит сообщение на текущий язык (см. translate).
+ * @param {string} key - Ключ сообщения
+ * @param {Object<string, string|number>} [params] - Параметры подстановки
+ * @returns {string}
+ */
+export function t(key, params) {
+  return translate(currentLocale, key, params);
+}
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Раскладка подписей засечек по сторонам ствола без наложений
+ */
+
+/**
+ * @typedef {Object} MarkLayoutInput
+ * @property {number} y - Y ветки (истинное время засечки), px
+ * @property {number} height - Высота подписи под линией (описание), px
+ */
+
+/**
+ * @typedef {Object} MarkLayoutItem
+ * @property {'left'|'right'} side - Сторона ствола
+ * @property {number} labelY - Y линии подписи; отличается от y, если подпись сдвинута вниз
+ */
+
+/**
+ * Раскладывает подписи засечек (в порядке дня) по сторонам ствола.
+ * Стороны чередуются, начиная с правой. Если подпись не помещается на своей стороне,
+ * она переходит на другую; если не помещается нигде — сдвигается вниз под предыдущую
+ * подпись той стороны, где сдвиг меньше. Ветка при этом остаётся на истинном времени.
+ * @param {MarkLayoutInput[]} items - Засечки в порядке дня
+ * @param {{ titleHeight: number, gap: number }} options - Высота строки над линией и минимальный зазор, px
+ * @returns {MarkLayoutItem[]} Раскладка в том же порядке
+ * @example
+ * // Две засечки с разницей 10 минут: вторая уходит на другую сторону
+ * layoutMarkLabels([{ y: 50, height: 40 }, { y: 60, height: 40 }], { titleHeight: 25, gap: 4 })
+ * // [{ side: 'right', labelY: 50 }, { side: 'left', labelY: 60 }]
+ */
+export function layoutMarkLabels(items, { titleHeight, gap }) {
+  const bottoms = { left: -Infinity, right: -Infinity };
+  let lastSide = 'left';
+
+  return items.map(item => {
+    const preferred = lastSide === 'right' ? 'left' : 'right';
+    const other = preferred === 'right' ? 'left' : 'right';
+    const fits = side => item.y - titleHeight >= bottoms[side] + gap;
+
+    let side;
+    let labelY = item.y;
+    if (fits(preferred)) {
+      side = preferred;
+    } else if (fits(other)) {
+      side = other;
+    } else {
+      side = bottoms[preferred] <= bottoms[other] ? preferred : other;
+      labelY = bottoms[side] + gap + titleHeight;
+    }
+
+    bottoms[side] = labelY + item.height;
+    lastSide = side;
+    return { side, labelY };
+  });
+}
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Кэш данных хранилища в памяти. Ключ читается и разбирается один раз, дальше
+ * репозитории работают с индексом в памяти, а изменения копятся и пишутся одной записью на ключ
+ * через STORAGE_FLUSH_DELAY_MS после последнего изменения.
+ *
+ * Кэш общий для всех репозиториев одного хранилища (getStorageCache): сервисы создают свои
+ * экземпляры репозиториев, а данные у них должны быть одни.
+ *
+ * Приложение может быть открыто в нескольких вкладках. Ключи, записи которых имеют ревизию
+ * (кодек с recordKey), при записи и при изменении из другой вкладки сливаются с хранилищем по
+ * записям — иначе вкладка с устаревшим списком перезаписала бы чужие правки целиком.
+ */
+
+import { readStoredData, writeStoredData } from './StorageUtils.js';
+import { STORAGE_FLUSH_DELAY_MS } from '../constants/storage.js';
+
+/**
+ * @typedef {import('./StorageUtils.js').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * Как репозиторий держит ключ в памяти: индекс строится из data и обратно превращается в data при записи
+ * @typedef {Object} StorageIndexCodec
+ * @property {(data: *) => *} toIndex - data ключа (null — ключа нет) → индекс
+ * @property {(index: *) => *} toData - Индекс → data для записи
+ * @property {(record: Object) => string} [recordKey] - Ключ записи списка: записи сливаются с хранилищем
+ *   по ревизиям (см. mergeRecords). Индекс такого кодека — Map: при слиянии он обновляется на месте
+ */
+
+/** @type {WeakMap<StorageAdapter, StorageCache>} */
+const caches = new WeakMap();
+
+/**
+ * Ревизия записи для следующего сохранения: каждое сохранение увеличивает её на 1,
+ * записи, сохранённые до появления ревизий, считаются ревизией 0.
+ * @param {Object|undefined} record - Текущая версия записи (undefined — новая запись)
+ * @returns {number}
+ */
+export function nextRevision(record) {
+  return (record?.revision ?? 0) + 1;
+}
+
+/**
+ * Ревизии записей списка по ключу записи
+ * @param {Object[]|null} records
+ * @param {StorageIndexCodec} codec
+ * @returns {Map<string, number>}
+ */
+function getRevisions(records, codec) {
+  return new Map((records ?? []).map(record => [codec.recordKey(record), record.revision ?? 0]));
+}
+
+/**
+ * Сливает записи кэша с записями хранилища, которые могла изменить другая вкладка.
+ * base — ревизии записей в хранилище, когда вкладка последний раз его читала или писала:
+ * по ним видно, где запись удалили, а где добавили.
+ * - Запись есть и там и там — остаётся версия с большей ревизией; при равных — из хранилища,
+ *   её уже видят другие вкладки
+ * - Только в кэше — остаётся, если добавлена здесь или изменена здесь после удаления в другой вкладке
+ * - Только в хранилище — добавляется, если добавлена в другой вкладке или изменена там после удаления здесь
+ * @param {Object[]} local - Записи кэша
+ * @param {Object[]} stored - Записи хранилища
+ * @param {Map<string, number>} base
+ * @param {(record: Object) => string} recordKey
+ * @returns {{ records: Object[], changed: boolean, ahead: boolean }} changed — в кэш попали изменения
+ *   из хранилища; ahead — в хранилище нет части изменений кэша
+ */
+function mergeRecords(local, stored, base, recordKey) {
+  const storedByKey = new Map(stored.map(record => [recordKey(record), record]));
+  const isNewer = (record, key) => !base.has(key) || (record.revision ?? 0) > base.get(key);
+  const records = [];
+  let changed = false;
+  let ahead = false;
+
+  local.forEach(record => {
+    const key = recordKey(record);
+    const storedRecord = storedByKey.get(key);
+    storedByKey.delete(key);
+    if (!storedRecord) {
+      if (isNewer(record, key)) {
+        records.push(record);
+        ahead = true;
+      } else {
+        changed = true;
+      }
+    } else if ((record.revision ?? 0) > (storedRecord.revision ?? 0)) {
+      records.push(record);
+      ahead = true;
+    } else {
+      records.push(storedRecord);
+      if (JSON.stringify(storedRecord) !== JSON.stringify(record)) changed = true;
+    }
+  });
+  storedByKey.forEach((record, key) => {
+    if (!isNewer(record, key)) {
+      ahead = true;
+      return;
+    }
+    records.push(record);
+    changed = true;
+  });
+
+  return { records, changed, ahead };
+}
+
+/**
+ * Заменяет содержимое индекса-Map на месте: репозиторий, уже получивший индекс, меняет актуальные данные
+ * @param {Map<*, *>} index
+ * @param {Map<*, *>} freshIndex
+ */
+function replaceIndex(index, freshIndex) {
+  index.clear();
+  freshIndex.forEach((value, key) => index.set(key, value));
+}
+
+/**
+ * Кэш хранилища (создаётся при первом обращении).
+ * @param {StorageAdapter} storage - Хранилище
+ * @returns {StorageCache}
+ */
+export function getStorageCache(storage) {
+  if (!caches.has(storage)) caches.set(storage, new StorageCache(storage));
+  return caches.get(storage);
+}
+
+/**
+ * Кэш ключей хранилища с отложенной записью
+ */
+export class StorageCache {
+  /**
+   * @param {StorageAdapter} storage - Хранилище
+   * @param {number} [flushDelayMs] - Задержка записи (по умолчанию STORAGE_FLUSH_DELAY_MS)
+   */
+  constructor(storage, flushDelayMs = STORAGE_FLUSH_DELAY_MS) {
+    this.storage = storage;
+    this.flushDelayMs = flushDelayMs;
+    /**
+     * base — ревизии записей в хранилище на момент последнего чтения или записи (для кодеков с recordKey)
+     * @type {Map<string, { index: Promise<*>, codec: StorageIndexCodec, base: Map<string, number> }>}
+     */
+    this.entries = new Map();
+    /** @type {Set<string>} */
+    this.dirtyKeys = new Set();
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+    /** @type {Set<(keys: string[]) => void>} */
+    this.remoteChangeListeners = new Set();
+    storage.subscribe?.(key => this.sync(key));
+  }
+
+  /**
+   * Индекс ключа. Хранилище читается при первом обращении; одновременные обращения ждут одного чтения.
+   * Индекс общий: репозиторий меняет его на месте и вызывает markDirty.
+   * @param {string} key - Ключ данных
+   * @param {StorageIndexCodec} codec
+   * @returns {Promise<*>}
+   * @throws {Error} Как readStoredData (повреждённый ключ уходит в карантин); ошибка не кэшируется
+   */
+  load(key, codec) {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = { index: null, codec, base: new Map() };
+      entry.index = readStoredData(this.storage, key).then(data => {
+        if (codec.recordKey) entry.base = getRevisions(data, codec);
+        return codec.toIndex(data);
+      });
+      this.entries.set(key, entry);
+      entry.index.catch(() => {
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+      });
+    }
+    return entry.index;
+  }
+
+  /**
+   * Отмечает, что индекс ключа изменён: запись — через flushDelayMs после последнего изменения,
+   * все изменённые ключи сразу.
+   * @param {string} key - Ключ данных
+   */
+  markDirty(key) {
+    if (!this.entries.has(key)) {
+      // Ключ не прочитался (карантин): изменения сделаны не в кэше и не сохраняются
+      console.error(`Изменения '${key}' не сохранены: данные не прочитаны`);
+      return;
+    }
+    this.dirtyKeys.add(key);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+  }
+
+  /**
+   * Записывает изменённые ключи, не дожидаясь задержки (перед миграцией, при закрытии страницы).
+   * Записи идут по очереди, поэтому более ранняя не перезапишет более позднюю.
+   * @returns {Promise<void>} Когда все изменения записаны
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const keys = [...this.dirtyKeys];
+    this.dirtyKeys.clear();
+    this.flushing = this.flushing.then(() => this._write(keys));
+    return this.flushing;
+  }
+
+  /**
+   * Ключ изменён в другой вкладке (приходит от storage.subscribe). Ключ с ревизиями сливается
+   * с хранилищем, незаписанные изменения этой вкладки сохраняются; остальные ключи без незаписанных
+   * изменений перечитываются при следующем обращении. Идёт в той же очереди, что и записи.
+   * @param {string|null} key - Ключ данных; null — изменено всё хранилище
+   * @returns {Promise<void>}
+   */
+  sync(key) {
+    const keys = key === null ? [...this.entries.keys()] : [key];
+    this.flushing = this.flushing.then(() => this._sync(keys));
+    return this.flushing;
+  }
+
+  /**
+   * Подписывает на изменения из других вкладок: слушатель получает ключи, данные которых в кэше поменялись.
+   * Слушатель вызывается синхронно; асинхронный должен сам перехватывать свои ошибки.
+   * @param {(keys: string[]) => void} listener
+   * @returns {() => void} Отписка
+   */
+  onRemoteChange(listener) {
+    this.remoteChangeListeners.add(listener);
+    return () => this.remoteChangeListeners.delete(listener);
+  }
+
+  /**
+   * Забывает ключ (без аргумента — все): следующее обращение прочитает его из хранилища.
+   * Незаписанные изменения ключа отбрасываются.
+   * @param {string} [key] - Ключ данных
+   */
+  invalidate(key) {
+    const keys = key === undefined ? [...this.entries.keys()] : [key];
+    keys.forEach(k => {
+      this.entries.delete(k);
+      this.dirtyKeys.delete(k);
+    });
+  }
+
+  /**
+   * @private
+   * @param {string[]} keys
+   */
+  async _write(keys) {
+    const changedKeys = [];
+    for (const key of keys) {
+      const entry = this.entries.get(key);
+      if (!entry) continue;
+      try {
+        const index = await entry.index;
+        if (!entry.codec.recordKey) {
+          await writeStoredData(this.storage, key, entry.codec.toData(index));
+          continue;
+        }
+        // Другая вкладка могла записать ключ после нашего чтения — пишем слияние, а не свой список
+        const { records, changed } = await this._merge(key, entry, index);
+        await writeStoredData(this.storage, key, records);
+        entry.base = getRevisions(records, entry.codec);
+        if (changed) changedKeys.push(key);
+      } catch (error) {
+        console.error(`Ошибка при сохранении '${key}':`, error);
+        // Запись не прошла (карантин, нет места) — следующее чтение возьмёт то, что в хранилище
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+      }
+    }
+    this._notifyRemoteChange(changedKeys);
+  }
+
+  /**
+   * @private
+   * @param {string[]} keys
+   */
+  async _sync(keys) {
+    const changedKeys = [];
+    for (const key of keys) {
+      const entry = this.entries.get(key);
+      if (!entry) continue;
+      if (!entry.codec.recordKey) {
+        // Без ревизий слить нельзя: незаписанные изменения этой вкладки перезапишут ключ целиком
+        if (!this.dirtyKeys.has(key)) {
+          this.entries.delete(key);
+          changedKeys.push(key);
+        }
+        continue;
+      }
+      try {
+        const { stored, changed, ahead } = await this._merge(key, entry, await entry.index);
+        entry.base = getRevisions(stored, entry.codec);
+        if (changed) changedKeys.push(key);
+        // Другая вкладка записала ключ без наших изменений (писали одновременно) — запишем их снова
+        if (ahead) this.markDirty(key);
+      } catch (error) {
+        console.error(`Ошибка при чтении '${key}', изменённого в другой вкладке:`, error);
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+      }
+    }
+    this._notifyRemoteChange(changedKeys);
+  }
+
+  /**
+   * Читает ключ и сливает его записи с индексом; индекс обновляется на месте сразу после чтения,
+   * поэтому изменения, сделанные во время чтения, не теряются.
+   * @private
+   * @param {string} key
+   * @param {{ codec: StorageIndexCodec, base: Map<string, number> }} entry
+   * @param {Map<*, *>} index
+   * @returns {Promise<{ records: Object[], stored: Object[], changed: boolean, ahead: boolean }>}
+   */
+  async _merge(key, entry, index) {
+    const stored = (await readStoredData(this.storage, key)) ?? [];
+    const { records, changed, ahead } = mergeRecords(entry.codec.toData(index), stored, entry.base, entry.codec.recordKey);
+    replaceIndex(index, entry.codec.toIndex(records));
+    return { records, stored, changed, ahead };
+  }
+
+  /**
+   * @private
+   * @param {string[]} keys
+   */
+  _notifyRemoteChange(keys) {
+    if (!keys.length) return;
+    this.remoteChangeListeners.forEach(listener => {
+      try {
+        listener(keys);
+      } catch (error) {
+        console.error('Ошибка при обновлении после изменений из другой вкладки:', error);
+      }
+    });
+  }
+}
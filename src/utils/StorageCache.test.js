@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Тесты слияния записей кэша с хранилищем по ревизиям: две вкладки — два кэша
+ * над одним MemoryStorageAdapter.
+ * Запуск без сборки: node --test src/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StorageCache } from './StorageCache.js';
+import { MemoryStorageAdapter } from '../adapters/MemoryStorageAdapter.js';
+import { parseEnvelope } from './StorageUtils.js';
+
+const KEY = 'marks';
+
+/** @type {import('./StorageCache.js').StorageIndexCodec} */
+const CODEC = {
+  toIndex: records => new Map((records ?? []).map(record => [record.id, record])),
+  toData: index => [...index.values()],
+  recordKey: record => record.id
+};
+
+/**
+ * Хранилище с записями a, b, c (ревизия 1) и две вкладки, прочитавшие их
+ * @returns {Promise<{ storage: MemoryStorageAdapter, tabA: Map<string, Object>, tabB: Map<string, Object>, cacheA: StorageCache, cacheB: StorageCache }>}
+ */
+async function openTwoTabs() {
+  const records = ['a', 'b', 'c'].map(id => ({ id, title: id, revision: 1 }));
+  const storage = new MemoryStorageAdapter({ [KEY]: JSON.stringify({ version: 1, data: records }) });
+  const cacheA = new StorageCache(storage);
+  const cacheB = new StorageCache(storage);
+  return { storage, cacheA, cacheB, tabA: await cacheA.load(KEY, CODEC), tabB: await cacheB.load(KEY, CODEC) };
+}
+
+/**
+ * Сохраняет запись так же, как репозитории: ревизия +1
+ * @param {Map<string, Object>} index
+ * @param {Object} record
+ */
+function put(index, record) {
+  index.set(record.id, { ...record, revision: (index.get(record.id)?.revision ?? 0) + 1 });
+}
+
+/**
+ * @param {MemoryStorageAdapter} storage
+ * @returns {Promise<Object<string, string>>} id → title записей в хранилище
+ */
+async function storedTitles(storage) {
+  const { data } = parseEnvelope(await storage.getItem(KEY));
+  return Object.fromEntries(data.map(record => [record.id, record.title]).sort());
+}
+
+test('записи, добавленные в двух вкладках, сохраняются обе', async () => {
+  const { storage, cacheA, cacheB, tabA, tabB } = await openTwoTabs();
+  put(tabA, { id: 'd', title: 'd' });
+  cacheA.markDirty(KEY);
+  put(tabB, { id: 'e', title: 'e' });
+  cacheB.markDirty(KEY);
+
+  await cacheA.flush();
+  await cacheB.flush();
+  assert.deepEqual(await storedTitles(storage), { a: 'a', b: 'b', c: 'c', d: 'd', e: 'e' });
+  // Вкладка B при записи забрала запись A
+  assert.equal(tabB.get('d')?.title, 'd');
+});
+
+test('удаление в одной вкладке не отменяется записью другой', async () => {
+  const { storage, cacheA, cacheB, tabA, tabB } = await openTwoTabs();
+  tabA.delete('c');
+  cacheA.markDirty(KEY);
+  put(tabB, { ...tabB.get('a'), title: 'a2' });
+  cacheB.markDirty(KEY);
+
+  await cacheA.flush();
+  await cacheB.flush();
+  assert.deepEqual(await storedTitles(storage), { a: 'a2', b: 'b' });
+  assert.equal(tabB.has('c'), false);
+});
+
+test('правки разных записей сливаются, одной и той же — побеждает записанная первой', async () => {
+  const { storage, cacheA, cacheB, tabA, tabB } = await openTwoTabs();
+  put(tabA, { ...tabA.get('a'), title: 'a-from-A' });
+  put(tabA, { ...tabA.get('b'), title: 'b-from-A' });
+  cacheA.markDirty(KEY);
+  put(tabB, { ...tabB.get('b'), title: 'b-from-B' });
+  put(tabB, { ...tabB.get('c'), title: 'c-from-B' });
+  cacheB.markDirty(KEY);
+
+  await cacheA.flush();
+  await cacheB.flush();
+  assert.deepEqual(await storedTitles(storage), { a: 'a-from-A', b: 'b-from-A', c: 'c-from-B' });
+  assert.equal(tabB.get('b').title, 'b-from-A');
+
+  // Правка поверх уже слитой версии имеет большую ревизию и проходит
+  put(tabB, { ...tabB.get('b'), title: 'b-from-B' });
+  cacheB.markDirty(KEY);
+  await cacheB.flush();
+  assert.equal((await storedTitles(storage)).b, 'b-from-B');
+});
+
+test('запись, изменённая после удаления в другой вкладке, возвращается', async () => {
+  const { storage, cacheA, cacheB, tabA, tabB } = await openTwoTabs();
+  tabA.delete('c');
+  cacheA.markDirty(KEY);
+  put(tabB, { ...tabB.get('c'), title: 'c2' });
+  cacheB.markDirty(KEY);
+
+  await cacheA.flush();
+  await cacheB.flush();
+  assert.deepEqual(await storedTitles(storage), { a: 'a', b: 'b', c: 'c2' });
+});
+
+test('изменение из другой вкладки доходит до слушателей', async () => {
+  const { cacheA, cacheB, tabA, tabB } = await openTwoTabs();
+  const notified = [];
+  cacheB.onRemoteChange(keys => notified.push(...keys));
+  tabA.delete('a');
+  cacheA.markDirty(KEY);
+  await cacheA.flush();
+
+  await cacheB.sync(KEY);
+  assert.deepEqual(notified, [KEY]);
+  assert.deepEqual([...tabB.keys()].sort(), ['b', 'c']);
+});
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Данные в хранилище (StorageAdapter) хранятся в конверте { version, data }: version — версия схемы
+ * (constants/migrations.js), по которой записаны данные. Значение без конверта — данные,
+ * сохранённые до версионирования (версия 0).
+ *
+ * Повреждённый ключ (не JSON или data не той формы) при первом чтении копируется в карантин
+ * '<ключ>.corrupted', и запись в него блокируется, пока данные не восстановят: иначе репозиторий,
+ * прочитавший вместо них [], перезаписал бы их пустым списком.
+ */
+
+import { SCHEMA_VERSION } from '../constants/migrations.js';
+import { STORAGE_SHAPES, QUARANTINE_KEY_SUFFIX } from '../constants/storage.js';
+import { t } from './I18nUtils.js';
+
+/**
+ * Хранилище строк по ключу. Методы асинхронные, чтобы за интерфейсом могла стоять IndexedDB;
+ * реализации — в src/adapters/. Репозитории и сервисы получают его в конструкторе.
+ * @typedef {Object} StorageAdapter
+ * @property {(key: string) => Promise<string|null>} getItem - null — ключа нет
+ * @property {(key: string, value: string) => Promise<void>} setItem
+ * @property {(key: string) => Promise<void>} removeItem
+ * @property {(listener: (key: string|null) => void) => (() => void)} [subscribe] - Изменения ключей
+ *   в других вкладках (null — изменено всё хранилище); возвращает отписку. Нет — хранилище одной вкладки
+ */
+
+/**
+ * @typedef {Object} StorageEnvelope
+ * @property {number} version - Версия схемы данных
+ * @property {*} data
+ */
+
+/**
+ * Разбирает значение ключа хранилища.
+ * @param {string} raw - Строка из хранилища
+ * @returns {StorageEnvelope} Для данных без конверта — { version: 0, data }
+ * @throws {SyntaxError} Если строка — не JSON
+ * @example
+ * parseEnvelope('{"version":1,"data":[]}') // { version: 1, data: [] }
+ * parseEnvelope('[]')                      // { version: 0, data: [] }
+ */
+export function parseEnvelope(raw) {
+  const parsed = JSON.parse(raw);
+  const isEnvelope = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed)
+    && Number.isInteger(parsed.version) && 'data' in parsed;
+  return isEnvelope ? parsed : { version: 0, data: parsed };
+}
+
+/**
+ * Проверяет форму данных ключа по STORAGE_SHAPES: список или объект.
+ * @param {string} key - Ключ данных
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function hasValidShape(key, data) {
+  if (STORAGE_SHAPES[key] === 'list') return Array.isArray(data);
+  return data !== null && typeof data === 'object' && !Array.isArray(data);
+}
+
+/**
+ * @param {string} key - Ключ данных
+ * @returns {string} Ключ карантина: 'marks' → 'marks.corrupted'
+ */
+export function getQuarantineKey(key) {
+  return `${key}${QUARANTINE_KEY_SUFFIX}`;
+}
+
+/**
+ * @param {StorageAdapter} storage - Хранилище
+ * @param {string} key - Ключ данных
+ * @returns {Promise<boolean>} Ключ в карантине — запись заблокирована
+ */
+export async function isQuarantined(storage, key) {
+  return (await storage.getItem(getQuarantineKey(key))) !== null;
+}
+
+/**
+ * Копирует повреждённое значение в карантин. Исходный ключ не меняется; уже сохранённая
+ * копия не перезаписывается.
+ * @param {StorageAdapter} storage - Хранилище
+ * @param {string} key - Ключ данных
+ * @param {string} raw - Исходная строка
+ * @returns {Promise<void>}
+ */
+export async function quarantineStoredData(storage, key, raw) {
+  if (await isQuarantined(storage, key)) return;
+  await storage.setItem(getQuarantineKey(key), raw);
+  console.error(`Данные '${key}' повреждены и перенесены в карантин '${getQuarantineKey(key)}'`);
+}
+
+/**
+ * Снимает карантин: удаляет копию и разрешает запись. Вызывается после восстановления данных.
+ * @param {StorageAdapter} storage - Хранилище
+ * @param {string} key - Ключ данных
+ * @returns {Promise<void>}
+ */
+export async function releaseQuarantine(storage, key) {
+  await storage.removeItem(getQuarantineKey(key));
+}
+
+/**
+ * Читает данные ключа без конверта. Повреждённое значение отправляется в карантин.
+ * @param {StorageAdapter} storage - Хранилище
+ * @param {string} key - Ключ данных
+ * @returns {Promise<*>} Данные или null, если ключа нет
+ * @throws {Error} Если значение — не JSON или data не той формы (STORAGE_SHAPES)
+ */
+export async function readStoredData(storage, key) {
+  const raw = await storage.getItem(key);
+  if (raw === null) return null;
+  let data;
+  try {
+    data = parseEnvelope(raw).data;
+  } catch (error) {
+    await quarantineStoredData(storage, key, raw);
+    throw error;
+  }
+  if (!hasValidShape(key, data)) {
+    await quarantineStoredData(storage, key, raw);
+    throw new Error(t('errors.storageCorrupted', { name: t(`storage.key.${key}`) }));
+  }
+  return data;
+}
+
+/**
+ * Записывает данные ключа в конверте с указанной версией схемы.
+ * @param {StorageAdapter} storage - Хранилище
+ * @param {string} key - Ключ данных
+ * @param {*} data
+ * @param {number} [version] - По умолчанию SCHEMA_VERSION
+ * @returns {Promise<void>}
+ */
+export async function writeEnvelope(storage, key, data, version = SCHEMA_VERSION) {
+  await storage.setItem(key, JSON.stringify({ version, data }));
+}
+
+/**
+ * Записывает данные ключа, сохраняя версию схемы, под которой он уже хранится: версию
+ * повышает только MigrationService. Поэтому данные, миграция которых откатилась, при следующем
+ * запуске снова попадут в миграцию. Новый ключ записывается с SCHEMA_VERSION.
+ * @param {StorageAdapter} storage - Хранилище
+ * @param {string} key - Ключ данных
+ * @param {*} data
+ * @returns {Promise<void>}
+ * @throws {Error} Если ключ в карантине или его значение не читается (тогда он отправляется в карантин)
+ */
+export async function writeStoredData(storage, key, data) {
+  if (await isQuarantined(storage, key)) {
+    throw new Error(t('errors.storageQuarantined', { name: t(`storage.key.${key}`) }));
+  }
+  const raw = await storage.getItem(key);
+  let version = SCHEMA_VERSION;
+  if (raw !== null) {
+    try {
+      version = parseEnvelope(raw).version;
+    } catch (error) {
+      // Ключ испортился, но его ещё не читали — не перезаписываем, а отправляем в карантин
+      await quarantineStoredData(storage, key, raw);
+      throw new Error(t('errors.storageQuarantined', { name: t(`storage.key.${key}`) }));
+    }
+  }
+  await writeEnvelope(storage, key, data, version);
+}
+
+/**
+ * Достаёт из повреждённой строки записи, которые ещё разбираются. Для каждой '{' ищется парная '}'
+ * и пробуется JSON.parse: подходящая запись берётся целиком, неподходящий или битый объект
+ * (конверт, обрезанный список) просматривается изнутри.
+ * @param {string} raw - Повреждённая строка
+ * @param {(record: Object) => boolean} isValidRecord - Похож ли объект на запись ключа
+ * @returns {Object[]} Записи в порядке следования
+ * @example
+ * salvageRecords('{"version":1,"data":[{"id":"a"},{"id":"b"},{"id":', r => typeof r.id === 'string')
+ * // [{ id: 'a' }, { id: 'b' }]
+ */
+export function salvageRecords(raw, isValidRecord) {
+  const records = [];
+  let start = raw.indexOf('{');
+  while (start !== -1) {
+    const end = findClosingBrace(raw, start);
+    let next = start + 1;
+    if (end !== -1) {
+      try {
+        const record = JSON.parse(raw.slice(start, end + 1));
+        if (isValidRecord(record)) {
+          records.push(record);
+          next = end + 1;
+        }
+      } catch (error) {
+        // Объект повреждён — записи ищутся внутри него
+      }
+    }
+    start = raw.indexOf('{', next);
+  }
+  return records;
+}
+
+/**
+ * Позиция '}', закрывающей объект с '{' в позиции start; скобки внутри строк не считаются.
+ * @param {string} raw
+ * @param {number} start
+ * @returns {number} -1, если объект обрезан
+ */
+function findClosingBrace(raw, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < raw.length; i++) {
+    const char = raw[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Тесты конверта хранилища, карантина и разбора повреждённых строк.
+ * Запуск без сборки: node --test src/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseEnvelope,
+  readStoredData,
+  writeStoredData,
+  isQuarantined,
+  getQuarantineKey,
+  salvageRecords
+} from './StorageUtils.js';
+import { MemoryStorageAdapter } from '../adapters/MemoryStorageAdapter.js';
+
+const isMark = record => typeof record.id === 'string' && typeof record.time === 'string';
+
+test('данные без конверта — версия 0', () => {
+  assert.deepEqual(parseEnvelope('[{"id":"a"}]'), { version: 0, data: [{ id: 'a' }] });
+  assert.deepEqual(parseEnvelope('{"version":1,"data":{}}'), { version: 1, data: {} });
+  assert.throws(() => parseEnvelope('[{"id":'), SyntaxError);
+});
+
+test('salvageRecords достаёт целые записи из обрезанного конверта', () => {
+  const full = JSON.stringify({
+    version: 1,
+    data: [
+      { id: 'a', time: '07:00', title: 'С {скобками} и "кавычками"' },
+      { id: 'b', time: '08:00', meta: { nested: true } },
+      { id: 'c', time: '09:00' }
+    ]
+  });
+  const truncated = full.slice(0, full.indexOf('"c"') + 5);
+
+  assert.deepEqual(salvageRecords(truncated, isMark).map(r => r.id), ['a', 'b']);
+  assert.equal(salvageRecords(truncated, isMark)[1].meta.nested, true);
+  assert.deepEqual(salvageRecords(full, isMark).map(r => r.id), ['a', 'b', 'c']);
+  assert.deepEqual(salvageRecords('мусор', isMark), []);
+});
+
+test('повреждённый ключ уходит в карантин, и запись в него блокируется', async () => {
+  const raw = '{"version":1,"data":[{"id":"a","time":"07:00"},{"id":';
+  const storage = new MemoryStorageAdapter({ marks: raw });
+
+  await assert.rejects(readStoredData(storage, 'marks'), SyntaxError);
+  assert.equal(await isQuarantined(storage, 'marks'), true);
+  assert.equal(await storage.getItem(getQuarantineKey('marks')), raw);
+
+  await assert.rejects(writeStoredData(storage, 'marks', []));
+  assert.equal(await storage.getItem('marks'), raw);
+});
+
+test('данные не той формы тоже уходят в карантин', async () => {
+  const storage = new MemoryStorageAdapter({ marks: '{"version":1,"data":{}}' });
+  await assert.rejects(readStoredData(storage, 'marks'));
+  assert.equal(await isQuarantined(storage, 'marks'), true);
+});
+
+test('запись сохраняет версию, под которой ключ уже хранится', async () => {
+  const storage = new MemoryStorageAdapter({ marks: '[]' });
+  await writeStoredData(storage, 'marks', [{ id: 'a', time: '07:00' }]);
+  assert.equal(parseEnvelope(await storage.getItem('marks')).version, 0);
+});
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Восход, закат и солнечный полдень без сети — по упрощённым формулам NOAA
+ * (точность ~1–2 мин для широт до ±65°).
+ */
+
+import { formatTime } from './TimeUtils.js';
+
+/**
+ * Время солнца на дату по местному времени 'HH:MM'. В полярный день и полярную ночь
+ * восхода и заката нет — sunrise и sunset равны null.
+ * @typedef {Object} SunTimes
+ * @property {string|null} sunrise
+ * @property {string} solarNoon
+ * @property {string|null} sunset
+ * @property {'day'|'night'|null} polar - Полярный день или полярная ночь
+ */
+
+/** Зенит на восходе/закате: радиус диска и рефракция у горизонта, градусы. */
+const SUNRISE_ZENITH_DEGREES = 90.833;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+/**
+ * Проверяет координаты: широта −90…90, долгота −180…180.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+export function isValidLocation(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude)
+    && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+/**
+ * Считает восход, закат и солнечный полдень для даты и координат.
+ * Местное время — по часовому поясу устройства на эту дату (с учётом летнего времени).
+ * @param {Date} date - Дата (время суток не учитывается)
+ * @param {number} latitude - Широта, градусы (север +)
+ * @param {number} longitude - Долгота, градусы (восток +)
+ * @returns {SunTimes}
+ * @example
+ * // Москва, 21 июня (часовой пояс устройства — Europe/Moscow)
+ * getSunTimes(new Date(2024, 5, 21), 55.75, 37.62) // { sunrise: '03:44', solarNoon: '12:31', sunset: '21:18', polar: null }
+ */
+export function getSunTimes(date, latitude, longitude) {
+  const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+  const yearStart = new Date(date.getFullYear(), 0, 1, 12);
+  const dayOfYear = Math.round((noon - yearStart) / (24 * 60 * 60 * 1000));
+  const isLeapYear = new Date(date.getFullYear(), 1, 29).getDate() === 29;
+  const gamma = ((2 * Math.PI) / (isLeapYear ? 366 : 365)) * dayOfYear;
+
+  // Уравнение времени (мин) и склонение солнца (рад)
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+    - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+    - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+    - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const utcOffsetMinutes = -noon.getTimezoneOffset();
+  const toLocalTime = utcMinutes => formatTime(Math.round(utcMinutes + utcOffsetMinutes));
+  const solarNoonUtc = 720 - 4 * longitude - equationOfTime;
+
+  const latitudeRadians = toRadians(latitude);
+  const cosHourAngle = Math.cos(toRadians(SUNRISE_ZENITH_DEGREES)) / (Math.cos(latitudeRadians) * Math.cos(declination))
+    - Math.tan(latitudeRadians) * Math.tan(declination);
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return { sunrise: null, solarNoon: toLocalTime(solarNoonUtc), sunset: null, polar: cosHourAngle > 1 ? 'night' : 'day' };
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  return {
+    sunrise: toLocalTime(solarNoonUtc - 4 * hourAngle),
+    solarNoon: toLocalTime(solarNoonUtc),
+    sunset: toLocalTime(solarNoonUtc + 4 * hourAngle),
+    polar: null
+  };
+}
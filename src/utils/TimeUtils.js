@@ -2,6 +2,10 @@
  * @fileoverview Утилиты для работы со временем
  */
 
+import { DEFAULT_SLEEP_CONFIG, RECOMMENDED_CYCLES } from '../constants/sleepCycles.js';
+import { HOUR_WORDS, RU_HOUR_ORDINALS, MINUTE_WORDS, RU_MINUTES_BEFORE, DAY_PERIOD_WORDS, FIXED_TIME_WORDS } from '../constants/timeWords.js';
+import { getLocale, translate } from './I18nUtils.js';
+
 /**
  * Преобразует строку времени в минуты от полуночи
  * @param {string} time - Время в формате 'HH:MM' (например, '07:30')
@@ -28,13 +32,16 @@ export function parseTime(time) {
 /**
  * Преобразует минуты от полуночи в строку времени
  * @param {number} minutes - Количество минут от полуночи
- * @returns {string} Время в формате 'HH:MM'
+ * @param {'24h'|'12h'} [timeFormat] - '24h' — формат хранения 'HH:MM', '12h' — для отображения 'h:MM AM'
+ * @returns {string} Время в формате 'HH:MM' или 'h:MM AM/PM'
  * @example
  * formatTime(450) // '07:30'
  * formatTime(0) // '00:00'
  * formatTime(1439) // '23:59'
+ * formatTime(1170, '12h') // '7:30 PM'
+ * formatTime(0, '12h') // '12:00 AM'
  */
-export function formatTime(minutes) {
+export function formatTime(minutes, timeFormat = '24h') {
   let normalizedMinutes = minutes % (24 * 60);
   if (normalizedMinutes < 0) {
     normalizedMinutes += 24 * 60;
@@ -43,6 +50,11 @@ export function formatTime(minutes) {
   const hours = Math.floor(normalizedMinutes / 60);
   const mins = normalizedMinutes % 60;
 
+  if (timeFormat === '12h') {
+    const period = hours < 12 ? 'AM' : 'PM';
+    return `${hours % 12 || 12}:${String(mins).padStart(2, '0')} ${period}`;
+  }
+
   return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
 }
 
@@ -112,33 +124,278 @@ export function isValidTime(time) {
   return hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59;
 }
 
+/**
+ * Результат разбора введённого времени
+ * @typedef {Object} TimeInput
+ * @property {string} time - Время 'HH:MM'
+ * @property {string|null} alternativeTime - Другая половина суток, если AM/PM угадано ("половина одиннадцатого" без «утра»/«вечера»)
+ * @property {boolean} isRelative - Сдвиг от referenceTime ("+15m", "-1h")
+ */
+
+/**
+ * Разбирает время, введённое пользователем. Чистая функция: результат зависит только от аргументов.
+ *
+ * Поддерживает:
+ * - 24 часа: "7", "07:30", "7.30", "7 30", "730", "0730", "2359"
+ * - 12 часов: "7:30pm", "7:30 PM", "7 p.m.", "12am", "7 вечера", "2 ночи", "ten in the evening"
+ * - слова (ru/en): "half past ten", "quarter to eight", "twenty five past 7", "seven thirty", "ten o'clock",
+ *   "половина одиннадцатого", "полвосьмого", "четверть восьмого", "десять минут восьмого", "без четверти восемь",
+ *   "семь часов тридцать минут", "noon", "полночь"
+ * - сдвиг от referenceTime: "+15m", "-1h", "+1h30", "+1.5ч", "-20 мин", "+90"
+ *
+ * Час без «утра»/«вечера», названный словами ("half past ten"), — 12-часовой: выбирается половина суток,
+ * ближайшая к referenceTime (без него — как в 24 часах), другая возвращается в alternativeTime. Цифры понимаются
+ * как 24 часа, но при timeFormat '12h' час 1–12 без ведущего нуля угадывается так же.
+ *
+ * @param {string} input - Введённая строка
+ * @param {Object} [options]
+ * @param {string|null} [options.referenceTime] - Текущее значение поля 'HH:MM': база для сдвига и выбора AM/PM
+ * @param {'24h'|'12h'} [options.timeFormat] - Формат, в котором пользователь видит время
+ * @returns {TimeInput|null} null — ввод не распознан (или сдвиг без referenceTime)
+ * @example
+ * parseTimeInput('0730') // { time: '07:30', alternativeTime: null, isRelative: false }
+ * parseTimeInput('7:30pm').time // '19:30'
+ * parseTimeInput('half past ten', { referenceTime: '22:00' }) // { time: '22:30', alternativeTime: '10:30', isRelative: false }
+ * parseTimeInput('половина одиннадцатого').time // '10:30'
+ * parseTimeInput('без четверти восемь', { referenceTime: '19:00' }).time // '19:45'
+ * parseTimeInput('+15m', { referenceTime: '07:00' }) // { time: '07:15', alternativeTime: null, isRelative: true }
+ * parseTimeInput('-1h', { referenceTime: '00:30' }).time // '23:30'
+ * parseTimeInput('7', { referenceTime: '20:00', timeFormat: '12h' }) // { time: '19:00', alternativeTime: '07:00', isRelative: false }
+ * parseTimeInput('25:00') // null
+ */
+export function parseTimeInput(input, { referenceTime = null, timeFormat = '24h' } = {}) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+  const text = input.trim().toLowerCase().replace(/ё/g, 'е').replace(/[−–]/g, '-').replace(/\s+/g, ' ');
+  if (/^[+-]/.test(text)) {
+    return parseRelativeInput(text, referenceTime);
+  }
+  // Дефис — только между словами ("seven-thirty"); "7-" — недописанный ввод
+  if (!text || text.endsWith('-')) {
+    return null;
+  }
+  const words = text.replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
+  const fixedTime = lookupWord(FIXED_TIME_WORDS, words);
+  if (fixedTime) {
+    return { time: fixedTime, alternativeTime: null, isRelative: false };
+  }
+  const { body, period } = splitDayPeriod(words);
+  const clock = parseClockDigits(body) ?? parseClockWords(body);
+  if (!clock || clock.hours > 23 || clock.minutes > 59) {
+    return null;
+  }
+  return resolveClock(clock, period, referenceTime, timeFormat);
+}
+
 /**
  * Нормализует строку времени к формату HH:MM; при невалидном вводе возвращает null.
- * Поддерживает: "12" → "12:00", "7" → "07:00", "07:30" → "07:30"
+ * Поддерживает всё, что понимает parseTimeInput: "12" → "12:00", "7" → "07:00", "0730" → "07:30",
+ * "7:30 PM" → "19:30", "half past ten" → "10:30", "+15m" (при options.referenceTime)
  * @param {string} time - Строка времени
+ * @param {{ referenceTime?: string|null, timeFormat?: '24h'|'12h' }} [options] - См. parseTimeInput
  * @returns {string|null} 'HH:MM' или null
  */
-export function normalizeTime(time) {
-  if (!time || typeof time !== 'string') {
+export function normalizeTime(time, options) {
+  return parseTimeInput(time, options)?.time ?? null;
+}
+
+/**
+ * Сдвиг "+15m", "-1h", "+1h30", "+90" от referenceTime.
+ * @param {string} text - Подготовленный ввод (начинается с + или -)
+ * @param {string|null} referenceTime - 'HH:MM'
+ * @returns {TimeInput|null}
+ */
+function parseRelativeInput(text, referenceTime) {
+  const match = text.match(
+    /^([+-])\s*(?:(\d+(?:[.,]\d+)?)\s*(?:hours?|hrs?|h|час(?:а|ов)?|ч)\.?)?\s*(?:(\d+)\s*(?:minutes?|mins?|m|минут[аы]?|мин|м)?\.?)?$/
+  );
+  if (!match || (!match[2] && !match[3]) || !isValidTime(referenceTime)) {
     return null;
   }
-  const trimmed = time.trim();
-  const onlyHour = trimmed.match(/^\d{1,2}$/);
-  if (onlyHour) {
-    const hours = parseInt(trimmed, 10);
-    if (hours < 0 || hours > 23) return null;
-    return `${String(hours).padStart(2, '0')}:00`;
+  const hours = match[2] ? parseFloat(match[2].replace(',', '.')) : 0;
+  const minutes = match[3] ? parseInt(match[3], 10) : 0;
+  const delta = Math.round(hours * 60) + minutes;
+  return {
+    time: shiftTime(normalizeTime(referenceTime), match[1] === '-' ? -delta : delta),
+    alternativeTime: null,
+    isRelative: true
+  };
+}
+
+/**
+ * Отделяет уточнение половины суток: "7:30pm" → "7:30" + 'pm', "2 ночи" → "2" + 'night'.
+ * @param {string} text - Подготовленный ввод
+ * @returns {{ body: string, period: 'am'|'pm'|'night'|null }}
+ */
+function splitDayPeriod(text) {
+  const latin = text.match(/^(.+?)\s*([ap])\.?\s*m?\.?$/);
+  if (latin) {
+    return { body: latin[1], period: latin[2] === 'a' ? 'am' : 'pm' };
   }
-  const match = trimmed.match(/^(\d{1,2}):(\d{2})$/);
+  const word = Object.keys(DAY_PERIOD_WORDS).find(key => text.endsWith(' ' + key));
+  if (word) {
+    return { body: text.slice(0, -word.length - 1), period: DAY_PERIOD_WORDS[word] };
+  }
+  return { body: text, period: null };
+}
+
+/**
+ * Время цифрами: "7", "7:30", "7.30", "7 30", "730", "0730".
+ * @param {string} text
+ * @returns {{ hours: number, minutes: number, isTwelveHourClock: boolean, hasLeadingZero: boolean }|null}
+ */
+function parseClockDigits(text) {
+  const match = text.match(/^(\d{1,2})(?:(?:\s*[:.]\s*|\s)?(\d{2}))?$/);
   if (!match) {
     return null;
   }
-  const hours = parseInt(match[1], 10);
-  const minutes = parseInt(match[2], 10);
-  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+  return {
+    hours: parseInt(match[1], 10),
+    minutes: match[2] ? parseInt(match[2], 10) : 0,
+    isTwelveHourClock: false,
+    hasLeadingZero: match[1].length === 2 && match[1][0] === '0'
+  };
+}
+
+/**
+ * Время словами (ru/en). Час в таких фразах — по 12-часовому циферблату.
+ * @param {string} text
+ * @returns {{ hours: number, minutes: number, isTwelveHourClock: boolean, hasLeadingZero: boolean }|null}
+ */
+function parseClockWords(text) {
+  let match = text.match(/^(.+?) (?:past|after) (\S+)$/);
+  if (match) {
+    return wordClock(readHourWord(match[2]), readMinuteWords(match[1]));
+  }
+  match = text.match(/^(.+?) (?:to|till|before) (\S+)$/) ?? text.match(/^без (.+) (\S+)$/);
+  if (match) {
+    const minutes = lookupWord(RU_MINUTES_BEFORE, stripMinutesWord(match[1])) ?? readMinuteWords(match[1]);
+    const hours = readHourWord(match[2]);
+    if (hours === null || !minutes) return null;
+    return wordClock(hours === 0 ? 23 : hours - 1, 60 - minutes);
+  }
+  // «половина одиннадцатого», «полвосьмого», «десять минут восьмого» — минуты следующего часа
+  match = text.match(/^(?:(.+) )?(\S+)$/);
+  if (!match) {
     return null;
   }
-  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  const glued = text.match(/^пол(\S+)$/);
+  const ordinal = lookupWord(RU_HOUR_ORDINALS, match[2]) ?? (glued && lookupWord(RU_HOUR_ORDINALS, glued[1]));
+  if (ordinal) {
+    const minutes = glued && !match[1] ? 30 : match[1] ? readMinuteWords(match[1]) : null;
+    return wordClock(ordinal - 1, minutes);
+  }
+  match = text.match(/^(\S+)(?: o'?clock| o’clock| час(?:а|ов)?)?(?: (.+))?$/);
+  if (!match) {
+    return null;
+  }
+  return wordClock(readHourWord(match[1]), match[2] ? readMinuteWords(match[2]) : 0);
+}
+
+/**
+ * @param {number|null} hours - 0–23; 0 на 12-часовом циферблате — это 12
+ * @param {number|null} minutes
+ * @returns {{ hours: number, minutes: number, isTwelveHourClock: boolean, hasLeadingZero: boolean }|null}
+ */
+function wordClock(hours, minutes) {
+  if (hours === null || minutes === null) {
+    return null;
+  }
+  return { hours: hours === 0 ? 12 : hours, minutes, isTwelveHourClock: true, hasLeadingZero: false };
+}
+
+/**
+ * @param {string} word - "seven", "семь", "7"
+ * @returns {number|null}
+ */
+function readHourWord(word) {
+  if (/^\d{1,2}$/.test(word)) return parseInt(word, 10);
+  return lookupWord(HOUR_WORDS, word);
+}
+
+/**
+ * @param {string} words - "half", "twenty five", "десять минут", "30"
+ * @returns {number|null}
+ */
+function readMinuteWords(words) {
+  const text = stripMinutesWord(words);
+  if (/^\d{1,2}$/.test(text)) return parseInt(text, 10);
+  return lookupWord(MINUTE_WORDS, text);
+}
+
+/**
+ * Значение слова из словаря timeWords.js (без унаследованных ключей вроде "constructor").
+ * @template T
+ * @param {Object<string, T>} dictionary
+ * @param {string} word
+ * @returns {T|null}
+ */
+function lookupWord(dictionary, word) {
+  return Object.hasOwn(dictionary, word) ? dictionary[word] : null;
+}
+
+/** @param {string} words @returns {string} Без хвоста «минут» / "minutes" */
+function stripMinutesWord(words) {
+  return words.replace(/ (?:minutes?|mins?|минут[аы]?)$/, '');
+}
+
+/**
+ * Переводит разобранный час в 'HH:MM' с учётом «утра/вечера» и угадывания половины суток.
+ * @param {{ hours: number, minutes: number, isTwelveHourClock: boolean, hasLeadingZero: boolean }} clock
+ * @param {'am'|'pm'|'night'|null} period
+ * @param {string|null} referenceTime
+ * @param {'24h'|'12h'} timeFormat
+ * @returns {TimeInput|null}
+ */
+function resolveClock(clock, period, referenceTime, timeFormat) {
+  const { hours, minutes } = clock;
+  if (period) {
+    if (hours < 1 || hours > 12) return null;
+    const isPm = period === 'pm' || (period === 'night' && hours >= 6 && hours < 12);
+    return { time: formatTime(((hours % 12) + (isPm ? 12 : 0)) * 60 + minutes), alternativeTime: null, isRelative: false };
+  }
+  const isGuess = hours >= 1 && hours <= 12
+    && (clock.isTwelveHourClock || (timeFormat === '12h' && !clock.hasLeadingZero));
+  if (!isGuess) {
+    return { time: formatTime(hours * 60 + minutes), alternativeTime: null, isRelative: false };
+  }
+  // Без referenceTime час читается как в 24 часах: "7" — 07:00, "12" — полдень
+  const literal = hours * 60 + minutes;
+  const other = hours === 12 ? literal - 12 * 60 : literal + 12 * 60;
+  const reference = isValidTime(referenceTime) ? parseTime(normalizeTime(referenceTime)) : null;
+  const prefersOther = reference !== null
+    && getCircularDistance(other, reference) < getCircularDistance(literal, reference);
+  return {
+    time: formatTime(prefersOther ? other : literal),
+    alternativeTime: formatTime(prefersOther ? literal : other),
+    isRelative: false
+  };
+}
+
+/**
+ * Расстояние между двумя моментами суток по кругу (23:50 и 00:10 — 20 минут).
+ * @param {number} a - Минуты от полуночи
+ * @param {number} b - Минуты от полуночи
+ * @returns {number}
+ */
+function getCircularDistance(a, b) {
+  const diff = Math.abs(a - b) % (24 * 60);
+  return Math.min(diff, 24 * 60 - diff);
+}
+
+/**
+ * Длительность интервала от startTime до endTime (с учётом перехода через полночь).
+ * @param {string} startTime - Начало 'HH:MM'
+ * @param {string} endTime - Конец 'HH:MM'
+ * @returns {number} Длительность в минутах (0..24*60-1); 0 при совпадении
+ * @example
+ * getDurationMinutes('18:00', '19:15') // 75
+ * getDurationMinutes('23:30', '00:30') // 60
+ */
+export function getDurationMinutes(startTime, endTime) {
+  const delta = parseTime(endTime) - parseTime(startTime);
+  return delta >= 0 ? delta : delta + 24 * 60;
 }
 
 /**
@@ -160,37 +417,35 @@ export function getSleepDurationMinutes(bedtime, wakeTime) {
 }
 
 /**
- * Форматирует длительность для бейджа: "7ч 30м", "8ч", "45м".
+ * Форматирует длительность для бейджа: "7ч 30м", "8ч", "45м" (в английском — "7h 30m").
  * @param {number} totalMinutes - Длительность в минутах
+ * @param {string} [locale] - Язык; по умолчанию текущий язык интерфейса
  * @returns {string} Строка для отображения
  */
-export function formatDuration(totalMinutes) {
+export function formatDuration(totalMinutes, locale = getLocale()) {
   const hours = Math.floor(totalMinutes / 60);
   const mins = totalMinutes % 60;
-  if (hours === 0) return `${mins}м`;
-  if (mins === 0) return `${hours}ч`;
-  return `${hours}ч ${mins}м`;
+  if (hours === 0) return translate(locale, 'duration.minutes', { minutes: mins });
+  if (mins === 0) return translate(locale, 'duration.hours', { hours });
+  return translate(locale, 'duration.hoursMinutes', { hours, minutes: mins });
 }
 
-/** Длительность одного цикла сна в минутах. */
-const SLEEP_CYCLE_MINUTES = 90;
-
-/** Рекомендуемое число циклов (7.5 ч). */
-const RECOMMENDED_CYCLES = 5;
-
 /**
- * Варианты времени для dropdown по циклам сна (шаг 1.5 ч).
+ * Варианты времени для dropdown по циклам сна.
+ * durationMinutes — время в постели (циклы + засыпание), durationLabel — сам сон.
  * @param {string} anchorTime - Якорное время 'HH:MM' (при редактировании End — bedtime, при редактировании Start — wakeTime)
  * @param {'bedtime'|'wakeTime'} editingField - Какое поле редактируется
+ * @param {import('../constants/sleepCycles.js').SleepConfig} [config] - Параметры сна пользователя
  * @returns {{ time: string, durationMinutes: number, durationLabel: string, cycles: number, isRecommended: boolean }[]}
  */
-export function getSleepCycleOptions(anchorTime, editingField) {
+export function getSleepCycleOptions(anchorTime, editingField, config = DEFAULT_SLEEP_CONFIG) {
   if (!anchorTime) return [];
   const options = [];
-  const minCycles = 3;
-  const maxCycles = 8;
+  const { cycleMinutes, onsetLatencyMinutes, minCycles, maxCycles } = config;
+  const recommendedCycles = Math.min(Math.max(RECOMMENDED_CYCLES, minCycles), maxCycles);
   for (let cycles = minCycles; cycles <= maxCycles; cycles++) {
-    const durationMinutes = cycles * SLEEP_CYCLE_MINUTES;
+    const sleepMinutes = cycles * cycleMinutes;
+    const durationMinutes = sleepMinutes + onsetLatencyMinutes;
     const time =
       editingField === 'wakeTime'
         ? shiftTime(anchorTime, durationMinutes)
@@ -198,14 +453,27 @@ export function getSleepCycleOptions(anchorTime, editingField) {
     options.push({
       time,
       durationMinutes,
-      durationLabel: formatDuration(durationMinutes),
+      durationLabel: formatDuration(sleepMinutes),
       cycles,
-      isRecommended: cycles === RECOMMENDED_CYCLES
+      isRecommended: cycles === recommendedCycles
     });
   }
   return options;
 }
 
+/**
+ * Сколько минут длится сам сон: время в постели минус засыпание.
+ * @param {string} bedtime - Отбой 'HH:MM'
+ * @param {string} wakeTime - Подъём 'HH:MM'
+ * @param {import('../constants/sleepCycles.js').SleepConfig} [config] - Параметры сна пользователя
+ * @returns {number} Минуты сна (не меньше 0)
+ * @example
+ * getNetSleepMinutes('23:00', '07:00', { ...DEFAULT_SLEEP_CONFIG, onsetLatencyMinutes: 15 }) // 465
+ */
+export function getNetSleepMinutes(bedtime, wakeTime, config = DEFAULT_SLEEP_CONFIG) {
+  return Math.max(0, getSleepDurationMinutes(bedtime, wakeTime) - config.onsetLatencyMinutes);
+}
+
 /**
  * Генерирует UUID v4
  * @returns {string} UUID
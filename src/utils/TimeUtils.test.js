@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Тесты разбора введённого времени (parseTimeInput, normalizeTime).
+ * Запуск без сборки: node --test src/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeInput, normalizeTime } from './TimeUtils.js';
+
+/**
+ * @param {string} input
+ * @param {Object} [options] - См. parseTimeInput
+ * @returns {string|null} Распознанное время
+ */
+const timeOf = (input, options) => parseTimeInput(input, options)?.time ?? null;
+
+test('цифры в 24-часовом формате', () => {
+  assert.equal(timeOf('7'), '07:00');
+  assert.equal(timeOf('12'), '12:00');
+  assert.equal(timeOf('7:30'), '07:30');
+  assert.equal(timeOf('7.30'), '07:30');
+  assert.equal(timeOf('7 30'), '07:30');
+  assert.equal(timeOf('730'), '07:30');
+  assert.equal(timeOf('0730'), '07:30');
+  assert.equal(timeOf('19:05'), '19:05');
+  assert.equal(timeOf('  23:59  '), '23:59');
+  assert.equal(timeOf('0'), '00:00');
+});
+
+test('12-часовой формат с am/pm и «утра/вечера»', () => {
+  assert.equal(timeOf('7:30pm'), '19:30');
+  assert.equal(timeOf('7:30 PM'), '19:30');
+  assert.equal(timeOf('7 p.m.'), '19:00');
+  assert.equal(timeOf('7am'), '07:00');
+  assert.equal(timeOf('12am'), '00:00');
+  assert.equal(timeOf('12pm'), '12:00');
+  assert.equal(timeOf('7 вечера'), '19:00');
+  assert.equal(timeOf('2 ночи'), '02:00');
+  assert.equal(timeOf('10 ночи'), '22:00');
+  assert.equal(timeOf('ten in the evening'), '22:00');
+});
+
+test('час без уточнения в режиме 12h выбирает ближайшую половину суток', () => {
+  assert.deepEqual(
+    parseTimeInput('7', { referenceTime: '20:00', timeFormat: '12h' }),
+    { time: '19:00', alternativeTime: '07:00', isRelative: false }
+  );
+  assert.equal(timeOf('7', { referenceTime: '06:00', timeFormat: '12h' }), '07:00');
+  // Ведущий ноль и 24-часовой режим — всегда как написано
+  assert.equal(timeOf('07', { referenceTime: '20:00', timeFormat: '12h' }), '07:00');
+  assert.equal(timeOf('7', { referenceTime: '20:00', timeFormat: '24h' }), '07:00');
+});
+
+test('время словами (en)', () => {
+  assert.deepEqual(
+    parseTimeInput('half past ten', { referenceTime: '22:00' }),
+    { time: '22:30', alternativeTime: '10:30', isRelative: false }
+  );
+  assert.equal(timeOf('half past ten'), '10:30');
+  assert.equal(timeOf('quarter to eight'), '07:45');
+  assert.equal(timeOf('twenty five past 7'), '07:25');
+  assert.equal(timeOf('seven thirty'), '07:30');
+  assert.equal(timeOf('seven-thirty'), '07:30');
+  assert.equal(timeOf("ten o'clock"), '10:00');
+  assert.equal(timeOf('noon'), '12:00');
+  assert.equal(timeOf('midnight'), '00:00');
+});
+
+test('время словами (ru)', () => {
+  assert.equal(timeOf('половина одиннадцатого'), '10:30');
+  assert.equal(timeOf('полвосьмого'), '07:30');
+  assert.equal(timeOf('четверть восьмого'), '07:15');
+  assert.equal(timeOf('десять минут восьмого'), '07:10');
+  assert.equal(timeOf('без четверти восемь'), '07:45');
+  assert.equal(timeOf('без четверти восемь', { referenceTime: '19:00' }), '19:45');
+  assert.equal(timeOf('семь часов тридцать минут'), '07:30');
+  assert.equal(timeOf('Полночь'), '00:00');
+});
+
+test('сдвиг от referenceTime', () => {
+  assert.deepEqual(
+    parseTimeInput('+15m', { referenceTime: '07:00' }),
+    { time: '07:15', alternativeTime: null, isRelative: true }
+  );
+  assert.equal(timeOf('-1h', { referenceTime: '00:30' }), '23:30');
+  assert.equal(timeOf('+1h30', { referenceTime: '07:00' }), '08:30');
+  assert.equal(timeOf('+1.5ч', { referenceTime: '07:00' }), '08:30');
+  assert.equal(timeOf('-20 мин', { referenceTime: '07:00' }), '06:40');
+  assert.equal(timeOf('+90', { referenceTime: '23:00' }), '00:30');
+  assert.equal(timeOf('+15m'), null);
+  assert.equal(timeOf('+', { referenceTime: '07:00' }), null);
+});
+
+test('нераспознанный ввод — null, без исключений', () => {
+  const inputs = [
+    '', ' ', '   ', '\t', '-', '7-', '7 -', '7:30-', 'seven-', ' - ',
+    'abc', 'half past', 'past ten', 'без', 'пол', 'constructor', '7:3', '7::30', '12345',
+    '25:00', '24:00', '7:60', '99', 'thirteen pm', '+15x'
+  ];
+  inputs.forEach(input => {
+    assert.equal(parseTimeInput(input, { referenceTime: '12:00' }), null, JSON.stringify(input));
+    assert.equal(normalizeTime(input), null, JSON.stringify(input));
+  });
+  assert.equal(parseTimeInput(null), null);
+  assert.equal(parseTimeInput(730), null);
+});